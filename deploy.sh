@@ -117,6 +117,7 @@ if $RUN_INFRA; then
 
   [ ${#JWT_SECRET} -ge 32 ]       || fail "JWT_SECRET must be at least 32 characters"
   [ ${#MIGRATION_SECRET} -ge 16 ] || fail "MIGRATION_SECRET must be at least 16 characters"
+  [ -n "${APP_BASE_URL:-}" ]      || fail "APP_BASE_URL must be set (base URL used in email links)"
   echo
 fi
 
@@ -134,6 +135,11 @@ if $RUN_INFRA; then
       ProjectName="$PROJECT_NAME" \
       JwtSecret="$JWT_SECRET" \
       MigrationSecret="$MIGRATION_SECRET" \
+      MfaEncryptionKey="${MFA_ENCRYPTION_KEY:-}" \
+      JwtPrivateKey="${JWT_PRIVATE_KEY:-}" \
+      AppBaseUrl="$APP_BASE_URL" \
+      MailTransport="${MAIL_TRANSPORT:-ses}" \
+      MailFrom="${MAIL_FROM:-PBXScribe <no-reply@pbxscribe.com>}" \
     --capabilities CAPABILITY_NAMED_IAM \
     --no-fail-on-empty-changeset
 
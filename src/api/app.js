@@ -2,12 +2,21 @@
 const fastify = require('fastify');
 const databasePlugin = require('./plugins/database');
 const authPlugin = require('./plugins/auth');
+const mailerPlugin = require('./plugins/mailer');
 const swaggerPlugin = require('./plugins/swagger');
 const healthRoutes = require('./routes/health');
+const jwksRoutes = require('./routes/jwks');
 const migrateRoutes = require('./routes/migrate');
 const userRoutes = require('./routes/users');
+const invitationRoutes = require('./routes/invitations');
 const authRoutes = require('./routes/auth');
+const mfaRoutes = require('./routes/mfa');
+const passwordRoutes = require('./routes/password');
+const oidcRoutes = require('./routes/oidc');
+const sessionRoutes = require('./routes/sessions');
+const lockoutRoutes = require('./routes/lockouts');
 const apiKeyRoutes = require('./routes/apiKeys');
+const auditEventRoutes = require('./routes/auditEvents');
 
 /**
  * Initialize and configure Fastify application
@@ -38,7 +47,11 @@ async function init() {
         requestIdHeader: 'x-request-id',
         requestIdLogLabel: 'requestId',
         disableRequestLogging: false,
-        trustProxy: true,
+        // API Gateway appends to a client-supplied X-Forwarded-For instead of replacing it,
+        // so the header cannot be trusted. @fastify/aws-lambda passes the gateway's
+        // requestContext sourceIp as the socket address, which makes it request.ip here;
+        // lockouts, sessions and audit events all rely on that.
+        trustProxy: false,
     });
 
     // Determine base path from environment (API Gateway stage)
@@ -50,6 +63,7 @@ async function init() {
     // are available in all route scopes)
     await app.register(databasePlugin);
     await app.register(authPlugin);
+    await app.register(mailerPlugin);
 
     // OpenAPI v3 docs
     await app.register(swaggerPlugin);
@@ -57,10 +71,18 @@ async function init() {
     // Register plugins and routes with environment prefix
     await app.register(async function (fastify) {
         await fastify.register(healthRoutes);
+        await fastify.register(jwksRoutes);
         await fastify.register(migrateRoutes);
         await fastify.register(userRoutes);
+        await fastify.register(invitationRoutes);
         await fastify.register(authRoutes);
+        await fastify.register(mfaRoutes);
+        await fastify.register(passwordRoutes);
+        await fastify.register(oidcRoutes);
+        await fastify.register(sessionRoutes);
+        await fastify.register(lockoutRoutes);
         await fastify.register(apiKeyRoutes);
+        await fastify.register(auditEventRoutes);
 
         // Root route
         fastify.get('/', {
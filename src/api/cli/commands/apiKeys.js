@@ -0,0 +1,180 @@
+// pbxscribe api-keys create | revoke
+const {
+  createCredential,
+  findCredentialById,
+  deactivateCredential,
+} = require('../../repositories/credentialRepository');
+const { findUserById } = require('../../repositories/userRepository');
+const { generateApiKey, hashApiKey } = require('../../utils/apiKey');
+const { API_KEY_SCOPES } = require('../../utils/roles');
+const {
+  CliError,
+  parseInteger,
+  findUserByReference,
+  recordCliAuditEvent,
+} = require('../context');
+const { formatRecord } = require('../output');
+
+/**
+ * Insert an API key for a user without recording an audit event (see createApiKey)
+ * @param {Pool|PoolClient} pool
+ * @param {Object} user - Key owner
+ * @param {{ label?: string, scopes?: string[], expiresInDays?: number }} fields
+ *   scopes - omit for a key with all of the owner's permissions
+ * @returns {Promise<{ id: string, user_id: string, key: string, label: string|null, scopes: string[]|null, expires_at: Date, created_at: Date }>}
+ *   key is the plaintext key, which is not stored
+ */
+async function insertApiKey(pool, user, { label, scopes, expiresInDays = 90 }) {
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + expiresInDays);
+
+  const plainKey = generateApiKey();
+  const credential = await createCredential(pool, {
+    userId: user.id,
+    credentialType: 'api_key',
+    credentialHash: hashApiKey(plainKey),
+    label: label || null,
+    expiresAt,
+    scopes: scopes || null,
+  });
+
+  return {
+    id: credential.id,
+    user_id: user.id,
+    key: plainKey,
+    label: credential.label,
+    scopes: credential.scopes,
+    expires_at: credential.expires_at,
+    created_at: credential.created_at,
+  };
+}
+
+/**
+ * Record the audit event for a key created by insertApiKey, once its transaction has committed
+ * @param {Pool} pool
+ * @param {Object} user - Key owner
+ * @param {Object} apiKey - Result of insertApiKey
+ */
+async function recordApiKeyCreated(pool, user, apiKey) {
+  await recordCliAuditEvent(pool, {
+    action: 'api_key.create',
+    organizationId: user.organization_id,
+    targetType: 'api_key',
+    targetId: apiKey.id,
+    after: { label: apiKey.label, scopes: apiKey.scopes, expires_at: apiKey.expires_at },
+  });
+}
+
+/**
+ * Create an API key for a user, as POST /api-keys would for that user
+ * @param {Pool} pool
+ * @param {Object} user - Key owner
+ * @param {{ label?: string, scopes?: string[], expiresInDays?: number }} fields - see insertApiKey
+ * @returns {Promise<Object>} See insertApiKey; key is the plaintext key, which is not stored
+ */
+async function createApiKey(pool, user, fields) {
+  const apiKey = await insertApiKey(pool, user, fields);
+  await recordApiKeyCreated(pool, user, apiKey);
+  return apiKey;
+}
+
+const create = {
+  summary: 'Create an API key for a user and print it (shown only once)',
+  usage: 'api-keys create --user <id|email> [--label <label>] [--scopes <scope,...>] [--expires-in-days <n>]',
+  options: {
+    user: { type: 'string' },
+    label: { type: 'string' },
+    scopes: { type: 'string' },
+    'expires-in-days': { type: 'string' },
+  },
+
+  /**
+   * @param {Object} context
+   * @param {Object} values
+   */
+  async run(context, values) {
+    if (!values.user) {
+      throw new CliError('--user is required', { exitCode: 2 });
+    }
+
+    const scopes = values.scopes
+      ? [...new Set(values.scopes.split(',').map(scope => scope.trim()).filter(Boolean))]
+      : undefined;
+    const unknown = (scopes || []).filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new CliError(
+        `Unknown scope(s): ${unknown.join(', ')}. Valid scopes: ${API_KEY_SCOPES.join(', ')}`,
+        { exitCode: 2 }
+      );
+    }
+
+    const expiresInDays = parseInteger(values['expires-in-days'], 'expires-in-days', { min: 1, max: 365 });
+    const pool = await context.pool();
+    const user = await findUserByReference(pool, values.user);
+
+    return createApiKey(pool, user, { label: values.label, scopes, expiresInDays });
+  },
+
+  /**
+   * @param {Object} result
+   * @returns {string}
+   */
+  format(result) {
+    return `${formatRecord(result)}\n\nStore the key now; it cannot be shown again.`;
+  },
+};
+
+const revoke = {
+  summary: 'Revoke an API key by ID',
+  usage: 'api-keys revoke <id>',
+  options: {},
+
+  /**
+   * @param {Object} context
+   * @param {Object} values
+   * @param {string[]} args - [key id]
+   */
+  async run(context, values, [id]) {
+    const keyId = parseInteger(id, 'id', { min: 1 });
+    if (keyId === undefined) {
+      throw new CliError('Which key? Pass its ID (see GET /api-keys)', { exitCode: 2 });
+    }
+
+    const pool = await context.pool();
+    const credential = await findCredentialById(pool, keyId, 'api_key');
+    if (!credential) {
+      throw new CliError(`API key not found: ${keyId}`, { code: 'API_KEY_NOT_FOUND' });
+    }
+
+    const revoked = await deactivateCredential(pool, credential.id);
+    if (revoked) {
+      const owner = await findUserById(pool, credential.user_id, { includeDeleted: true });
+      await recordCliAuditEvent(pool, {
+        action: 'api_key.revoke',
+        organizationId: owner && owner.organization_id,
+        targetType: 'api_key',
+        targetId: credential.id,
+        before: { is_active: true },
+        after: { is_active: false },
+      });
+    }
+
+    return { id: credential.id, user_id: credential.user_id, label: credential.label, revoked };
+  },
+
+  /**
+   * @param {{ revoked: boolean }} result
+   * @returns {string}
+   */
+  format(result) {
+    return `${formatRecord(result, ['id', 'user_id', 'label'])}\n${result.revoked ? 'API key revoked' : 'API key was already inactive'}`;
+  },
+};
+
+module.exports = {
+  create,
+  revoke,
+  createApiKey,
+  insertApiKey,
+  recordApiKeyCreated,
+};
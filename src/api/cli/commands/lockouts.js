@@ -0,0 +1,81 @@
+// pbxscribe lockouts list | clear
+//
+// Per-IP lockouts span organizations, so only operators can see or clear them;
+// organization admins manage their own users' email lockouts via /auth/lockouts.
+const { listLockouts, deleteLockout } = require('../../repositories/lockoutRepository');
+const { CliError, parseInteger, recordCliAuditEvent } = require('../context');
+const { formatTable } = require('../output');
+
+const LOCKOUT_FIELDS = ['id', 'scope', 'identifier', 'failed_count', 'last_failed_at', 'locked_until'];
+const SCOPES = ['email', 'ip'];
+
+const list = {
+  summary: 'List login lockouts across all organizations, most recent failure first',
+  usage: 'lockouts list [--scope email|ip] [--locked] [--limit <n>]',
+  options: {
+    scope: { type: 'string' },
+    locked: { type: 'boolean' },
+    limit: { type: 'string' },
+  },
+
+  /**
+   * @param {Object} context
+   * @param {Object} values
+   */
+  async run(context, values) {
+    if (values.scope && !SCOPES.includes(values.scope)) {
+      throw new CliError(`--scope must be one of: ${SCOPES.join(', ')}`, { exitCode: 2 });
+    }
+    const limit = parseInteger(values.limit, 'limit', { min: 1, max: 1000 }) || 50;
+
+    return listLockouts(await context.pool(), {
+      limit,
+      scope: values.scope,
+      lockedOnly: Boolean(values.locked),
+    });
+  },
+
+  /**
+   * @param {{ lockouts: Object[], total: number }} result
+   * @returns {string}
+   */
+  format(result) {
+    return `${formatTable(result.lockouts, LOCKOUT_FIELDS)}\n\n${result.lockouts.length} of ${result.total} lockout(s)`;
+  },
+};
+
+const clear = {
+  summary: 'Clear a login lockout by ID, resetting its failure counter',
+  usage: 'lockouts clear <id>',
+  options: {},
+
+  /**
+   * @param {Object} context
+   * @param {Object} values
+   * @param {string[]} args - [lockout id]
+   */
+  async run(context, values, [id]) {
+    const lockoutId = parseInteger(id, 'id', { min: 1 });
+    if (lockoutId === undefined) {
+      throw new CliError('Which lockout? Pass its ID (see lockouts list)', { exitCode: 2 });
+    }
+
+    const pool = await context.pool();
+    if (!await deleteLockout(pool, lockoutId)) {
+      throw new CliError(`Lockout not found: ${lockoutId}`, { code: 'LOCKOUT_NOT_FOUND' });
+    }
+
+    await recordCliAuditEvent(pool, {
+      action: 'lockout.clear',
+      targetType: 'lockout',
+      targetId: lockoutId,
+    });
+
+    return { id: lockoutId, cleared: true };
+  },
+};
+
+module.exports = {
+  list,
+  clear,
+};
@@ -0,0 +1,169 @@
+// pbxscribe migrate up | down | status
+const { MigrationError, runMigrations, getMigrationStatus } = require('../../db/migrator');
+const { CliError, parseInteger, recordCliAuditEvent } = require('../context');
+const { formatTable } = require('../output');
+
+/**
+ * Run the migrator and record the outcome like POST /migrate does
+ * @param {Object} context - From createContext
+ * @param {Object} options - runMigrations options (without databaseConfig)
+ * @returns {Promise<{ applied: string[], rolled_back: string[], dry_run: boolean, message: string }>}
+ */
+async function migrate(context, options) {
+  let result;
+  try {
+    result = await runMigrations({ ...options, databaseConfig: await context.databaseConfig() });
+  } catch (error) {
+    if (error instanceof MigrationError && error.code === 'CONFIRMATION_REQUIRED') {
+      throw new CliError(
+        `This would roll back ${error.details.rolled_back.join(', ')}. Re-run with --yes to proceed.`,
+        { code: error.code, details: error.details }
+      );
+    }
+    throw error;
+  }
+
+  if (!result.dryRun) {
+    await recordCliAuditEvent(await context.pool(), {
+      action: result.rolledBack.length > 0 ? 'migrations.rollback' : 'migrations.run',
+      metadata: {
+        target_version: options.targetVersion,
+        rollback_steps: options.rollbackSteps,
+        applied: result.applied,
+        rolled_back: result.rolledBack,
+      },
+    });
+  }
+
+  return {
+    applied: result.applied,
+    rolled_back: result.rolledBack,
+    dry_run: result.dryRun,
+    message: result.message,
+  };
+}
+
+/**
+ * Human-readable migrate up/down result
+ * @param {{ applied: string[], rolled_back: string[], dry_run: boolean, message: string }} result
+ * @returns {string}
+ */
+function formatRun(result) {
+  const [rolledBack, applied] = result.dry_run ? ['would roll back', 'would apply    '] : ['rolled back', 'applied    '];
+  return [
+    ...result.rolled_back.map(file => `${rolledBack}  ${file}`),
+    ...result.applied.map(file => `${applied}  ${file}`),
+    result.message,
+  ].join('\n');
+}
+
+const up = {
+  summary: 'Apply pending migrations',
+  usage: 'migrate up [--to <version>] [--dry-run]',
+  options: {
+    to: { type: 'string' },
+    'dry-run': { type: 'boolean' },
+  },
+  format: formatRun,
+
+  /**
+   * @param {Object} context
+   * @param {{ to?: string, 'dry-run'?: boolean }} values
+   */
+  async run(context, values) {
+    return migrate(context, {
+      targetVersion: parseInteger(values.to, 'to', { min: 0 }),
+      dryRun: Boolean(values['dry-run']),
+    });
+  },
+};
+
+const down = {
+  summary: 'Roll back migrations (the latest one unless --steps or --to is given)',
+  usage: 'migrate down [--steps <n> | --to <version>] [--yes] [--dry-run]',
+  options: {
+    steps: { type: 'string' },
+    to: { type: 'string' },
+    yes: { type: 'boolean' },
+    'dry-run': { type: 'boolean' },
+  },
+  format: formatRun,
+
+  /**
+   * @param {Object} context
+   * @param {{ steps?: string, to?: string, yes?: boolean, 'dry-run'?: boolean }} values
+   */
+  async run(context, values) {
+    if (values.steps !== undefined && values.to !== undefined) {
+      throw new CliError('Use only one of --steps and --to', { exitCode: 2 });
+    }
+
+    const targetVersion = parseInteger(values.to, 'to', { min: 0 });
+    const rollbackSteps = targetVersion === undefined
+      ? parseInteger(values.steps || '1', 'steps', { min: 1 })
+      : undefined;
+
+    return migrate(context, {
+      targetVersion,
+      rollbackSteps,
+      confirm: Boolean(values.yes),
+      dryRun: Boolean(values['dry-run']),
+    });
+  },
+};
+
+const status = {
+  summary: 'Show applied, pending and modified migrations and schema drift',
+  usage: 'migrate status',
+  options: {},
+
+  /**
+   * Same shape as GET /migrate/status
+   * @param {Object} context
+   */
+  async run(context) {
+    const { inProgress, ...result } = await getMigrationStatus({ databaseConfig: await context.databaseConfig() });
+
+    return {
+      up_to_date: result.pending.length === 0 && result.modified.length === 0 && result.drift.in_sync,
+      in_progress: inProgress,
+      ...result,
+    };
+  },
+
+  /**
+   * @param {Object} result
+   * @returns {string}
+   */
+  format(result) {
+    const { drift } = result;
+    const driftLines = [
+      ...drift.missing_tables.map(t => `missing table      ${t}`),
+      ...drift.unexpected_tables.map(t => `unexpected table   ${t}`),
+      ...drift.missing_columns.map(c => `missing column     ${c}`),
+      ...drift.unexpected_columns.map(c => `unexpected column  ${c}`),
+    ];
+
+    return [
+      `Up to date: ${result.up_to_date ? 'yes' : 'no'}${result.in_progress ? ' (a migration run is in progress)' : ''}`,
+      '',
+      'Applied:',
+      formatTable(result.applied, ['filename', 'applied_at', 'checksum']),
+      '',
+      'Pending:',
+      result.pending.length ? result.pending.join('\n') : '(none)',
+      '',
+      'Modified since applied:',
+      formatTable(result.modified, ['filename', 'recorded_checksum', 'current_checksum']),
+      '',
+      'Schema drift:',
+      driftLines.length ? driftLines.join('\n') : '(none)',
+    ].join('\n');
+  },
+};
+
+module.exports = {
+  up,
+  down,
+  status,
+};
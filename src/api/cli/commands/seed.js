@@ -0,0 +1,112 @@
+// pbxscribe seed — sample organization, users and API key for local development
+const crypto = require('crypto');
+const { findUserByEmail } = require('../../repositories/userRepository');
+const { withTransaction } = require('../../db/transaction');
+const { CliError, readStdin } = require('../context');
+const { formatTable, formatRecord } = require('../output');
+const { hashAccountPassword, insertUserAccount, recordUserCreated } = require('./users');
+const { insertApiKey, recordApiKeyCreated } = require('./apiKeys');
+
+/**
+ * Random password that satisfies the default password policy
+ * @returns {string}
+ */
+function generatePassword() {
+  return `${crypto.randomBytes(12).toString('base64url')}-Aa1`;
+}
+
+const seed = {
+  summary: 'Create a sample organization with an admin, a member and an API key (skipped if the admin exists)',
+  usage: 'seed [--email <admin email>] [--org-name <name>] [--password-stdin] [--force]',
+  options: {
+    email: { type: 'string' },
+    'org-name': { type: 'string' },
+    'password-stdin': { type: 'boolean' },
+    force: { type: 'boolean' },
+  },
+
+  /**
+   * @param {Object} context
+   * @param {Object} values
+   *   force - allow seeding when NODE_ENV is production
+   */
+  async run(context, values) {
+    if (process.env.NODE_ENV === 'production' && !values.force) {
+      throw new CliError('Refusing to seed with NODE_ENV=production; pass --force if you really mean it', { exitCode: 2 });
+    }
+
+    const adminEmail = values.email || 'admin@example.com';
+    const memberEmail = `member@${adminEmail.slice(adminEmail.lastIndexOf('@') + 1)}`;
+    const pool = await context.pool();
+
+    const existing = await findUserByEmail(pool, adminEmail);
+    if (existing) {
+      return { created: false, users: [existing] };
+    }
+
+    const generated = !values['password-stdin'];
+    const password = generated ? generatePassword() : await readStdin();
+
+    const accounts = [
+      { email: adminEmail, name: 'Example Admin' },
+      { email: memberEmail, name: 'Example Member' },
+    ];
+    // Both join the new organization, which starts on the deployment password policy
+    for (const account of accounts) {
+      account.passwordHash = await hashAccountPassword(pool, password, account);
+    }
+
+    // All or nothing, so a failure part-way cannot leave a half-seeded database
+    // that the existing-admin check above would then skip over
+    const { admin, member, organization, apiKey } = await withTransaction(pool, async (client) => {
+      const created = await insertUserAccount(client, {
+        ...accounts[0],
+        organizationName: values['org-name'] || 'Example Organization',
+      });
+      const { user } = await insertUserAccount(client, { ...accounts[1], organization: created.organization });
+      return {
+        admin: created.user,
+        member: user,
+        organization: created.organization,
+        apiKey: await insertApiKey(client, created.user, { label: 'seed' }),
+      };
+    });
+
+    await recordUserCreated(pool, { user: admin, organization });
+    await recordUserCreated(pool, { user: member, organization });
+    await recordApiKeyCreated(pool, admin, apiKey);
+
+    return {
+      created: true,
+      organization,
+      users: [admin, member],
+      // Only echoed back when we made it up
+      password: generated ? password : undefined,
+      api_key: apiKey,
+    };
+  },
+
+  /**
+   * @param {Object} result
+   * @returns {string}
+   */
+  format(result) {
+    const users = formatTable(result.users, ['id', 'email', 'role', 'organization_id']);
+    if (!result.created) {
+      return `${users}\n\nAlready seeded; nothing changed`;
+    }
+
+    return [
+      `Organization ${result.organization.id}: ${result.organization.name}`,
+      '',
+      users,
+      '',
+      formatRecord({
+        password: result.password || '(from stdin)',
+        api_key: result.api_key.key,
+      }),
+    ].join('\n');
+  },
+};
+
+module.exports = seed;
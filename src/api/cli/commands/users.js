@@ -0,0 +1,274 @@
+// pbxscribe users create | list | suspend
+const { createUser, listUsers, updateUser } = require('../../repositories/userRepository');
+const { createOrganization, findOrganizationById, getPasswordPolicy } = require('../../repositories/organizationRepository');
+const { createCredential } = require('../../repositories/credentialRepository');
+const { withTransaction } = require('../../db/transaction');
+const { hashPassword, checkPasswordStrength, mergePasswordPolicy } = require('../../utils/password');
+const { ROLES } = require('../../utils/roles');
+const {
+  CliError,
+  parseInteger,
+  readStdin,
+  findUserByReference,
+  recordCliAuditEvent,
+} = require('../context');
+const { formatTable, formatRecord } = require('../output');
+
+const USER_FIELDS = ['id', 'email', 'name', 'role', 'status', 'organization_id', 'created_at'];
+const LIST_STATUSES = ['active', 'inactive', 'suspended', 'pending_verification', 'invited'];
+
+/**
+ * Check a new account's password against the policy of the organization it joins, and hash it
+ * @param {Pool} pool
+ * @param {string} password
+ * @param {{ email: string, name: string, organizationId?: string }} account
+ *   organizationId - omit for a new organization, which has no overrides yet
+ * @returns {Promise<string>} bcrypt hash
+ * @throws {CliError} PASSWORD_TOO_WEAK
+ */
+async function hashAccountPassword(pool, password, { email, name, organizationId }) {
+  const policy = mergePasswordPolicy(organizationId ? await getPasswordPolicy(pool, organizationId) : null);
+  const { valid, failures } = await checkPasswordStrength(password, { policy, email, name });
+  if (!valid) {
+    throw new CliError(
+      `Password too weak: ${failures.map(f => f.message).join(', ')}`,
+      { code: 'PASSWORD_TOO_WEAK', details: { failures } }
+    );
+  }
+  return hashPassword(password);
+}
+
+/**
+ * Insert an active user and its password credential, plus a new organization unless one is given.
+ * Run it inside a transaction so a failure leaves nothing behind.
+ * @param {PoolClient} client - Transaction client
+ * @param {{ email: string, name: string, role?: string, organization?: Object, organizationName?: string, passwordHash?: string|null }} fields
+ *   role - defaults to admin in a new organization and member in an existing one
+ *   organizationName - name for a new organization; defaults to the user's name
+ * @returns {Promise<{ user: Object, organization: Object }>}
+ * @throws {CliError} DUPLICATE_EMAIL
+ */
+async function insertUserAccount(client, { email, name, role, organization, organizationName, passwordHash }) {
+  try {
+    const userOrganization = organization || await createOrganization(client, { name: organizationName || name });
+    const user = await createUser(client, {
+      email,
+      name,
+      organizationId: userOrganization.id,
+      role: role || (organization ? 'member' : 'admin'),
+      status: 'active',
+    });
+    if (passwordHash) {
+      await createCredential(client, {
+        userId: user.id,
+        credentialType: 'password',
+        credentialHash: passwordHash,
+        label: 'password',
+      });
+    }
+    return { user, organization: userOrganization };
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new CliError(`A user with this email already exists: ${email}`, { code: 'DUPLICATE_EMAIL' });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Record the audit event for a user created by insertUserAccount, once its transaction has committed
+ * @param {Pool} pool
+ * @param {{ user: Object, organization: Object }} account
+ */
+async function recordUserCreated(pool, { user, organization }) {
+  await recordCliAuditEvent(pool, {
+    action: 'user.create',
+    organizationId: organization.id,
+    targetType: 'user',
+    targetId: user.id,
+    after: user,
+  });
+}
+
+/**
+ * Create an active user, in a new organization unless organizationId is given.
+ * The password, if any, must satisfy the organization's password policy.
+ * @param {Pool} pool
+ * @param {{ email: string, name: string, role?: string, organizationId?: string, organizationName?: string, password?: string }} fields
+ *   role - defaults to admin in a new organization and member in an existing one
+ *   organizationName - name for a new organization; defaults to the user's name
+ *   password - omit to create the user without one (they can use password reset)
+ * @returns {Promise<{ user: Object, organization: Object }>}
+ * @throws {CliError} ORGANIZATION_NOT_FOUND, PASSWORD_TOO_WEAK or DUPLICATE_EMAIL
+ */
+async function createUserAccount(pool, { email, name, role, organizationId, organizationName, password }) {
+  const organization = organizationId ? await findOrganizationById(pool, organizationId) : null;
+  if (organizationId && !organization) {
+    throw new CliError(`Organization not found: ${organizationId}`, { code: 'ORGANIZATION_NOT_FOUND' });
+  }
+
+  const passwordHash = password === undefined
+    ? null
+    : await hashAccountPassword(pool, password, { email, name, organizationId });
+
+  const result = await withTransaction(pool, client => insertUserAccount(client, {
+    email,
+    name,
+    role,
+    organization,
+    organizationName,
+    passwordHash,
+  }));
+
+  await recordUserCreated(pool, result);
+  return result;
+}
+
+const create = {
+  summary: 'Create an active user, e.g. the first admin of a new organization',
+  usage: 'users create --email <email> --name <name> [--role <role>] [--org-id <id> | --org-name <name>] [--password-stdin]',
+  options: {
+    email: { type: 'string' },
+    name: { type: 'string' },
+    role: { type: 'string' },
+    'org-id': { type: 'string' },
+    'org-name': { type: 'string' },
+    'password-stdin': { type: 'boolean' },
+  },
+
+  /**
+   * @param {Object} context
+   * @param {Object} values
+   */
+  async run(context, values) {
+    if (!values.email || !values.name) {
+      throw new CliError('--email and --name are required', { exitCode: 2 });
+    }
+    if (values.role && !ROLES.includes(values.role)) {
+      throw new CliError(`--role must be one of: ${ROLES.join(', ')}`, { exitCode: 2 });
+    }
+    if (values['org-id'] && values['org-name']) {
+      throw new CliError('Use only one of --org-id and --org-name', { exitCode: 2 });
+    }
+
+    const organizationId = parseInteger(values['org-id'], 'org-id', { min: 1 });
+
+    const password = values['password-stdin'] ? await readStdin() : undefined;
+    const { user, organization } = await createUserAccount(await context.pool(), {
+      email: values.email,
+      name: values.name,
+      role: values.role,
+      organizationId,
+      organizationName: values['org-name'],
+      password,
+    });
+
+    return { user, organization };
+  },
+
+  /**
+   * @param {{ user: Object, organization: Object }} result
+   * @returns {string}
+   */
+  format(result) {
+    return formatRecord({ ...result.user, organization: result.organization.name }, [...USER_FIELDS, 'organization']);
+  },
+};
+
+const list = {
+  summary: 'List the users of an organization, newest first',
+  usage: 'users list --org-id <id> [--status <status>] [--search <text>] [--limit <n>]',
+  options: {
+    'org-id': { type: 'string' },
+    status: { type: 'string' },
+    search: { type: 'string' },
+    limit: { type: 'string' },
+  },
+
+  /**
+   * @param {Object} context
+   * @param {Object} values
+   */
+  async run(context, values) {
+    if (!values['org-id']) {
+      throw new CliError('--org-id is required', { exitCode: 2 });
+    }
+    if (values.status && !LIST_STATUSES.includes(values.status)) {
+      throw new CliError(`--status must be one of: ${LIST_STATUSES.join(', ')}`, { exitCode: 2 });
+    }
+
+    // Check every option before connecting, so a typo fails fast without touching the database
+    const organizationId = parseInteger(values['org-id'], 'org-id', { min: 1 });
+    const limit = parseInteger(values.limit, 'limit', { min: 1, max: 1000 }) || 50;
+
+    const { users, total } = await listUsers(await context.pool(), {
+      organizationId,
+      status: values.status,
+      search: values.search,
+      limit,
+    });
+
+    return { users, total };
+  },
+
+  /**
+   * @param {{ users: Object[], total: number }} result
+   * @returns {string}
+   */
+  format(result) {
+    return `${formatTable(result.users, USER_FIELDS)}\n\n${result.users.length} of ${result.total} user(s)`;
+  },
+};
+
+const suspend = {
+  summary: 'Suspend a user so they can no longer sign in or use their API keys',
+  usage: 'users suspend <id|email>',
+  options: {},
+
+  /**
+   * @param {Object} context
+   * @param {Object} values
+   * @param {string[]} args - [user id or email]
+   */
+  async run(context, values, [reference]) {
+    if (!reference) {
+      throw new CliError('Which user? Pass an ID or email address', { exitCode: 2 });
+    }
+
+    const pool = await context.pool();
+    const before = await findUserByReference(pool, reference);
+    if (before.status === 'suspended') {
+      return { user: before, changed: false };
+    }
+
+    const user = await updateUser(pool, before.id, { status: 'suspended' });
+    await recordCliAuditEvent(pool, {
+      action: 'user.update',
+      organizationId: user.organization_id,
+      targetType: 'user',
+      targetId: user.id,
+      before,
+      after: user,
+    });
+
+    return { user, changed: true };
+  },
+
+  /**
+   * @param {{ user: Object, changed: boolean }} result
+   * @returns {string}
+   */
+  format(result) {
+    return `${formatRecord(result.user, USER_FIELDS)}\n${result.changed ? 'User suspended' : 'User was already suspended'}`;
+  },
+};
+
+module.exports = {
+  create,
+  list,
+  suspend,
+  createUserAccount,
+  hashAccountPassword,
+  insertUserAccount,
+  recordUserCreated,
+};
@@ -0,0 +1,137 @@
+// Shared plumbing for CLI commands: errors, database access, argument helpers
+const { Pool } = require('pg');
+const { getDatabaseConfig } = require('../config/database');
+const { findUserById, findUserByEmail } = require('../repositories/userRepository');
+const { createAuditEvent } = require('../repositories/auditEventRepository');
+const { diffChanges } = require('../utils/audit');
+
+class CliError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ code?: string, details?: Object, exitCode?: number }} [options]
+   *   exitCode - 2 for usage errors, 1 (default) for everything else
+   */
+  constructor(message, { code, details, exitCode = 1 } = {}) {
+    super(message);
+    this.name = 'CliError';
+    this.code = code;
+    this.details = details;
+    this.exitCode = exitCode;
+  }
+}
+
+/**
+ * Build the context handed to every command
+ * @param {{ 'database-url'?: string, json?: boolean }} values - Parsed global options
+ * @returns {{ json: boolean, databaseConfig: () => Promise<Object>, pool: () => Promise<Pool>, close: () => Promise<void> }}
+ *   databaseConfig - --database-url, else DATABASE_URL, else the API's own configuration
+ *   pool - created on first use and closed by close()
+ */
+function createContext(values) {
+  const connectionString = values['database-url'] || process.env.DATABASE_URL;
+  let pool = null;
+
+  return {
+    json: Boolean(values.json),
+
+    async databaseConfig() {
+      return connectionString ? { connectionString } : getDatabaseConfig();
+    },
+
+    async pool() {
+      if (!pool) {
+        pool = new Pool(await this.databaseConfig());
+      }
+      return pool;
+    },
+
+    async close() {
+      if (pool) {
+        await pool.end();
+      }
+    },
+  };
+}
+
+/**
+ * Parse an integer option
+ * @param {string|undefined} value
+ * @param {string} name - Option name for the error message
+ * @param {{ min?: number, max?: number }} [range]
+ * @returns {number|undefined} undefined when the option was not given
+ * @throws {CliError} If the value is not an integer in range
+ */
+function parseInteger(value, name, { min = -Infinity, max = Infinity } = {}) {
+  if (value === undefined) return undefined;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    const range = max === Infinity ? `>= ${min}` : `between ${min} and ${max}`;
+    throw new CliError(`--${name} must be an integer ${range}`, { exitCode: 2 });
+  }
+  return number;
+}
+
+/**
+ * Read all of standard input, e.g. a password piped in with --password-stdin
+ * @returns {Promise<string>} Contents without the trailing newline
+ */
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8').replace(/\r?\n$/, '');
+}
+
+/**
+ * Look up a user by numeric ID or email address
+ * @param {Pool} pool
+ * @param {string} reference - e.g. '42' or 'ada@example.com'
+ * @returns {Promise<Object>}
+ * @throws {CliError} USER_NOT_FOUND
+ */
+async function findUserByReference(pool, reference) {
+  const user = /^\d+$/.test(reference)
+    ? await findUserById(pool, reference)
+    : await findUserByEmail(pool, reference);
+
+  if (!user) {
+    throw new CliError(`User not found: ${reference}`, { code: 'USER_NOT_FOUND' });
+  }
+  return user;
+}
+
+/**
+ * Record an audit event for a CLI action. There is no request or signed-in
+ * actor, so events carry `metadata.source = 'cli'` instead. Like
+ * recordAuditEvent, failures are reported rather than thrown.
+ * @param {Pool} pool
+ * @param {{ action: string, organizationId?: string, targetType?: string, targetId?: string, before?: Object, after?: Object, metadata?: Object }} event
+ * @returns {Promise<void>}
+ */
+async function recordCliAuditEvent(pool, {
+  action, organizationId, targetType, targetId, before, after, metadata,
+}) {
+  try {
+    await createAuditEvent(pool, {
+      organizationId,
+      action,
+      targetType,
+      targetId,
+      changes: diffChanges(before, after),
+      metadata: { ...metadata, source: 'cli' },
+    });
+  } catch (error) {
+    console.error(`Warning: failed to record audit event ${action}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  CliError,
+  createContext,
+  parseInteger,
+  readStdin,
+  findUserByReference,
+  recordCliAuditEvent,
+};
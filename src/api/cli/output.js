@@ -0,0 +1,46 @@
+// Human-readable formatting for CLI results (--json prints the raw result instead)
+
+/**
+ * Render a value for a table cell or record line
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) return '-';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.length ? value.map(formatValue).join(', ') : '-';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Render rows as an aligned plain-text table
+ * @param {Object[]} rows
+ * @param {string[]} columns - Keys to show, in order; also used as headers
+ * @returns {string}
+ */
+function formatTable(rows, columns) {
+  if (rows.length === 0) return '(none)';
+
+  const cells = rows.map(row => columns.map(column => formatValue(row[column])));
+  const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(line => line[i].length)));
+  const line = values => values.map((value, i) => value.padEnd(widths[i])).join('  ').trimEnd();
+
+  return [line(columns), ...cells.map(line)].join('\n');
+}
+
+/**
+ * Render an object as `key: value` lines
+ * @param {Object} record
+ * @param {string[]} [keys] - Keys to show, in order; defaults to all
+ * @returns {string}
+ */
+function formatRecord(record, keys = Object.keys(record)) {
+  const width = Math.max(...keys.map(key => key.length));
+  return keys.map(key => `${`${key}:`.padEnd(width + 1)} ${formatValue(record[key])}`).join('\n');
+}
+
+module.exports = {
+  formatTable,
+  formatRecord,
+};
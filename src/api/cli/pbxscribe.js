@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+// pbxscribe — command-line administration against a PBXScribe database
+//
+//   pbxscribe [--database-url <url>] [--json] <command> [options]
+//
+// Connects with --database-url or DATABASE_URL when given, otherwise with the
+// same configuration as the API (DB_HOST, DB_NAME and its credential provider). Results are
+// printed to stdout, as JSON with --json (errors too, as { "error": { ... } });
+// progress messages go to stderr. Exit status is 0 on success, 1 on failure
+// and 2 for usage errors.
+const { parseArgs } = require('util');
+const { MigrationError } = require('../db/migrator');
+const { CliError, createContext } = require('./context');
+const { formatRecord } = require('./output');
+const migrate = require('./commands/migrate');
+const users = require('./commands/users');
+const apiKeys = require('./commands/apiKeys');
+const lockouts = require('./commands/lockouts');
+const seed = require('./commands/seed');
+
+const COMMANDS = {
+  'migrate up': migrate.up,
+  'migrate down': migrate.down,
+  'migrate status': migrate.status,
+  'users create': users.create,
+  'users list': users.list,
+  'users suspend': users.suspend,
+  'api-keys create': apiKeys.create,
+  'api-keys revoke': apiKeys.revoke,
+  'lockouts list': lockouts.list,
+  'lockouts clear': lockouts.clear,
+  seed,
+};
+
+const GLOBAL_OPTIONS = {
+  'database-url': { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+/**
+ * Usage text listing every command
+ * @returns {string}
+ */
+function usage() {
+  return [
+    'Usage: pbxscribe [--database-url <url>] [--json] <command> [options]',
+    '',
+    'Commands:',
+    ...Object.values(COMMANDS).map(command => `  ${command.usage}\n      ${command.summary}`),
+  ].join('\n');
+}
+
+/**
+ * Print a command's result
+ * @param {Object} command - Entry from COMMANDS
+ * @param {Object} result
+ * @param {boolean} json
+ */
+function printResult(command, result, json) {
+  const text = json ? JSON.stringify(result, null, 2) : (command.format || formatRecord)(result);
+  process.stdout.write(`${text}\n`);
+}
+
+/**
+ * Print an error and set the exit status
+ * @param {Error} error
+ * @param {boolean} json
+ */
+function printError(error, json) {
+  // Stack traces only help with unexpected errors, not our own or the database's
+  const known = error instanceof CliError || error instanceof MigrationError || Boolean(error.code);
+  let message = error.message;
+
+  // Undefined table: almost always a database that has not been migrated yet
+  if (error.code === '42P01') {
+    message = `${message}. Has the database been migrated? Run: pbxscribe migrate up`;
+  }
+
+  if (json) {
+    process.stdout.write(`${JSON.stringify({ error: { message, code: error.code, details: error.details } }, null, 2)}\n`);
+  } else {
+    console.error(`Error: ${message}`);
+    if (!known && error.stack) console.error(error.stack);
+  }
+
+  process.exitCode = error.exitCode || 1;
+}
+
+/**
+ * Parse arguments, run the command and print its result
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<void>}
+ */
+async function main(argv) {
+  // First pass knows every option so option values are not mistaken for command words
+  const allOptions = Object.assign({}, GLOBAL_OPTIONS, ...Object.values(COMMANDS).map(command => command.options));
+  const { values: loose, positionals } = parseArgs({ args: argv, options: allOptions, allowPositionals: true, strict: false });
+  const json = Boolean(loose.json);
+
+  const name = [positionals.slice(0, 2).join(' '), positionals[0]].find(candidate => COMMANDS[candidate]);
+  if (!name) {
+    if (loose.help || positionals.length === 0) {
+      process.stdout.write(`${usage()}\n`);
+      return;
+    }
+    printError(new CliError(`Unknown command: ${positionals.join(' ')}\n\n${usage()}`, { exitCode: 2 }), json);
+    return;
+  }
+
+  const command = COMMANDS[name];
+  if (loose.help) {
+    process.stdout.write(`Usage: pbxscribe ${command.usage}\n\n${command.summary}\n`);
+    return;
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: { ...GLOBAL_OPTIONS, ...command.options }, allowPositionals: true, strict: true });
+  } catch (error) {
+    printError(new CliError(`${error.message}\n\nUsage: pbxscribe ${command.usage}`, { exitCode: 2 }), json);
+    return;
+  }
+
+  const context = createContext(parsed.values);
+  try {
+    const args = parsed.positionals.slice(name.split(' ').length);
+    printResult(command, await command.run(context, parsed.values, args), json);
+  } catch (error) {
+    printError(error, json);
+  } finally {
+    await context.close();
+  }
+}
+
+if (require.main === module) {
+  // The migrator and database config report progress with console.log;
+  // keep stdout for results so --json output can be piped
+  console.log = console.error;
+
+  main(process.argv.slice(2));
+}
+
+module.exports = { main };
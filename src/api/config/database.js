@@ -1,17 +1,19 @@
 // Database configuration module
-const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
+//
+// Credentials come from the provider chosen in credentialProviders.js. They are
+// cached until clearCredentialsCache() is called, which the pool and migrator
+// do when the database rejects them (e.g. after Secrets Manager rotation).
+const { PROVIDERS, selectProvider } = require('./credentialProviders');
 
-// Initialize Secrets Manager client
-const client = new SecretsManagerClient({
-  region: process.env.AWS_REGION || 'us-east-2',
-});
+// Postgres SQLSTATEs for rejected credentials: invalid_password, invalid_authorization_specification
+const AUTHENTICATION_ERROR_CODES = ['28P01', '28000'];
 
 // Cache for database credentials
 let cachedCredentials = null;
 
 /**
- * Retrieve database credentials from AWS Secrets Manager
- * @returns {Promise<{username: string, password: string}>} Database credentials
+ * Retrieve database credentials from the configured provider
+ * @returns {Promise<{username: string, password: string, host?: string, port?: number, dbname?: string, sslmode?: string}>} Database credentials
  */
 async function getDbCredentials() {
   // Return cached credentials if available
@@ -19,24 +21,13 @@ async function getDbCredentials() {
     return cachedCredentials;
   }
 
-  const secretArn = process.env.DB_SECRET_ARN;
-
-  if (!secretArn) {
-    throw new Error('DB_SECRET_ARN environment variable is not set');
-  }
+  const provider = selectProvider();
 
   try {
-    console.log('Retrieving database credentials from Secrets Manager');
-
-    const command = new GetSecretValueCommand({ SecretId: secretArn });
-    const response = await client.send(command);
+    console.log(`Retrieving database credentials (${provider})`);
 
-    if (!response.SecretString) {
-      throw new Error('Secret string is empty');
-    }
-
-    // Parse and cache credentials
-    cachedCredentials = JSON.parse(response.SecretString);
+    // Fetch and cache credentials
+    cachedCredentials = await PROVIDERS[provider]();
 
     console.log('Database credentials retrieved successfully');
     return cachedCredentials;
@@ -47,21 +38,30 @@ async function getDbCredentials() {
 }
 
 /**
- * Get database configuration
+ * TLS settings for a connection
+ * @param {string} [mode] - DB_SSL or the URL's sslmode: 'disable'/'false', 'no-verify', anything else verifies
+ * @returns {false|{rejectUnauthorized: boolean}}
+ */
+function sslConfig(mode) {
+  if (mode === 'disable' || mode === 'false') return false;
+  return { rejectUnauthorized: mode !== 'no-verify' };
+}
+
+/**
+ * Get database configuration. DB_HOST, DB_PORT and DB_NAME take precedence
+ * over connection details supplied by the credential provider.
  * @returns {Promise<Object>} Database connection configuration
  */
 async function getDatabaseConfig() {
   const credentials = await getDbCredentials();
 
   const config = {
-    host: process.env.DB_HOST,
-    port: parseInt(process.env.DB_PORT || '5432', 10),
-    database: process.env.DB_NAME,
+    host: process.env.DB_HOST || credentials.host,
+    port: parseInt(process.env.DB_PORT || credentials.port || '5432', 10),
+    database: process.env.DB_NAME || credentials.dbname,
     user: credentials.username,
     password: credentials.password,
-    ssl: {
-      rejectUnauthorized: true,
-    },
+    ssl: sslConfig(process.env.DB_SSL || credentials.sslmode),
     // Connection pool settings
     max: 10, // Maximum number of clients in the pool
     idleTimeoutMillis: 30000, // Close idle clients after 30 seconds
@@ -80,14 +80,25 @@ async function getDatabaseConfig() {
 }
 
 /**
- * Clear cached credentials (useful for testing or credential rotation)
+ * Clear cached credentials so the next getDbCredentials() call fetches them
+ * again (after rotation, or in tests)
  */
 function clearCredentialsCache() {
   cachedCredentials = null;
 }
 
+/**
+ * Whether an error means the database rejected our credentials
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isAuthenticationError(error) {
+  return Boolean(error) && AUTHENTICATION_ERROR_CODES.includes(error.code);
+}
+
 module.exports = {
   getDatabaseConfig,
   getDbCredentials,
   clearCredentialsCache,
+  isAuthenticationError,
 };
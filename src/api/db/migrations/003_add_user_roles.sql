@@ -0,0 +1,5 @@
+ALTER TABLE users
+  ADD COLUMN role VARCHAR(20) NOT NULL DEFAULT 'member'
+    CHECK (role IN ('admin', 'manager', 'member'));
+
+CREATE INDEX IF NOT EXISTS idx_users_role ON users (role);
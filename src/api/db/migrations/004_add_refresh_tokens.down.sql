@@ -0,0 +1,14 @@
+DROP INDEX IF EXISTS idx_user_creds_hash;
+
+ALTER TABLE users
+  DROP COLUMN IF EXISTS token_version;
+
+-- Refresh tokens cannot exist without the credential type; their holders sign in again
+DELETE FROM user_credentials WHERE credential_type = 'refresh_token';
+
+ALTER TABLE user_credentials
+  DROP CONSTRAINT IF EXISTS user_credentials_credential_type_check;
+
+ALTER TABLE user_credentials
+  ADD CONSTRAINT user_credentials_credential_type_check
+    CHECK (credential_type IN ('password', 'api_key'));
@@ -0,0 +1,12 @@
+ALTER TABLE user_credentials
+  DROP CONSTRAINT IF EXISTS user_credentials_credential_type_check;
+
+ALTER TABLE user_credentials
+  ADD CONSTRAINT user_credentials_credential_type_check
+    CHECK (credential_type IN ('password', 'api_key', 'refresh_token'));
+
+-- Bumped to revoke every access token issued to the user
+ALTER TABLE users
+  ADD COLUMN token_version INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_user_creds_hash ON user_credentials (credential_hash);
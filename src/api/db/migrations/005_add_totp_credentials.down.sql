@@ -0,0 +1,9 @@
+-- Removes TOTP enrollments and recovery codes: affected users lose their second factor
+DELETE FROM user_credentials WHERE credential_type IN ('totp', 'recovery_code');
+
+ALTER TABLE user_credentials
+  DROP CONSTRAINT IF EXISTS user_credentials_credential_type_check;
+
+ALTER TABLE user_credentials
+  ADD CONSTRAINT user_credentials_credential_type_check
+    CHECK (credential_type IN ('password', 'api_key', 'refresh_token'));
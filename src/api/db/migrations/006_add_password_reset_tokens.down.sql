@@ -0,0 +1,9 @@
+-- Outstanding reset links stop working
+DELETE FROM user_credentials WHERE credential_type = 'password_reset';
+
+ALTER TABLE user_credentials
+  DROP CONSTRAINT IF EXISTS user_credentials_credential_type_check;
+
+ALTER TABLE user_credentials
+  ADD CONSTRAINT user_credentials_credential_type_check
+    CHECK (credential_type IN ('password', 'api_key', 'refresh_token', 'totp', 'recovery_code'));
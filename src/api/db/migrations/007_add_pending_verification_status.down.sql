@@ -0,0 +1,9 @@
+-- Unverified accounts become inactive rather than active
+UPDATE users SET status = 'inactive' WHERE status = 'pending_verification';
+
+ALTER TABLE users
+  DROP CONSTRAINT IF EXISTS users_status_check;
+
+ALTER TABLE users
+  ADD CONSTRAINT users_status_check
+    CHECK (status IN ('active', 'inactive', 'suspended'));
@@ -0,0 +1,16 @@
+CREATE TABLE auth_lockouts (
+  id BIGSERIAL PRIMARY KEY,
+  scope VARCHAR(10) NOT NULL
+    CHECK (scope IN ('email', 'ip')),
+  identifier VARCHAR(255) NOT NULL,
+  failed_count INTEGER NOT NULL DEFAULT 0,
+  first_failed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_failed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_until TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT auth_lockouts_scope_identifier_unique UNIQUE (scope, identifier)
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_lockouts_locked_until ON auth_lockouts (locked_until)
+  WHERE locked_until IS NOT NULL;
@@ -0,0 +1,7 @@
+-- Scoped keys become unrestricted; revoke them instead of silently widening their access
+UPDATE user_credentials
+SET is_active = false, updated_at = NOW()
+WHERE scopes IS NOT NULL;
+
+ALTER TABLE user_credentials
+  DROP COLUMN IF EXISTS scopes;
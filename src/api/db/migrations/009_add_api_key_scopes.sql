@@ -0,0 +1,3 @@
+-- NULL scopes = unrestricted (the key has every permission of its owner)
+ALTER TABLE user_credentials
+  ADD COLUMN scopes TEXT[];
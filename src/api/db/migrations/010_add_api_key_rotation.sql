@@ -0,0 +1,3 @@
+-- Set on a rotated API key; points at the key that replaced it
+ALTER TABLE user_credentials
+  ADD COLUMN replaced_by_id BIGINT REFERENCES user_credentials(id) ON DELETE SET NULL;
@@ -0,0 +1,6 @@
+DROP INDEX IF EXISTS idx_users_organization_id;
+
+ALTER TABLE users
+  DROP COLUMN IF EXISTS organization_id;
+
+DROP TABLE IF EXISTS organizations;
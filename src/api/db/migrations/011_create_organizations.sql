@@ -0,0 +1,23 @@
+CREATE TABLE organizations (
+  id BIGSERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Every user belongs to exactly one organization; existing users move into a default one
+ALTER TABLE users
+  ADD COLUMN organization_id BIGINT REFERENCES organizations(id) ON DELETE RESTRICT;
+
+INSERT INTO organizations (name)
+SELECT 'Default'
+WHERE EXISTS (SELECT 1 FROM users);
+
+UPDATE users
+SET organization_id = (SELECT MIN(id) FROM organizations)
+WHERE organization_id IS NULL;
+
+ALTER TABLE users
+  ALTER COLUMN organization_id SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_users_organization_id ON users (organization_id);
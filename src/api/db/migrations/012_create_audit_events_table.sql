@@ -0,0 +1,20 @@
+-- Actor and target IDs are kept without foreign keys so history survives user deletion
+CREATE TABLE audit_events (
+  id BIGSERIAL PRIMARY KEY,
+  organization_id BIGINT REFERENCES organizations(id) ON DELETE CASCADE,
+  actor_user_id BIGINT,
+  credential_id BIGINT,
+  ip VARCHAR(45),
+  request_id VARCHAR(100),
+  action VARCHAR(100) NOT NULL,
+  target_type VARCHAR(50),
+  target_id VARCHAR(100),
+  changes JSONB,
+  metadata JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_org_created ON audit_events (organization_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_action ON audit_events (action);
+CREATE INDEX IF NOT EXISTS idx_audit_events_actor ON audit_events (actor_user_id);
+CREATE INDEX IF NOT EXISTS idx_audit_events_target ON audit_events (target_type, target_id);
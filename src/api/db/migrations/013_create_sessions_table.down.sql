@@ -0,0 +1,7 @@
+-- Refresh tokens are tied to sessions; their holders sign in again
+DELETE FROM user_credentials WHERE session_id IS NOT NULL;
+
+ALTER TABLE user_credentials
+  DROP COLUMN IF EXISTS session_id;
+
+DROP TABLE IF EXISTS sessions;
@@ -0,0 +1,20 @@
+CREATE TABLE sessions (
+  id BIGSERIAL PRIMARY KEY,
+  user_id BIGINT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  user_agent VARCHAR(512),
+  ip VARCHAR(45),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user_active ON sessions (user_id)
+  WHERE revoked_at IS NULL;
+
+-- Refresh tokens belong to the session they renew
+ALTER TABLE user_credentials
+  ADD COLUMN session_id BIGINT REFERENCES sessions(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_user_creds_session_id ON user_credentials (session_id)
+  WHERE session_id IS NOT NULL;
@@ -0,0 +1,12 @@
+-- Users linked through single sign-on keep their accounts but lose the link
+DELETE FROM user_credentials WHERE credential_type = 'oidc';
+
+ALTER TABLE user_credentials
+  DROP CONSTRAINT IF EXISTS user_credentials_credential_type_check;
+
+ALTER TABLE user_credentials
+  ADD CONSTRAINT user_credentials_credential_type_check
+    CHECK (credential_type IN ('password', 'api_key', 'refresh_token', 'totp', 'recovery_code', 'password_reset'));
+
+DROP TABLE IF EXISTS oidc_login_states;
+DROP TABLE IF EXISTS identity_providers;
@@ -0,0 +1,40 @@
+-- One OpenID Connect identity provider per organization
+CREATE TABLE identity_providers (
+  id BIGSERIAL PRIMARY KEY,
+  organization_id BIGINT NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  issuer VARCHAR(500) NOT NULL,
+  client_id VARCHAR(255) NOT NULL,
+  client_secret TEXT,
+  scopes VARCHAR(255) NOT NULL DEFAULT 'openid email profile',
+  email_domains TEXT[] NOT NULL DEFAULT '{}',
+  auto_provision BOOLEAN NOT NULL DEFAULT true,
+  default_role VARCHAR(20) NOT NULL DEFAULT 'member'
+    CHECK (default_role IN ('admin', 'manager', 'member')),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT identity_providers_organization_unique UNIQUE (organization_id)
+);
+
+-- Pending authorization requests: state, PKCE verifier and nonce until the callback
+CREATE TABLE oidc_login_states (
+  id BIGSERIAL PRIMARY KEY,
+  state_hash VARCHAR(64) NOT NULL,
+  identity_provider_id BIGINT NOT NULL REFERENCES identity_providers(id) ON DELETE CASCADE,
+  code_verifier VARCHAR(128) NOT NULL,
+  nonce VARCHAR(64) NOT NULL,
+  redirect_uri VARCHAR(500) NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  CONSTRAINT oidc_login_states_state_hash_unique UNIQUE (state_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_oidc_login_states_expires_at ON oidc_login_states (expires_at);
+
+-- Linked IdP accounts are stored as 'oidc' credentials keyed by a hash of issuer + subject
+ALTER TABLE user_credentials
+  DROP CONSTRAINT IF EXISTS user_credentials_credential_type_check;
+
+ALTER TABLE user_credentials
+  ADD CONSTRAINT user_credentials_credential_type_check
+    CHECK (credential_type IN ('password', 'api_key', 'refresh_token', 'totp', 'recovery_code', 'password_reset', 'oidc'));
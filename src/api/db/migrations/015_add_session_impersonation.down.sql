@@ -0,0 +1,5 @@
+-- End running impersonations, which would otherwise look like the admin's own sessions
+DELETE FROM sessions WHERE impersonated_user_id IS NOT NULL;
+
+ALTER TABLE sessions
+  DROP COLUMN IF EXISTS impersonated_user_id;
@@ -0,0 +1,4 @@
+-- Sessions started by an admin impersonating another user.
+-- The session belongs to the admin; revoking it (or any admin logout that revokes it) ends the impersonation.
+ALTER TABLE sessions
+  ADD COLUMN IF NOT EXISTS impersonated_user_id BIGINT REFERENCES users(id) ON DELETE CASCADE;
@@ -0,0 +1,18 @@
+-- Pending invitations are withdrawn; invited users stay, as inactive users without a password
+DELETE FROM user_credentials WHERE credential_type = 'invitation';
+
+UPDATE users SET status = 'inactive' WHERE status = 'invited';
+
+ALTER TABLE user_credentials
+  DROP CONSTRAINT IF EXISTS user_credentials_credential_type_check;
+
+ALTER TABLE user_credentials
+  ADD CONSTRAINT user_credentials_credential_type_check
+    CHECK (credential_type IN ('password', 'api_key', 'refresh_token', 'totp', 'recovery_code', 'password_reset', 'oidc'));
+
+ALTER TABLE users
+  DROP CONSTRAINT IF EXISTS users_status_check;
+
+ALTER TABLE users
+  ADD CONSTRAINT users_status_check
+    CHECK (status IN ('active', 'inactive', 'suspended', 'pending_verification'));
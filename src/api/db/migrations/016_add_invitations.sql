@@ -0,0 +1,15 @@
+-- Invited users exist before they have a password; accepting the invitation activates them
+ALTER TABLE users
+  DROP CONSTRAINT IF EXISTS users_status_check;
+
+ALTER TABLE users
+  ADD CONSTRAINT users_status_check
+    CHECK (status IN ('active', 'inactive', 'suspended', 'pending_verification', 'invited'));
+
+-- Invite tokens are stored hashed as 'invitation' credentials of the invited user
+ALTER TABLE user_credentials
+  DROP CONSTRAINT IF EXISTS user_credentials_credential_type_check;
+
+ALTER TABLE user_credentials
+  ADD CONSTRAINT user_credentials_credential_type_check
+    CHECK (credential_type IN ('password', 'api_key', 'refresh_token', 'totp', 'recovery_code', 'password_reset', 'oidc', 'invitation'));
@@ -0,0 +1,13 @@
+-- Without deleted_at a soft-deleted user would come back to life, so deleted users
+-- are purged now instead of at the end of their retention window
+DELETE FROM users WHERE deleted_at IS NOT NULL;
+
+DROP INDEX IF EXISTS users_email_unique;
+
+ALTER TABLE users
+  ADD CONSTRAINT users_email_unique UNIQUE (email);
+
+DROP INDEX IF EXISTS idx_users_deleted_at;
+
+ALTER TABLE users
+  DROP COLUMN IF EXISTS deleted_at;
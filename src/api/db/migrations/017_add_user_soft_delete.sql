@@ -0,0 +1,14 @@
+-- Deleted users are kept for a retention window so a deletion can be undone,
+-- then purged by the scheduled job
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_users_deleted_at ON users (deleted_at)
+  WHERE deleted_at IS NOT NULL;
+
+-- An email address is only reserved by users that have not been deleted
+ALTER TABLE users
+  DROP CONSTRAINT IF EXISTS users_email_unique;
+
+CREATE UNIQUE INDEX IF NOT EXISTS users_email_unique ON users (email)
+  WHERE deleted_at IS NULL;
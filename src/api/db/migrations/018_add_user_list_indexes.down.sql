@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_users_org_created_at;
+DROP INDEX IF EXISTS idx_users_org_updated_at;
+DROP INDEX IF EXISTS idx_users_org_email;
+DROP INDEX IF EXISTS idx_users_org_name;
@@ -0,0 +1,13 @@
+-- Keyset pagination for GET /users: one index per sortable column, scoped to the
+-- organization, with id as the tie-breaker
+CREATE INDEX IF NOT EXISTS idx_users_org_created_at ON users (organization_id, created_at, id)
+  WHERE deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_users_org_updated_at ON users (organization_id, updated_at, id)
+  WHERE deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_users_org_email ON users (organization_id, email, id)
+  WHERE deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_users_org_name ON users (organization_id, name, id)
+  WHERE deleted_at IS NULL;
@@ -0,0 +1,4 @@
+-- Per-organization password policy overrides, e.g. {"min_length": 12, "required_classes": ["special"]}.
+-- They can only tighten the deployment-wide policy.
+ALTER TABLE organizations
+  ADD COLUMN IF NOT EXISTS password_policy JSONB NOT NULL DEFAULT '{}'::jsonb;
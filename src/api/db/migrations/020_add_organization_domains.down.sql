@@ -0,0 +1,12 @@
+ALTER TABLE identity_providers
+  ADD COLUMN IF NOT EXISTS email_domains TEXT[] NOT NULL DEFAULT '{}';
+
+UPDATE identity_providers
+SET email_domains = ARRAY(
+  SELECT domain FROM organization_domains
+  WHERE organization_domains.organization_id = identity_providers.organization_id
+    AND verified_at IS NOT NULL
+  ORDER BY domain
+);
+
+DROP TABLE IF EXISTS organization_domains;
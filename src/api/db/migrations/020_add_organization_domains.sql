@@ -0,0 +1,24 @@
+-- Email domains an organization claims for single sign-on. A claim only takes effect once
+-- verified through a DNS TXT record, and a verified domain belongs to exactly one organization.
+CREATE TABLE organization_domains (
+  id BIGSERIAL PRIMARY KEY,
+  organization_id BIGINT NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  domain VARCHAR(255) NOT NULL,
+  verification_token VARCHAR(64) NOT NULL,
+  verified_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT organization_domains_organization_domain_unique UNIQUE (organization_id, domain)
+);
+
+-- Unverified claims may overlap, so squatting on a domain cannot lock its owner out
+CREATE UNIQUE INDEX IF NOT EXISTS idx_organization_domains_verified_domain
+  ON organization_domains (domain) WHERE verified_at IS NOT NULL;
+
+-- Domains listed on identity providers were never verified; keep them as pending claims
+INSERT INTO organization_domains (organization_id, domain, verification_token)
+SELECT organization_id, LOWER(domain), md5(random()::text || clock_timestamp()::text || domain)
+FROM identity_providers, unnest(email_domains) AS domain
+ON CONFLICT DO NOTHING;
+
+ALTER TABLE identity_providers
+  DROP COLUMN IF EXISTS email_domains;
@@ -1,9 +1,53 @@
 // Database migration runner
+//
+// Migrations are numbered SQL files in db/migrations (e.g. 012_create_audit_events_table.sql).
+// A migration can be reverted when it has a matching down script next to it
+// (012_create_audit_events_table.down.sql). schema_migrations keeps one row per
+// migration; rolled_back_at is set when it is reverted and cleared if it is applied again.
+// Each row also keeps a SHA-256 checksum of the file as it was applied, and the
+// runner refuses to continue if an applied file has since been edited.
+//
+// Each file runs in its own transaction unless it contains the line
+// `-- migrate:no-transaction` (needed for e.g. CREATE INDEX CONCURRENTLY). Such
+// files run one statement at a time, so a failure part-way leaves the earlier
+// statements applied: write them to be safe to run again (IF NOT EXISTS etc.).
+//
+// A run holds a Postgres advisory lock from start to finish so concurrent runs
+// (a Lambda retry racing the deploy script) cannot apply the same migrations twice.
+const crypto = require('crypto');
 const { Client } = require('pg');
-const { getDatabaseConfig } = require('../config/database');
+const { getDatabaseConfig, clearCredentialsCache, isAuthenticationError } = require('../config/database');
+const { compareSchema } = require('./schema');
 const fs = require('fs');
 const path = require('path');
 
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'db', 'migrations');
+
+// Advisory lock key shared by every migration run ('pbxs' in ASCII)
+const MIGRATION_LOCK_KEY = 0x70627873;
+
+// How long a run waits for another run to finish before giving up (0 = don't wait)
+const MIGRATION_LOCK_TIMEOUT_MS = parseInt(process.env.MIGRATION_LOCK_TIMEOUT_MS || '10000', 10);
+
+const NO_TRANSACTION_MARKER = /^\s*--\s*migrate:no-transaction\s*$/m;
+
+// Creates audit_events, which drop_tables keeps (see dropAllTables)
+const AUDIT_LOG_MIGRATION = '012_create_audit_events_table.sql';
+
+class MigrationError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - e.g. 'MISSING_DOWN_MIGRATION', 'MIGRATION_IN_PROGRESS'
+   * @param {Object} [details] - Extra context for the caller, e.g. the planned changes
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'MigrationError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
 /**
  * Ensure schema_migrations table exists
  * @param {Client} client - PostgreSQL client
@@ -16,18 +60,99 @@ async function ensureMigrationsTable(client) {
       applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
     )
   `);
+  await client.query(`
+    ALTER TABLE schema_migrations
+      ADD COLUMN IF NOT EXISTS rolled_back_at TIMESTAMPTZ,
+      ADD COLUMN IF NOT EXISTS checksum VARCHAR(64)
+  `);
 }
 
 /**
- * Get list of applied migrations
+ * Get applied migrations with their recorded checksums
  * @param {Client} client - PostgreSQL client
- * @returns {Promise<string[]>} Array of applied migration filenames
+ * @returns {Promise<Array<{ filename: string, checksum: string|null, applied_at: Date }>>} Oldest first;
+ *   checksum is null for migrations applied before checksums were recorded
  */
 async function getAppliedMigrations(client) {
   const result = await client.query(
-    'SELECT filename FROM schema_migrations ORDER BY filename'
+    `SELECT filename, checksum, applied_at
+     FROM schema_migrations
+     WHERE rolled_back_at IS NULL
+     ORDER BY filename`
   );
-  return result.rows.map(row => row.filename);
+  return result.rows;
+}
+
+/**
+ * SHA-256 of migration SQL
+ * @param {string} sql - File contents
+ * @returns {string} Hex digest
+ */
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql).digest('hex');
+}
+
+/**
+ * Checksum of a migration file as it is on disk now
+ * @param {string} filename - Migration filename
+ * @returns {string|null} Hex digest, or null if the file no longer exists
+ */
+function fileChecksum(filename) {
+  const filePath = path.join(MIGRATIONS_DIR, filename);
+  return fs.existsSync(filePath) ? checksum(fs.readFileSync(filePath, 'utf8')) : null;
+}
+
+/**
+ * Record checksums for migrations applied before checksums were stored,
+ * trusting the files as they are now
+ * @param {Client} client - PostgreSQL client
+ * @param {Array<{ filename: string, checksum: string|null }>} applied - From getAppliedMigrations; updated in place
+ */
+async function backfillChecksums(client, applied) {
+  for (const migration of applied) {
+    if (migration.checksum) continue;
+    const current = fileChecksum(migration.filename);
+    if (!current) continue;
+
+    await client.query(
+      'UPDATE schema_migrations SET checksum = $2 WHERE filename = $1',
+      [migration.filename, current]
+    );
+    migration.checksum = current;
+  }
+}
+
+/**
+ * Find applied migrations whose file was edited or deleted after it ran
+ * @param {Array<{ filename: string, checksum: string|null }>} applied - From getAppliedMigrations
+ * @returns {Array<{ filename: string, recorded_checksum: string, current_checksum: string|null }>}
+ *   current_checksum is null when the file is missing
+ */
+function findModifiedMigrations(applied) {
+  return applied
+    .filter(migration => migration.checksum)
+    .map(migration => ({
+      filename: migration.filename,
+      recorded_checksum: migration.checksum,
+      current_checksum: fileChecksum(migration.filename),
+    }))
+    .filter(migration => migration.current_checksum !== migration.recorded_checksum);
+}
+
+/**
+ * List the up migration files in the migrations directory
+ * @returns {string[]} Filenames in the order they apply
+ */
+function listMigrationFiles() {
+  // Create migrations directory if it doesn't exist
+  if (!fs.existsSync(MIGRATIONS_DIR)) {
+    fs.mkdirSync(MIGRATIONS_DIR, { recursive: true });
+    return [];
+  }
+
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.sql') && !file.endsWith('.down.sql'))
+    .sort();
 }
 
 /**
@@ -36,21 +161,144 @@ async function getAppliedMigrations(client) {
  * @returns {string[]} Array of pending migration filenames
  */
 function getPendingMigrations(appliedMigrations) {
-  const migrationsDir = path.join(__dirname, '..', 'db', 'migrations');
+  return listMigrationFiles().filter(file => !appliedMigrations.includes(file));
+}
 
-  // Create migrations directory if it doesn't exist
-  if (!fs.existsSync(migrationsDir)) {
-    fs.mkdirSync(migrationsDir, { recursive: true });
-    return [];
+/**
+ * Name of the down script that reverts a migration
+ * @param {string} filename - e.g. '012_create_audit_events_table.sql'
+ * @returns {string} e.g. '012_create_audit_events_table.down.sql'
+ */
+function downFilename(filename) {
+  return filename.replace(/\.sql$/, '.down.sql');
+}
+
+/**
+ * Numeric version of a migration
+ * @param {string} filename - e.g. '012_create_audit_events_table.sql'
+ * @returns {number} e.g. 12
+ */
+function migrationVersion(filename) {
+  return parseInt(filename, 10);
+}
+
+/**
+ * Work out which migrations to apply and which to revert
+ * @param {string[]} applied - Applied migrations, oldest first
+ * @param {{ targetVersion?: number, rollbackSteps?: number }} options
+ *   targetVersion - end with exactly the migrations numbered up to this version applied (0 = none)
+ *   rollbackSteps - revert this many of the most recently applied migrations
+ * @returns {{ apply: string[], revert: string[] }} revert is newest first
+ * @throws {MigrationError} If the target is unknown or a migration to revert has no down script
+ */
+function planMigrations(applied, { targetVersion, rollbackSteps } = {}) {
+  let apply = getPendingMigrations(applied);
+  let revert = [];
+
+  if (rollbackSteps !== undefined) {
+    if (rollbackSteps > applied.length) {
+      throw new MigrationError(
+        `Cannot roll back ${rollbackSteps} migration(s): only ${applied.length} applied`,
+        'INVALID_ROLLBACK'
+      );
+    }
+    apply = [];
+    revert = applied.slice(applied.length - rollbackSteps).reverse();
+  } else if (targetVersion !== undefined) {
+    const known = listMigrationFiles().some(file => migrationVersion(file) === targetVersion);
+    if (targetVersion !== 0 && !known) {
+      throw new MigrationError(`No migration has version ${targetVersion}`, 'UNKNOWN_VERSION');
+    }
+    apply = apply.filter(file => migrationVersion(file) <= targetVersion);
+    revert = applied.filter(file => migrationVersion(file) > targetVersion).reverse();
   }
 
-  // Read all .sql files from migrations directory
-  const files = fs.readdirSync(migrationsDir)
-    .filter(file => file.endsWith('.sql'))
-    .sort();
+  const irreversible = revert.filter(file => !fs.existsSync(path.join(MIGRATIONS_DIR, downFilename(file))));
+  if (irreversible.length > 0) {
+    throw new MigrationError(
+      `Cannot roll back without a down migration: ${irreversible.join(', ')}`,
+      'MISSING_DOWN_MIGRATION',
+      { migrations: irreversible }
+    );
+  }
 
-  // Filter out already applied migrations
-  return files.filter(file => !appliedMigrations.includes(file));
+  return { apply, revert };
+}
+
+/**
+ * Split SQL into individual statements on top-level semicolons, leaving
+ * semicolons inside quotes, dollar-quoted bodies and comments alone
+ * @param {string} sql
+ * @returns {string[]} Non-empty statements without the trailing semicolon
+ */
+function splitStatements(sql) {
+  const statements = [];
+  let current = '';
+  let i = 0;
+
+  while (i < sql.length) {
+    const rest = sql.slice(i);
+    let token;
+
+    if (rest.startsWith('--')) {
+      const newline = rest.indexOf('\n');
+      token = newline === -1 ? rest : rest.slice(0, newline + 1);
+    } else if (rest.startsWith('/*')) {
+      const close = rest.indexOf('*/', 2);
+      token = close === -1 ? rest : rest.slice(0, close + 2);
+    } else if (rest[0] === '\'' || rest[0] === '"') {
+      // A doubled quote inside the literal ('it''s') just continues the scan
+      const close = rest.indexOf(rest[0], 1);
+      token = close === -1 ? rest : rest.slice(0, close + 1);
+    } else if (/^\$[A-Za-z_]*\$/.test(rest)) {
+      const tag = rest.match(/^\$[A-Za-z_]*\$/)[0];
+      const close = rest.indexOf(tag, tag.length);
+      token = close === -1 ? rest : rest.slice(0, close + tag.length);
+    } else if (rest[0] === ';') {
+      if (current.trim()) statements.push(current.trim());
+      current = '';
+      i += 1;
+      continue;
+    } else {
+      token = rest[0];
+    }
+
+    current += token;
+    i += token.length;
+  }
+
+  if (current.trim()) statements.push(current.trim());
+  // Drop comment-only fragments, e.g. a trailing comment after the last statement
+  return statements.filter(statement => statement.replace(/--[^\n]*|\/\*[\s\S]*?\*\//g, '').trim());
+}
+
+/**
+ * Execute migration SQL and record the outcome in schema_migrations.
+ * Both happen in one transaction unless the file opts out with the
+ * no-transaction marker, in which case statements run one by one.
+ * @param {Client} client - PostgreSQL client
+ * @param {string} sql - Migration or down script contents
+ * @param {() => Promise<void>} record - Updates schema_migrations
+ */
+async function executeMigration(client, sql, record) {
+  if (NO_TRANSACTION_MARKER.test(sql)) {
+    for (const statement of splitStatements(sql)) {
+      await client.query(statement);
+    }
+    await record();
+    return;
+  }
+
+  await client.query('BEGIN');
+
+  try {
+    await client.query(sql);
+    await record();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
 }
 
 /**
@@ -59,89 +307,321 @@ function getPendingMigrations(appliedMigrations) {
  * @param {string} filename - Migration filename
  */
 async function runMigration(client, filename) {
-  const migrationsDir = path.join(__dirname, '..', 'db', 'migrations');
-  const filePath = path.join(migrationsDir, filename);
+  const filePath = path.join(MIGRATIONS_DIR, filename);
 
   // Read migration SQL
   const sql = fs.readFileSync(filePath, 'utf8');
 
-  // Run migration in a transaction
-  await client.query('BEGIN');
-
   try {
-    // Execute migration SQL
-    await client.query(sql);
-
-    // Record migration as applied
-    await client.query(
-      'INSERT INTO schema_migrations (filename) VALUES ($1)',
-      [filename]
-    );
-
-    await client.query('COMMIT');
+    // Record migration as applied (again, if it was rolled back before)
+    await executeMigration(client, sql, () => client.query(
+      `INSERT INTO schema_migrations (filename, checksum) VALUES ($1, $2)
+       ON CONFLICT (filename) DO UPDATE SET applied_at = NOW(), rolled_back_at = NULL, checksum = $2`,
+      [filename, checksum(sql)]
+    ));
     console.log(`✓ Applied migration: ${filename}`);
   } catch (error) {
-    await client.query('ROLLBACK');
     console.error(`✗ Failed to apply migration: ${filename}`);
     throw error;
   }
 }
 
 /**
- * Drop all application tables and reset migration history.
+ * Revert a single migration using its down script
  * @param {Client} client - PostgreSQL client
+ * @param {string} filename - Migration filename (the up file)
+ */
+async function revertMigration(client, filename) {
+  const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, downFilename(filename)), 'utf8');
+
+  try {
+    await executeMigration(client, sql, () => client.query(
+      'UPDATE schema_migrations SET rolled_back_at = NOW() WHERE filename = $1',
+      [filename]
+    ));
+    console.log(`✓ Rolled back migration: ${filename}`);
+  } catch (error) {
+    console.error(`✗ Failed to roll back migration: ${filename}`);
+    throw error;
+  }
+}
+
+/**
+ * Take the migration advisory lock, waiting up to timeoutMs for another run to release it.
+ * The lock belongs to the connection and is released when it closes.
+ * @param {Client} client - PostgreSQL client
+ * @param {number} timeoutMs - 0 to fail immediately if the lock is held
+ * @throws {MigrationError} MIGRATION_IN_PROGRESS if the lock could not be taken in time
+ */
+async function acquireMigrationLock(client, timeoutMs) {
+  let acquired;
+
+  if (timeoutMs > 0) {
+    // lock_timeout bounds the wait; setting it to 0 would mean "wait forever"
+    await client.query("SELECT set_config('lock_timeout', $1, false)", [`${timeoutMs}ms`]);
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+      acquired = true;
+    } catch (error) {
+      if (error.code !== '55P03') throw error; // lock_not_available
+      acquired = false;
+    } finally {
+      await client.query('RESET lock_timeout');
+    }
+  } else {
+    const result = await client.query('SELECT pg_try_advisory_lock($1) AS acquired', [MIGRATION_LOCK_KEY]);
+    acquired = result.rows[0].acquired;
+  }
+
+  if (!acquired) {
+    throw new MigrationError(
+      'Another migration run is already in progress. Try again once it has finished.',
+      'MIGRATION_IN_PROGRESS'
+    );
+  }
+}
+
+/**
+ * Whether some connection currently holds the migration lock
+ * @param {Client} client - PostgreSQL client
+ * @returns {Promise<boolean>}
+ */
+async function isMigrationLocked(client) {
+  // A single bigint key is stored as classid (high 32 bits) / objid (low 32 bits), objsubid 1
+  const result = await client.query(
+    `SELECT EXISTS (
+       SELECT 1 FROM pg_locks
+       WHERE locktype = 'advisory' AND granted
+         AND classid = 0 AND objid = $1 AND objsubid = 1
+         AND database = (SELECT oid FROM pg_database WHERE datname = current_database())
+     ) AS locked`,
+    [MIGRATION_LOCK_KEY]
+  );
+  return result.rows[0].locked;
+}
+
+/**
+ * Drop all application tables and reset migration history, except the audit log:
+ * it records who reset the database, so it survives along with its migration.
+ * Events of the dropped organizations are detached (their ID moves to metadata)
+ * so they cannot show up under a new organization that reuses the ID.
+ * @param {Client} client - PostgreSQL client
+ * @returns {Promise<boolean>} Whether an existing audit log was kept
  */
 async function dropAllTables(client) {
+  const { rows } = await client.query("SELECT to_regclass('audit_events') IS NOT NULL AS exists");
+  const keepAuditLog = rows[0].exists;
+
+  if (keepAuditLog) {
+    await client.query(
+      `UPDATE audit_events
+       SET metadata = metadata || jsonb_build_object('dropped_organization_id', organization_id),
+           organization_id = NULL
+       WHERE organization_id IS NOT NULL`
+    );
+  }
+
+  // CASCADE also drops the audit log's foreign key to organizations; see restoreAuditLogReferences
   await client.query(`
+    DROP TABLE IF EXISTS auth_lockouts CASCADE;
+    DROP TABLE IF EXISTS oidc_login_states CASCADE;
+    DROP TABLE IF EXISTS identity_providers CASCADE;
+    DROP TABLE IF EXISTS organization_domains CASCADE;
+    DROP TABLE IF EXISTS sessions CASCADE;
     DROP TABLE IF EXISTS user_credentials CASCADE;
     DROP TABLE IF EXISTS users CASCADE;
+    DROP TABLE IF EXISTS organizations CASCADE;
   `);
-  await client.query('DELETE FROM schema_migrations');
-  console.log('All tables dropped and migration history cleared');
+  await client.query(
+    'DELETE FROM schema_migrations WHERE NOT ($1 AND filename = $2)',
+    [keepAuditLog, AUDIT_LOG_MIGRATION]
+  );
+  console.log(keepAuditLog
+    ? 'All tables except audit_events dropped and migration history cleared'
+    : 'All tables dropped and migration history cleared');
+  return keepAuditLog;
 }
 
 /**
- * Run all pending migrations
- * @param {{ dropTables?: boolean }} [options]
- * @returns {Promise<{applied: string[], message: string}>} Migration result
+ * Put back the audit log's foreign key to organizations once a drop_tables run
+ * has recreated them. All remaining events either have no organization or one created since.
+ * @param {Client} client - PostgreSQL client
  */
-async function runMigrations({ dropTables = false } = {}) {
-  const dbConfig = await getDatabaseConfig();
-  const client = new Client(dbConfig);
+async function restoreAuditLogReferences(client) {
+  await client.query(`
+    ALTER TABLE audit_events DROP CONSTRAINT IF EXISTS audit_events_organization_id_fkey;
+    ALTER TABLE audit_events
+      ADD CONSTRAINT audit_events_organization_id_fkey
+      FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE;
+  `);
+}
+
+/**
+ * Open a dedicated connection. With the default configuration, credentials the
+ * database rejects (e.g. after rotation) are fetched again and the connection retried once.
+ * @param {Object} [databaseConfig] - pg connection settings; defaults to getDatabaseConfig()
+ * @returns {Promise<Client>} Connected client; the caller must end() it
+ */
+async function connect(databaseConfig) {
+  const client = new Client(databaseConfig || await getDatabaseConfig());
 
   try {
     await client.connect();
+    return client;
+  } catch (error) {
+    if (databaseConfig || !isAuthenticationError(error)) throw error;
+
+    clearCredentialsCache();
+    const retry = new Client(await getDatabaseConfig());
+    await retry.connect();
+    return retry;
+  }
+}
+
+/**
+ * Bring the schema up to date, to a target version, or back a number of steps.
+ * Reverting anything requires `confirm`; without it a CONFIRMATION_REQUIRED
+ * MigrationError carrying the plan is thrown and nothing changes.
+ * @param {{ dropTables?: boolean, targetVersion?: number, rollbackSteps?: number, confirm?: boolean, dryRun?: boolean, lockTimeoutMs?: number, databaseConfig?: Object }} [options]
+ *   targetVersion - migrate up or down so exactly the migrations up to this version are applied
+ *   rollbackSteps - revert the most recently applied migrations
+ *   dryRun - report the plan without changing anything
+ *   lockTimeoutMs - how long to wait for a concurrent run (default MIGRATION_LOCK_TIMEOUT_MS)
+ *   databaseConfig - pg connection settings; defaults to getDatabaseConfig()
+ * @returns {Promise<{ applied: string[], rolledBack: string[], dryRun: boolean, message: string }>} Migration result
+ * @throws {MigrationError}
+ */
+async function runMigrations({
+  dropTables = false,
+  targetVersion,
+  rollbackSteps,
+  confirm = false,
+  dryRun = false,
+  lockTimeoutMs = MIGRATION_LOCK_TIMEOUT_MS,
+  databaseConfig,
+} = {}) {
+  const client = await connect(databaseConfig);
+
+  try {
     console.log('Connected to database for migrations');
 
+    // Held until client.end() below, even if a migration fails
+    await acquireMigrationLock(client, lockTimeoutMs);
+
     // Ensure migrations table exists
     await ensureMigrationsTable(client);
 
-    if (dropTables) {
-      await dropAllTables(client);
+    const keptAuditLog = dropTables && !dryRun && await dropAllTables(client);
+
+    const applied = await getAppliedMigrations(client);
+    if (!dryRun) {
+      await backfillChecksums(client, applied);
+    }
+
+    const modified = findModifiedMigrations(applied);
+    if (modified.length > 0) {
+      throw new MigrationError(
+        `Applied migration(s) changed since they ran: ${modified.map(m => m.filename).join(', ')}. ` +
+          'Restore the original files and put further changes in a new migration.',
+        'CHECKSUM_MISMATCH',
+        { modified }
+      );
+    }
+
+    const appliedFilenames = applied.map(migration => migration.filename);
+    const { apply, revert } = planMigrations(appliedFilenames, { targetVersion, rollbackSteps });
+
+    if (dryRun) {
+      return {
+        applied: apply,
+        rolledBack: revert,
+        dryRun: true,
+        message: `Would roll back ${revert.length} and apply ${apply.length} migration(s)`,
+      };
     }
 
-    // Get applied and pending migrations
-    const appliedMigrations = await getAppliedMigrations(client);
-    const pendingMigrations = getPendingMigrations(appliedMigrations);
+    if (revert.length > 0 && !confirm) {
+      throw new MigrationError(
+        `This would roll back ${revert.length} migration(s): ${revert.join(', ')}. Repeat with confirm to proceed.`,
+        'CONFIRMATION_REQUIRED',
+        { rolled_back: revert, applied: apply }
+      );
+    }
 
-    if (pendingMigrations.length === 0) {
+    if (apply.length === 0 && revert.length === 0) {
       console.log('No pending migrations');
       return {
         applied: [],
+        rolledBack: [],
+        dryRun: false,
         message: 'No pending migrations'
       };
     }
 
-    console.log(`Found ${pendingMigrations.length} pending migration(s)`);
+    for (const migration of revert) {
+      await revertMigration(client, migration);
+    }
+
+    if (apply.length > 0) {
+      console.log(`Found ${apply.length} pending migration(s)`);
+    }
 
     // Run each pending migration
-    for (const migration of pendingMigrations) {
+    for (const migration of apply) {
       await runMigration(client, migration);
     }
 
+    if (keptAuditLog) {
+      await restoreAuditLogReferences(client);
+    }
+
+    const parts = [];
+    if (revert.length > 0) parts.push(`rolled back ${revert.length}`);
+    if (apply.length > 0) parts.push(`applied ${apply.length}`);
+
+    return {
+      applied: apply,
+      rolledBack: revert,
+      dryRun: false,
+      message: `Successfully ${parts.join(' and ')} migration(s)`
+    };
+  } finally {
+    await client.end();
+  }
+}
+
+/**
+ * Report applied, pending and modified migrations and compare the live schema
+ * with db/schema.js. Read-only apart from creating schema_migrations if needed.
+ * @param {{ databaseConfig?: Object }} [options] - databaseConfig defaults to getDatabaseConfig()
+ * @returns {Promise<{
+ *   inProgress: boolean,
+ *   applied: Array<{ filename: string, checksum: string|null, applied_at: Date }>,
+ *   pending: string[],
+ *   modified: Array<{ filename: string, recorded_checksum: string, current_checksum: string|null }>,
+ *   drift: Object
+ * }>} inProgress is true while a migration run holds the lock; drift is the result of compareSchema
+ */
+async function getMigrationStatus({ databaseConfig } = {}) {
+  const client = await connect(databaseConfig);
+
+  try {
+    await ensureMigrationsTable(client);
+
+    const applied = await getAppliedMigrations(client);
+    const columns = await client.query(
+      `SELECT table_name, column_name
+       FROM information_schema.columns
+       WHERE table_schema = current_schema()
+       ORDER BY table_name, ordinal_position`
+    );
+
     return {
-      applied: pendingMigrations,
-      message: `Successfully applied ${pendingMigrations.length} migration(s)`
+      inProgress: await isMigrationLocked(client),
+      applied,
+      pending: getPendingMigrations(applied.map(migration => migration.filename)),
+      modified: findModifiedMigrations(applied),
+      drift: compareSchema(columns.rows),
     };
   } finally {
     await client.end();
@@ -149,5 +629,7 @@ async function runMigrations({ dropTables = false } = {}) {
 }
 
 module.exports = {
+  MigrationError,
+  getMigrationStatus,
   runMigrations
 };
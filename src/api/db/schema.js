@@ -0,0 +1,92 @@
+// Expected database schema
+//
+// Tables and columns the application expects once every migration in
+// db/migrations is applied. GET /migrate/status compares information_schema
+// against this list to spot drift (hand-made changes, half-applied migrations).
+// Update it in the same change as any migration that adds, drops or renames
+// a table or column.
+
+const EXPECTED_SCHEMA = {
+  audit_events: [
+    'id', 'organization_id', 'actor_user_id', 'credential_id', 'ip', 'request_id',
+    'action', 'target_type', 'target_id', 'changes', 'metadata', 'created_at',
+  ],
+  auth_lockouts: [
+    'id', 'scope', 'identifier', 'failed_count', 'first_failed_at', 'last_failed_at',
+    'locked_until', 'created_at', 'updated_at',
+  ],
+  identity_providers: [
+    'id', 'organization_id', 'issuer', 'client_id', 'client_secret', 'scopes',
+    'auto_provision', 'default_role', 'is_active', 'created_at', 'updated_at',
+  ],
+  oidc_login_states: [
+    'id', 'state_hash', 'identity_provider_id', 'code_verifier', 'nonce', 'redirect_uri',
+    'created_at', 'expires_at',
+  ],
+  organization_domains: [
+    'id', 'organization_id', 'domain', 'verification_token', 'verified_at', 'created_at',
+  ],
+  organizations: [
+    'id', 'name', 'created_at', 'updated_at', 'password_policy',
+  ],
+  sessions: [
+    'id', 'user_id', 'user_agent', 'ip', 'created_at', 'last_seen_at', 'expires_at',
+    'revoked_at', 'impersonated_user_id',
+  ],
+  user_credentials: [
+    'id', 'user_id', 'credential_type', 'credential_hash', 'label', 'is_active',
+    'last_used_at', 'expires_at', 'metadata', 'created_at', 'updated_at', 'scopes',
+    'replaced_by_id', 'session_id',
+  ],
+  users: [
+    'id', 'email', 'name', 'status', 'created_at', 'updated_at', 'role', 'token_version',
+    'organization_id', 'deleted_at',
+  ],
+};
+
+// Managed by the migration runner itself, so never reported as drift
+const IGNORED_TABLES = ['schema_migrations'];
+
+/**
+ * Compare live columns against EXPECTED_SCHEMA
+ * @param {Array<{ table_name: string, column_name: string }>} columns - Rows from information_schema.columns
+ * @returns {{ in_sync: boolean, missing_tables: string[], unexpected_tables: string[], missing_columns: string[], unexpected_columns: string[] }}
+ *   Columns are reported as 'table.column'; columns of missing or unexpected tables are not listed again.
+ */
+function compareSchema(columns) {
+  const live = {};
+  for (const { table_name: table, column_name: column } of columns) {
+    if (IGNORED_TABLES.includes(table)) continue;
+    (live[table] = live[table] || []).push(column);
+  }
+
+  const expectedTables = Object.keys(EXPECTED_SCHEMA);
+  const liveTables = Object.keys(live);
+
+  const missingTables = expectedTables.filter(t => !live[t]).sort();
+  const unexpectedTables = liveTables.filter(t => !EXPECTED_SCHEMA[t]).sort();
+  const missingColumns = [];
+  const unexpectedColumns = [];
+
+  for (const table of expectedTables.filter(t => live[t]).sort()) {
+    for (const column of EXPECTED_SCHEMA[table]) {
+      if (!live[table].includes(column)) missingColumns.push(`${table}.${column}`);
+    }
+    for (const column of live[table]) {
+      if (!EXPECTED_SCHEMA[table].includes(column)) unexpectedColumns.push(`${table}.${column}`);
+    }
+  }
+
+  return {
+    in_sync: missingTables.length + unexpectedTables.length + missingColumns.length + unexpectedColumns.length === 0,
+    missing_tables: missingTables,
+    unexpected_tables: unexpectedTables,
+    missing_columns: missingColumns,
+    unexpected_columns: unexpectedColumns,
+  };
+}
+
+module.exports = {
+  EXPECTED_SCHEMA,
+  compareSchema,
+};
@@ -0,0 +1,30 @@
+// Transaction helper
+
+/**
+ * Run a callback inside a database transaction.
+ * The callback receives a dedicated client; repository functions accept it
+ * in place of the pool. Commits on success, rolls back on any error.
+ * @param {Pool} pool - pg.Pool instance
+ * @param {(client: PoolClient) => Promise<T>} fn
+ * @returns {Promise<T>} Callback result
+ * @template T
+ */
+async function withTransaction(pool, fn) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  withTransaction,
+};
@@ -1,21 +1,29 @@
 // Lambda handler for Fastify application
 const awsLambdaFastify = require('@fastify/aws-lambda');
 const init = require('./app');
+const { runPurgeDeletedUsers } = require('./jobs/purgeDeletedUsers');
 
+let app;
 let proxy;
 
 /**
  * Lambda handler function
- * Initializes Fastify app on the first invocation and reuses it for subsequent calls
+ * Initializes Fastify app on the first invocation and reuses it for subsequent calls.
+ * EventBridge scheduled events run the deleted-user purge instead of an HTTP request.
  */
 exports.handler = async (event, context) => {
   // Initialize proxy on the first invocation (cold start)
   if (!proxy) {
     console.log('Cold start - initializing Fastify app');
-    const app = await init();
+    app = await init();
     proxy = awsLambdaFastify(app);
   }
 
+  if (event.source === 'aws.events' && event['detail-type'] === 'Scheduled Event') {
+    await app.ready();
+    return runPurgeDeletedUsers(app.pg, { log: app.log });
+  }
+
   // Handle the request
   return proxy(event, context);
 };
@@ -0,0 +1,46 @@
+// Scheduled job: permanently remove users deleted longer ago than the retention window
+const { purgeDeletedUsers } = require('../repositories/userRepository');
+const { createAuditEvent } = require('../repositories/auditEventRepository');
+
+// Deleted users can be restored for this many days before they are purged
+const DELETED_USER_RETENTION_DAYS = parseInt(process.env.DELETED_USER_RETENTION_DAYS || '30', 10);
+
+// Users purged per statement, so one run never holds a huge delete open
+const BATCH_SIZE = 500;
+
+/**
+ * Purge every user whose deletion is older than the retention window.
+ * Each purge is recorded as a `user.purge` audit event with no actor.
+ * @param {Pool} pool
+ * @param {{ log?: { info: Function }, now?: Date }} [options]
+ * @returns {Promise<{ purged: number }>}
+ */
+async function runPurgeDeletedUsers(pool, { log = console, now = new Date() } = {}) {
+  const deletedBefore = new Date(now.getTime() - DELETED_USER_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  let purged = 0;
+
+  for (;;) {
+    const users = await purgeDeletedUsers(pool, { deletedBefore, limit: BATCH_SIZE });
+
+    for (const user of users) {
+      await createAuditEvent(pool, {
+        organizationId: user.organization_id,
+        action: 'user.purge',
+        targetType: 'user',
+        targetId: user.id,
+        metadata: { retention_days: DELETED_USER_RETENTION_DAYS },
+      });
+    }
+
+    purged += users.length;
+    if (users.length < BATCH_SIZE) break;
+  }
+
+  log.info(`Purged ${purged} user(s) deleted before ${deletedBefore.toISOString()}`);
+  return { purged };
+}
+
+module.exports = {
+  DELETED_USER_RETENTION_DAYS,
+  runPurgeDeletedUsers,
+};
@@ -0,0 +1,69 @@
+// Mailer abstraction — routes send mail through a pluggable transport
+const { createConsoleTransport, createFileTransport, createSesTransport } = require('./transports');
+
+const DEFAULT_FROM = 'PBXScribe <no-reply@pbxscribe.com>';
+
+// Transports that never deliver mail; they would leave tokens in the logs
+const DEVELOPMENT_TRANSPORTS = ['console', 'file'];
+
+// Transport factories by name; extend with registerTransport()
+const transports = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+  ses: createSesTransport,
+};
+
+/**
+ * Register an additional transport (e.g. SMTP)
+ * @param {string} name - Value used in MAIL_TRANSPORT
+ * @param {(options: Object) => { send: Function }} factory
+ */
+function registerTransport(name, factory) {
+  transports[name] = factory;
+}
+
+/**
+ * Whether NODE_ENV names a production deployment ('production', or 'prod' as set by infra/services/api.yml)
+ * @returns {boolean}
+ */
+function isProduction() {
+  return ['production', 'prod'].includes(process.env.NODE_ENV);
+}
+
+/**
+ * Create a mailer bound to a transport
+ * @param {{ transport?: string, from?: string, options?: Object }} [config]
+ *   transport defaults to MAIL_TRANSPORT, else 'console' outside production; from defaults to MAIL_FROM
+ * @throws {Error} In production when no transport is configured or it is console/file
+ * @returns {{ send: (message: { to: string, subject: string, text: string, html?: string }) => Promise<Object> }}
+ */
+function createMailer({ transport, from, options } = {}) {
+  const name = transport || process.env.MAIL_TRANSPORT || (isProduction() ? null : 'console');
+
+  if (!name) {
+    throw new Error('MAIL_TRANSPORT environment variable is not set');
+  }
+  if (isProduction() && DEVELOPMENT_TRANSPORTS.includes(name)) {
+    throw new Error(`Mail transport "${name}" does not deliver mail and cannot be used in production`);
+  }
+
+  const factory = transports[name];
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  const instance = factory(options);
+  const sender = from || process.env.MAIL_FROM || DEFAULT_FROM;
+
+  return {
+    transport: name,
+    async send(message) {
+      return instance.send({ from: sender, ...message });
+    },
+  };
+}
+
+module.exports = {
+  createMailer,
+  registerTransport,
+};
@@ -0,0 +1,92 @@
+// Email templates
+
+/**
+ * Build a link into the PBXScribe web app
+ * @param {string} pathname - e.g. '/reset-password'
+ * @param {Object} [params] - Query string parameters
+ * @returns {string}
+ */
+function buildAppUrl(pathname, params = {}) {
+  const base = process.env.APP_BASE_URL || 'http://localhost:3000';
+  const url = new URL(pathname, base);
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value);
+  }
+  return url.toString();
+}
+
+/**
+ * Password reset email
+ * @param {{ name: string, token: string, expiresInMinutes: number }} params
+ * @returns {{ subject: string, text: string }}
+ */
+function passwordResetEmail({ name, token, expiresInMinutes }) {
+  const link = buildAppUrl('/reset-password', { token });
+
+  return {
+    subject: 'Reset your PBXScribe password',
+    text: [
+      `Hi ${name},`,
+      '',
+      'We received a request to reset your PBXScribe password. Use the link below to choose a new one:',
+      '',
+      link,
+      '',
+      `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+      'If you did not request a password reset, you can ignore this email.',
+    ].join('\n'),
+  };
+}
+
+/**
+ * Email verification email sent at registration
+ * @param {{ name: string, token: string, expiresInHours: number }} params
+ * @returns {{ subject: string, text: string }}
+ */
+function emailVerificationEmail({ name, token, expiresInHours }) {
+  const link = buildAppUrl('/verify-email', { token });
+
+  return {
+    subject: 'Verify your PBXScribe email address',
+    text: [
+      `Hi ${name},`,
+      '',
+      'Welcome to PBXScribe! Please confirm your email address to activate your account:',
+      '',
+      link,
+      '',
+      `This link expires in ${expiresInHours} hours.`,
+      'If you did not create a PBXScribe account, you can ignore this email.',
+    ].join('\n'),
+  };
+}
+
+/**
+ * Invitation email sent when an admin invites someone to their organization
+ * @param {{ name: string, inviterName: string, organizationName: string, token: string, expiresInHours: number }} params
+ * @returns {{ subject: string, text: string }}
+ */
+function invitationEmail({ name, inviterName, organizationName, token, expiresInHours }) {
+  const link = buildAppUrl('/accept-invitation', { token });
+
+  return {
+    subject: `You've been invited to ${organizationName} on PBXScribe`,
+    text: [
+      `Hi ${name},`,
+      '',
+      `${inviterName} has invited you to join ${organizationName} on PBXScribe. Use the link below to choose a password and activate your account:`,
+      '',
+      link,
+      '',
+      `This link expires in ${expiresInHours} hours and can only be used once.`,
+      'If you were not expecting this invitation, you can ignore this email.',
+    ].join('\n'),
+  };
+}
+
+module.exports = {
+  buildAppUrl,
+  passwordResetEmail,
+  emailVerificationEmail,
+  invitationEmail,
+};
@@ -0,0 +1,79 @@
+// Built-in mail transports
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Console transport — logs messages instead of sending them (local development)
+ * @returns {{ send: (message: Object) => Promise<{ id: string }> }}
+ */
+function createConsoleTransport() {
+  return {
+    async send(message) {
+      const id = `console-${Date.now()}`;
+      console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+      return { id };
+    },
+  };
+}
+
+/**
+ * File transport — writes each message as a JSON file (local development and tests)
+ * @param {{ directory?: string }} [options] - Defaults to MAIL_FILE_DIR or <tmpdir>/pbxscribe-mail
+ * @returns {{ send: (message: Object) => Promise<{ id: string, path: string }> }}
+ */
+function createFileTransport({ directory } = {}) {
+  const dir = directory || process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'pbxscribe-mail');
+
+  return {
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+
+      const id = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+      const filePath = path.join(dir, `${id}.json`);
+      await fs.promises.writeFile(filePath, JSON.stringify({ id, ...message, sent_at: new Date().toISOString() }, null, 2));
+
+      return { id, path: filePath };
+    },
+  };
+}
+
+/**
+ * SES transport — sends through Amazon SES (v2 API) in AWS_REGION
+ * @param {{ region?: string, configurationSet?: string }} [options] - configurationSet defaults to MAIL_SES_CONFIGURATION_SET
+ * @returns {{ send: (message: Object) => Promise<{ id: string }> }}
+ */
+function createSesTransport({ region, configurationSet } = {}) {
+  // Loaded here so local setups using console/file never need the AWS SDK configured
+  const { SESv2Client, SendEmailCommand } = require('@aws-sdk/client-sesv2');
+  const client = new SESv2Client({ region: region || process.env.AWS_REGION || 'us-east-2' });
+
+  return {
+    async send(message) {
+      const body = { Text: { Data: message.text, Charset: 'UTF-8' } };
+      if (message.html) {
+        body.Html = { Data: message.html, Charset: 'UTF-8' };
+      }
+
+      const response = await client.send(new SendEmailCommand({
+        FromEmailAddress: message.from,
+        Destination: { ToAddresses: [message.to] },
+        Content: {
+          Simple: {
+            Subject: { Data: message.subject, Charset: 'UTF-8' },
+            Body: body,
+          },
+        },
+        ConfigurationSetName: configurationSet || process.env.MAIL_SES_CONFIGURATION_SET || undefined,
+      }));
+
+      return { id: response.MessageId };
+    },
+  };
+}
+
+module.exports = {
+  createConsoleTransport,
+  createFileTransport,
+  createSesTransport,
+};
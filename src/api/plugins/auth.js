@@ -1,21 +1,86 @@
 // Auth middleware plugin
 const fp = require('fastify-plugin');
-const { verifyToken } = require('../utils/jwt');
+const { ACCESS_TOKEN_TTL_SECONDS, generateToken, verifyToken } = require('../utils/jwt');
 const { hashApiKey } = require('../utils/apiKey');
-const { findActiveCredentialByHash, updateLastUsed } = require('../repositories/credentialRepository');
+const { generateSecureToken, hashSecureToken } = require('../utils/secureToken');
+const {
+  createCredential,
+  findActiveCredentialByHash,
+  updateLastUsed,
+} = require('../repositories/credentialRepository');
 const { findUserById } = require('../repositories/userRepository');
+const { createSession, findActiveSession, touchSession } = require('../repositories/sessionRepository');
+const { hasPermission, scopeAllows } = require('../utils/roles');
+
+const REFRESH_TOKEN_PREFIX = 'pbxr_';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
 
 async function authPlugin(fastify) {
   // Decorate every request with a null user by default
   fastify.decorateRequest('user', null);
 
+  // The API key credential used for the request (null for Bearer tokens)
+  fastify.decorateRequest('credential', null);
+
+  // The login session a Bearer token is bound to (null for API keys and legacy tokens)
+  fastify.decorateRequest('session', null);
+
+  // The admin behind an impersonation token (the `act` claim); request.user is the impersonated user
+  fastify.decorateRequest('actor', null);
+
+  /**
+   * Issue an access token and a new refresh token for a user.
+   * The refresh token is stored hashed as a `refresh_token` credential.
+   * Both are bound to a session: `sessionId` continues an existing one (refresh),
+   * otherwise a new session is recorded from the request's user agent and IP.
+   * @param {{ id: string, email: string, name: string, token_version: number }} user
+   * @param {{ db?: Pool|PoolClient, request?: FastifyRequest, sessionId?: string }} [options]
+   *   db - client to use inside a transaction
+   * @returns {Promise<{ token: string, refresh_token: string, expires_in: number }>}
+   */
+  fastify.decorate('issueTokens', async function issueTokens(user, { db = fastify.pg, request, sessionId } = {}) {
+    const refreshToken = generateSecureToken(REFRESH_TOKEN_PREFIX);
+
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + REFRESH_TOKEN_TTL_DAYS);
+
+    const ip = request ? request.ip : null;
+    let sid = sessionId;
+    if (sid) {
+      await touchSession(db, sid, { ip, expiresAt });
+    } else {
+      const session = await createSession(db, {
+        userId: user.id,
+        userAgent: request ? request.headers['user-agent'] : null,
+        ip,
+        expiresAt,
+      });
+      sid = session.id;
+    }
+
+    await createCredential(db, {
+      userId: user.id,
+      credentialType: 'refresh_token',
+      credentialHash: hashSecureToken(refreshToken),
+      label: 'refresh_token',
+      expiresAt,
+      sessionId: sid,
+    });
+
+    return {
+      token: generateToken({ sub: user.id, email: user.email, name: user.name, ver: user.token_version, sid }),
+      refresh_token: refreshToken,
+      expires_in: ACCESS_TOKEN_TTL_SECONDS,
+    };
+  });
+
   /**
    * preHandler that enforces authentication.
    * Supports:
    *   Authorization: Bearer <jwt>
    *   Authorization: ApiKey <plaintext-key>
    *
-   * On success: sets request.user and returns.
+   * On success: sets request.user (and request.actor for impersonation tokens) and returns.
    * On failure: replies 401 and returns (Fastify will not call the route handler).
    */
   fastify.decorate('authenticate', async function authenticate(request, reply) {
@@ -42,12 +107,59 @@ async function authPlugin(fastify) {
       }
 
       const user = await findUserById(fastify.pg, decoded.sub);
+      if (user && user.status === 'pending_verification') {
+        return reply.status(403).send({
+          error: { message: 'Email address has not been verified', statusCode: 403, code: 'EMAIL_NOT_VERIFIED' },
+        });
+      }
       if (!user || user.status !== 'active') {
         return reply.status(401).send({
           error: { message: 'User not found or inactive', statusCode: 401 },
         });
       }
 
+      // Logout, password reset and refresh-token reuse bump token_version
+      if ((decoded.ver || 0) !== user.token_version) {
+        return reply.status(401).send({
+          error: { message: 'Token has been revoked', statusCode: 401 },
+        });
+      }
+
+      // Impersonation tokens stay valid only while the admin could still issue them
+      let actor = null;
+      if (decoded.act) {
+        actor = await findUserById(fastify.pg, decoded.act.sub);
+        if (!actor
+          || actor.status !== 'active'
+          || (decoded.act.ver || 0) !== actor.token_version
+          || String(actor.organization_id) !== String(user.organization_id)
+          || !hasPermission(actor.role, 'users:impersonate')) {
+          return reply.status(401).send({
+            error: { message: 'Impersonation is no longer valid', statusCode: 401 },
+          });
+        }
+      }
+
+      // Tokens issued before sessions existed carry no sid and rely on token_version alone.
+      // Impersonation sessions belong to the admin, not the impersonated user.
+      if (decoded.sid) {
+        const owner = actor || user;
+        const session = await findActiveSession(fastify.pg, decoded.sid);
+        if (!session || String(session.user_id) !== String(owner.id)) {
+          return reply.status(401).send({
+            error: { message: 'Session has been revoked', statusCode: 401 },
+          });
+        }
+
+        touchSession(fastify.pg, session.id, { ip: request.ip }).catch(() => {});
+        request.session = session;
+      }
+
+      if (actor) {
+        request.actor = actor;
+        request.log = request.log.child({ impersonatorId: actor.id, userId: user.id });
+      }
+
       request.user = user;
       return;
     }
@@ -66,6 +178,7 @@ async function authPlugin(fastify) {
       updateLastUsed(fastify.pg, result.credential.id).catch(() => {});
 
       request.user = result.user;
+      request.credential = result.credential;
       return;
     }
 
@@ -73,6 +186,62 @@ async function authPlugin(fastify) {
       error: { message: 'Unsupported auth scheme. Use Bearer or ApiKey', statusCode: 401 },
     });
   });
+
+  /**
+   * preHandler that refuses requests made with an impersonation token.
+   * Must run after `authenticate`. Guards actions an admin must not take on a
+   * user's behalf, such as changing their password or creating API keys.
+   */
+  fastify.decorate('forbidImpersonation', async function forbidImpersonation(request, reply) {
+    if (request.actor) {
+      return reply.status(403).send({
+        error: { message: 'This action is not allowed while impersonating a user', statusCode: 403, code: 'IMPERSONATION_FORBIDDEN' },
+      });
+    }
+  });
+
+  /**
+   * Build a preHandler that enforces a permission. Must run after `authenticate`.
+   *
+   * The permission doubles as the API key scope the route requires: scoped keys
+   * are rejected unless the permission is among their scopes.
+   *
+   * With `allowSelf`, callers lacking the permission are still admitted when the
+   * route's `:id` param is their own user ID.
+   *
+   * @param {string} permission - e.g. 'users:write'
+   * @param {{ allowSelf?: boolean }} [options]
+   * @returns {Function} Fastify preHandler
+   */
+  fastify.decorate('authorize', function authorize(permission, { allowSelf = false } = {}) {
+    return async function authorizeHandler(request, reply) {
+      const { user, credential } = request;
+
+      if (!user) {
+        return reply.status(401).send({
+          error: { message: 'Authentication required', statusCode: 401 },
+        });
+      }
+
+      if (credential && !scopeAllows(credential.scopes, permission)) {
+        return reply.status(403).send({
+          error: { message: `API key is missing the required scope: ${permission}`, statusCode: 403 },
+        });
+      }
+
+      if (hasPermission(user.role, permission)) {
+        return;
+      }
+
+      if (allowSelf && request.params && String(request.params.id) === String(user.id)) {
+        return;
+      }
+
+      return reply.status(403).send({
+        error: { message: 'Insufficient permissions', statusCode: 403 },
+      });
+    };
+  });
 }
 
 module.exports = fp(authPlugin, { name: 'auth', dependencies: ['database'] });
@@ -1,7 +1,113 @@
 // Fastify database pool plugin
 const fp = require('fastify-plugin');
 const { Pool } = require('pg');
-const { getDatabaseConfig } = require('../config/database');
+const {
+  getDatabaseConfig,
+  clearCredentialsCache,
+  isAuthenticationError,
+} = require('../config/database');
+
+/**
+ * pg.Pool stand-in that survives credential rotation. When a connection is
+ * refused for bad credentials it clears the credential cache, builds a new pool
+ * from fresh configuration and retries once. Authentication happens before any
+ * statement is sent, so the retry cannot run a query twice.
+ * Exposes the subset of the pg.Pool API the application uses.
+ */
+class CredentialRefreshingPool {
+  /**
+   * @param {Object} dbConfig - From getDatabaseConfig
+   * @param {FastifyBaseLogger} log
+   */
+  constructor(dbConfig, log) {
+    this.log = log;
+    this.pool = this.createPool(dbConfig);
+    this.rebuilding = null;
+  }
+
+  /**
+   * @param {Object} dbConfig
+   * @returns {Pool}
+   */
+  createPool(dbConfig) {
+    const pool = new Pool(dbConfig);
+
+    // An idle connection dropped by the server (restart, failover, rotation)
+    // is discarded by the pool; without a listener the error would crash the process
+    pool.on('error', (error) => {
+      this.log.warn({ err: error }, 'Idle database connection closed');
+    });
+    return pool;
+  }
+
+  /**
+   * Replace the pool with one using freshly fetched credentials.
+   * Concurrent callers share a single rebuild.
+   * @param {Pool} failedPool - The pool that rejected the credentials
+   * @returns {Promise<void>}
+   */
+  async rebuild(failedPool) {
+    // Another caller already replaced it
+    if (this.pool !== failedPool) return;
+
+    if (!this.rebuilding) {
+      this.rebuilding = (async () => {
+        this.log.warn('Database rejected credentials; refetching them and rebuilding the pool');
+        clearCredentialsCache();
+        this.pool = this.createPool(await getDatabaseConfig());
+
+        failedPool.end().catch((error) => {
+          this.log.error({ err: error }, 'Failed to close the previous database pool');
+        });
+      })().finally(() => {
+        this.rebuilding = null;
+      });
+    }
+    await this.rebuilding;
+  }
+
+  /**
+   * Call a pool method, rebuilding the pool and retrying once on an authentication failure
+   * @param {string} method - 'query' | 'connect'
+   * @param {Array} args
+   * @returns {Promise<*>}
+   */
+  async withRetry(method, args) {
+    const pool = this.pool;
+    try {
+      return await pool[method](...args);
+    } catch (error) {
+      if (!isAuthenticationError(error)) throw error;
+
+      await this.rebuild(pool);
+      return this.pool[method](...args);
+    }
+  }
+
+  /**
+   * @see Pool#query
+   */
+  query(...args) {
+    return this.withRetry('query', args);
+  }
+
+  /**
+   * @see Pool#connect
+   * @returns {Promise<PoolClient>}
+   */
+  connect() {
+    return this.withRetry('connect', []);
+  }
+
+  /**
+   * @see Pool#end
+   * @returns {Promise<void>}
+   */
+  async end() {
+    await this.rebuilding;
+    await this.pool.end();
+  }
+}
 
 /**
  * Registers a shared pg.Pool on fastify.pg
@@ -10,7 +116,7 @@ const { getDatabaseConfig } = require('../config/database');
  */
 async function databasePlugin(fastify) {
   const dbConfig = await getDatabaseConfig();
-  const pool = new Pool(dbConfig);
+  const pool = new CredentialRefreshingPool(dbConfig, fastify.log);
 
   // Verify connectivity on startup
   const client = await pool.connect();
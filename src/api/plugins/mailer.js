@@ -0,0 +1,18 @@
+// Mailer plugin
+const fp = require('fastify-plugin');
+const { createMailer } = require('../mailer');
+
+/**
+ * Registers a shared mailer on fastify.mailer.
+ * The transport is chosen by MAIL_TRANSPORT (console | file | ses); startup
+ * fails in production without a transport that delivers mail.
+ */
+async function mailerPlugin(fastify) {
+  const mailer = createMailer();
+  fastify.decorate('mailer', mailer);
+  fastify.log.info(`Mailer using ${mailer.transport} transport`);
+}
+
+module.exports = fp(mailerPlugin, {
+  name: 'mailer'
+});
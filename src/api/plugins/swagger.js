@@ -22,6 +22,7 @@ async function swaggerPlugin(fastify) {
         { name: 'API Keys', description: 'API key management' },
         { name: 'Users', description: 'User CRUD operations' },
         { name: 'Migrations', description: 'Database migration management' },
+        { name: 'Audit', description: 'Audit trail of authentication and administrative actions' },
       ],
       components: {
         securitySchemes: {
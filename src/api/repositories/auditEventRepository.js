@@ -0,0 +1,156 @@
+// Audit event repository - database operations for audit_events table
+
+const COLUMNS = `id, organization_id, actor_user_id, credential_id, ip, request_id,
+       action, target_type, target_id, changes, metadata, created_at`;
+
+/**
+ * Insert an audit event
+ * @param {Pool} pool
+ * @param {{ organizationId?: string, actorUserId?: string, credentialId?: string, ip?: string, requestId?: string, action: string, targetType?: string, targetId?: string, changes?: Object, metadata?: Object }} fields
+ * @returns {Promise<Object>} Created event row
+ */
+async function createAuditEvent(pool, {
+  organizationId, actorUserId, credentialId, ip, requestId, action, targetType, targetId, changes, metadata,
+}) {
+  const result = await pool.query(
+    `INSERT INTO audit_events
+       (organization_id, actor_user_id, credential_id, ip, request_id, action, target_type, target_id, changes, metadata)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING ${COLUMNS}`,
+    [
+      organizationId || null,
+      actorUserId || null,
+      credentialId || null,
+      ip || null,
+      requestId || null,
+      action,
+      targetType || null,
+      targetId === undefined || targetId === null ? null : String(targetId),
+      changes || null,
+      metadata || {},
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * List an organization's audit events, newest first, with pagination and filters
+ * @param {Pool} pool
+ * @param {{ organizationId: string, limit?: number, offset?: number, action?: string, actorUserId?: string, targetType?: string, targetId?: string, from?: string, to?: string }} options
+ *   action - exact action, or a prefix ending in '.' (e.g. 'api_key.')
+ * @returns {Promise<{ events: Object[], total: number }>}
+ */
+async function listAuditEvents(pool, {
+  organizationId, limit = 20, offset = 0, action, actorUserId, targetType, targetId, from, to,
+} = {}) {
+  const conditions = ['organization_id = $1'];
+  const values = [organizationId];
+
+  if (action && action.endsWith('.')) {
+    values.push(`${action.replace(/[\\%_]/g, '\\$&')}%`);
+    conditions.push(`action LIKE $${values.length}`);
+  } else if (action) {
+    values.push(action);
+    conditions.push(`action = $${values.length}`);
+  }
+  if (actorUserId) {
+    values.push(actorUserId);
+    conditions.push(`actor_user_id = $${values.length}`);
+  }
+  if (targetType) {
+    values.push(targetType);
+    conditions.push(`target_type = $${values.length}`);
+  }
+  if (targetId) {
+    values.push(String(targetId));
+    conditions.push(`target_id = $${values.length}`);
+  }
+  if (from) {
+    values.push(from);
+    conditions.push(`created_at >= $${values.length}`);
+  }
+  if (to) {
+    values.push(to);
+    conditions.push(`created_at < $${values.length}`);
+  }
+
+  const where = `WHERE ${conditions.join(' AND ')}`;
+
+  const [dataResult, countResult] = await Promise.all([
+    pool.query(
+      `SELECT ${COLUMNS}
+       FROM audit_events
+       ${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset]
+    ),
+    pool.query(
+      `SELECT COUNT(*)::int AS total FROM audit_events ${where}`,
+      values
+    )
+  ]);
+
+  return {
+    events: dataResult.rows,
+    total: countResult.rows[0].total
+  };
+}
+
+/**
+ * List platform-wide audit events (those belonging to no organization, such as
+ * migration runs) whose action starts with a prefix, newest first
+ * @param {Pool} pool
+ * @param {{ actionPrefix: string, limit?: number, offset?: number }} options
+ *   actionPrefix - e.g. 'migrations.'
+ * @returns {Promise<{ events: Object[], total: number }>}
+ */
+async function listPlatformAuditEvents(pool, { actionPrefix, limit = 20, offset = 0 }) {
+  const where = 'WHERE organization_id IS NULL AND action LIKE $1';
+  const values = [`${actionPrefix.replace(/[\\%_]/g, '\\$&')}%`];
+
+  const [dataResult, countResult] = await Promise.all([
+    pool.query(
+      `SELECT ${COLUMNS}
+       FROM audit_events
+       ${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2 OFFSET $3`,
+      [...values, limit, offset]
+    ),
+    pool.query(
+      `SELECT COUNT(*)::int AS total FROM audit_events ${where}`,
+      values
+    )
+  ]);
+
+  return {
+    events: dataResult.rows,
+    total: countResult.rows[0].total
+  };
+}
+
+/**
+ * List every audit event a user performed or was the subject of, oldest first
+ * @param {Pool} pool
+ * @param {string} userId
+ * @returns {Promise<Object[]>}
+ */
+async function listAuditEventsForUser(pool, userId) {
+  const result = await pool.query(
+    `SELECT ${COLUMNS}
+     FROM audit_events
+     WHERE actor_user_id = $1
+        OR (target_type = 'user' AND target_id = $1::text)
+     ORDER BY created_at, id`,
+    [userId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  createAuditEvent,
+  listAuditEvents,
+  listPlatformAuditEvents,
+  listAuditEventsForUser,
+};
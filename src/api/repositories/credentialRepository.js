@@ -3,16 +3,18 @@
 /**
  * Create a new credential
  * @param {Pool} pool
- * @param {{ userId: string, credentialType: string, credentialHash: string, label?: string, expiresAt?: Date }} fields
+ * @param {{ userId: string, credentialType: string, credentialHash: string, label?: string, expiresAt?: Date, isActive?: boolean, metadata?: Object, scopes?: string[], sessionId?: string }} fields
+ *   scopes - API key scopes; omit for an unrestricted credential
+ *   sessionId - session a refresh token renews
  * @returns {Promise<Object>} Created credential row
  */
-async function createCredential(pool, { userId, credentialType, credentialHash, label, expiresAt }) {
+async function createCredential(pool, { userId, credentialType, credentialHash, label, expiresAt, isActive = true, metadata, scopes, sessionId }) {
   const result = await pool.query(
     `INSERT INTO user_credentials
-       (user_id, credential_type, credential_hash, label, expires_at)
-     VALUES ($1, $2, $3, $4, $5)
-     RETURNING id, user_id, credential_type, label, is_active, last_used_at, expires_at, created_at`,
-    [userId, credentialType, credentialHash, label || null, expiresAt || null]
+       (user_id, credential_type, credential_hash, label, expires_at, is_active, metadata, scopes, session_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING id, user_id, credential_type, label, is_active, last_used_at, expires_at, metadata, scopes, session_id, created_at`,
+    [userId, credentialType, credentialHash, label || null, expiresAt || null, isActive, metadata || {}, scopes || null, sessionId || null]
   );
   return result.rows[0];
 }
@@ -21,10 +23,11 @@ async function createCredential(pool, { userId, credentialType, credentialHash,
  * Find all credentials for a user, optionally filtered by type
  * @param {Pool} pool
  * @param {string} userId
- * @param {string} [credentialType] - 'password' | 'api_key'
+ * @param {string} [credentialType] - 'password' | 'api_key' | 'refresh_token' | 'totp' | 'recovery_code' | 'password_reset' | 'oidc'
+ * @param {{ organizationId?: string }} [options] - organizationId: return nothing unless the user belongs to it
  * @returns {Promise<Object[]>}
  */
-async function findCredentialsByUserId(pool, userId, credentialType) {
+async function findCredentialsByUserId(pool, userId, credentialType, { organizationId } = {}) {
   const conditions = ['user_id = $1'];
   const values = [userId];
 
@@ -32,9 +35,13 @@ async function findCredentialsByUserId(pool, userId, credentialType) {
     values.push(credentialType);
     conditions.push(`credential_type = $${values.length}`);
   }
+  if (organizationId) {
+    values.push(organizationId);
+    conditions.push(`user_id IN (SELECT id FROM users WHERE organization_id = $${values.length})`);
+  }
 
   const result = await pool.query(
-    `SELECT id, user_id, credential_type, label, is_active, last_used_at, expires_at, created_at
+    `SELECT id, user_id, credential_type, label, is_active, last_used_at, expires_at, metadata, scopes, replaced_by_id, created_at
      FROM user_credentials
      WHERE ${conditions.join(' AND ')}
      ORDER BY created_at DESC`,
@@ -43,12 +50,30 @@ async function findCredentialsByUserId(pool, userId, credentialType) {
   return result.rows;
 }
 
+/**
+ * Find a credential by ID
+ * @param {Pool} pool
+ * @param {string} credentialId
+ * @param {string} [credentialType] - when set, credentials of other types are treated as not found
+ * @returns {Promise<Object|null>}
+ */
+async function findCredentialById(pool, credentialId, credentialType) {
+  const result = await pool.query(
+    `SELECT id, user_id, credential_type, label, is_active, last_used_at, expires_at, metadata, scopes, replaced_by_id, created_at
+     FROM user_credentials
+     WHERE id = $1
+       AND ($2::text IS NULL OR credential_type = $2)`,
+    [credentialId, credentialType || null]
+  );
+  return result.rows[0] || null;
+}
+
 /**
  * Find an active credential by its hash — used during authentication.
  * Joins with users table to return the associated user in one query.
  * @param {Pool} pool
  * @param {string} hash - Hashed credential value
- * @param {string} credentialType - 'password' | 'api_key'
+ * @param {string} credentialType - 'api_key' | 'refresh_token' | 'recovery_code' | 'password_reset'
  * @returns {Promise<{ credential: Object, user: Object } | null>}
  */
 async function findActiveCredentialByHash(pool, hash, credentialType) {
@@ -61,16 +86,20 @@ async function findActiveCredentialByHash(pool, hash, credentialType) {
        uc.is_active,
        uc.expires_at,
        uc.last_used_at,
+       uc.scopes,
        u.id             AS user_id,
        u.email,
        u.name,
-       u.status
+       u.status,
+       u.role,
+       u.organization_id
      FROM user_credentials uc
      JOIN users u ON u.id = uc.user_id
      WHERE uc.credential_hash = $1
        AND uc.credential_type = $2
        AND uc.is_active = true
        AND u.status = 'active'
+       AND u.deleted_at IS NULL
        AND (uc.expires_at IS NULL OR uc.expires_at > NOW())`,
     [hash, credentialType]
   );
@@ -87,16 +116,93 @@ async function findActiveCredentialByHash(pool, hash, credentialType) {
       is_active: row.is_active,
       expires_at: row.expires_at,
       last_used_at: row.last_used_at,
+      scopes: row.scopes,
     },
     user: {
       id: row.user_id,
       email: row.email,
       name: row.name,
       status: row.status,
+      role: row.role,
+      organization_id: row.organization_id,
     },
   };
 }
 
+/**
+ * Find a credential by its hash regardless of active state or expiry.
+ * Used to detect reuse of refresh tokens that were already rotated or revoked.
+ * @param {Pool} pool
+ * @param {string} hash - Hashed credential value
+ * @param {string} credentialType
+ * @returns {Promise<Object|null>}
+ */
+async function findCredentialByHash(pool, hash, credentialType) {
+  const result = await pool.query(
+    `SELECT id, user_id, credential_type, label, is_active, last_used_at, expires_at, session_id, created_at
+     FROM user_credentials
+     WHERE credential_hash = $1
+       AND credential_type = $2
+     ORDER BY is_active DESC, id DESC
+     LIMIT 1`,
+    [hash, credentialType]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Read the stored hash (or encrypted secret) of a credential.
+ * Kept separate so the hash is never selected into general-purpose rows.
+ * @param {Pool} pool
+ * @param {string} credentialId
+ * @returns {Promise<string|null>}
+ */
+async function getCredentialHash(pool, credentialId) {
+  const result = await pool.query(
+    'SELECT credential_hash FROM user_credentials WHERE id = $1',
+    [credentialId]
+  );
+  return result.rows.length ? result.rows[0].credential_hash : null;
+}
+
+/**
+ * Activate a credential and merge fields into its metadata
+ * @param {Pool} pool
+ * @param {string} credentialId
+ * @param {Object} [metadata] - Keys merged into the existing metadata
+ * @returns {Promise<boolean>} true if activated, false if not found
+ */
+async function activateCredential(pool, credentialId, metadata = {}) {
+  const result = await pool.query(
+    `UPDATE user_credentials
+     SET is_active = true, metadata = COALESCE(metadata, '{}'::jsonb) || $2::jsonb, updated_at = NOW()
+     WHERE id = $1`,
+    [credentialId, JSON.stringify(metadata)]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Record a TOTP time step as used, unless that step or a later one already was.
+ * A single conditional UPDATE, so concurrent requests with the same code cannot both succeed.
+ * @param {Pool} pool
+ * @param {string} credentialId
+ * @param {number} step - Time step the submitted code matched
+ * @returns {Promise<boolean>} true if claimed, false on replay or an inactive credential
+ */
+async function claimTotpStep(pool, credentialId, step) {
+  const result = await pool.query(
+    `UPDATE user_credentials
+     SET metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('last_step', $2::bigint), updated_at = NOW()
+     WHERE id = $1
+       AND is_active = true
+       AND COALESCE((metadata->>'last_step')::bigint, -1) < $2::bigint
+     RETURNING id`,
+    [credentialId, step]
+  );
+  return result.rowCount > 0;
+}
+
 /**
  * Update expires_at for a credential
  * @param {Pool} pool
@@ -119,18 +225,129 @@ async function updateCredentialExpiry(pool, credentialId, expiresAt) {
  * Deactivate a credential by ID
  * @param {Pool} pool
  * @param {string} credentialId - UUID
- * @returns {Promise<boolean>} true if deactivated, false if not found
+ * @returns {Promise<boolean>} true if deactivated, false if not found or already inactive
  */
 async function deactivateCredential(pool, credentialId) {
   const result = await pool.query(
     `UPDATE user_credentials
      SET is_active = false, updated_at = NOW()
-     WHERE id = $1`,
+     WHERE id = $1
+       AND is_active = true`,
     [credentialId]
   );
   return result.rowCount > 0;
 }
 
+/**
+ * Deactivate all active credentials of a type for a user
+ * @param {Pool} pool
+ * @param {string} userId
+ * @param {string} credentialType
+ * @returns {Promise<number>} Number of credentials deactivated
+ */
+async function deactivateCredentialsByUserId(pool, userId, credentialType) {
+  const result = await pool.query(
+    `UPDATE user_credentials
+     SET is_active = false, updated_at = NOW()
+     WHERE user_id = $1
+       AND credential_type = $2
+       AND is_active = true`,
+    [userId, credentialType]
+  );
+  return result.rowCount;
+}
+
+/**
+ * List a user's password hashes, newest first: every active password credential
+ * plus the `historySize` most recently deactivated ones.
+ * @param {Pool} pool
+ * @param {string} userId
+ * @param {{ historySize?: number }} [options]
+ * @returns {Promise<Array<{ id: string, is_active: boolean, credential_hash: string }>>}
+ */
+async function findPasswordHashes(pool, userId, { historySize = 0 } = {}) {
+  const result = await pool.query(
+    `(SELECT id, is_active, credential_hash, created_at
+      FROM user_credentials
+      WHERE user_id = $1 AND credential_type = 'password' AND is_active = true)
+     UNION ALL
+     (SELECT id, is_active, credential_hash, created_at
+      FROM user_credentials
+      WHERE user_id = $1 AND credential_type = 'password' AND is_active = false
+      ORDER BY created_at DESC
+      LIMIT $2)
+     ORDER BY created_at DESC`,
+    [userId, historySize]
+  );
+  return result.rows;
+}
+
+/**
+ * Replace a user's password: deactivate every active password credential and
+ * create a new one. Call with a transaction client so both steps commit together.
+ * @param {PoolClient} client
+ * @param {string} userId
+ * @param {string} passwordHash - bcrypt hash of the new password
+ * @returns {Promise<Object>} Created credential row
+ */
+async function replacePasswordCredential(client, userId, passwordHash) {
+  await deactivateCredentialsByUserId(client, userId, 'password');
+  return createCredential(client, {
+    userId,
+    credentialType: 'password',
+    credentialHash: passwordHash,
+    label: 'password',
+  });
+}
+
+/**
+ * Rotate an API key: create a replacement with the same label, scopes and expiry,
+ * and cut the old key's expiry down to the end of the grace period.
+ * Call with a transaction client so both rows commit together.
+ * @param {PoolClient} client
+ * @param {string} credentialId - Key being rotated
+ * @param {{ credentialHash: string, graceUntil: Date }} replacement
+ * @returns {Promise<{ previous: Object, replacement: Object }|null>} null if the key
+ *   is not an active, unexpired API key or has already been rotated
+ */
+async function rotateCredential(client, credentialId, { credentialHash, graceUntil }) {
+  // Lock the old key so concurrent rotations cannot both succeed
+  const current = await client.query(
+    `SELECT id, user_id, label, scopes, expires_at
+     FROM user_credentials
+     WHERE id = $1
+       AND credential_type = 'api_key'
+       AND is_active = true
+       AND replaced_by_id IS NULL
+       AND (expires_at IS NULL OR expires_at > NOW())
+     FOR UPDATE`,
+    [credentialId]
+  );
+  const old = current.rows[0];
+  if (!old) return null;
+
+  const replacement = await createCredential(client, {
+    userId: old.user_id,
+    credentialType: 'api_key',
+    credentialHash,
+    label: old.label,
+    expiresAt: old.expires_at,
+    scopes: old.scopes,
+  });
+
+  const previous = await client.query(
+    `UPDATE user_credentials
+     SET replaced_by_id = $2,
+         expires_at = LEAST(COALESCE(expires_at, 'infinity'), $3),
+         updated_at = NOW()
+     WHERE id = $1
+     RETURNING id, label, is_active, expires_at, replaced_by_id, created_at`,
+    [credentialId, replacement.id, graceUntil]
+  );
+
+  return { previous: previous.rows[0], replacement };
+}
+
 /**
  * Update last_used_at timestamp for a credential (fire-and-forget safe)
  * @param {Pool} pool
@@ -149,8 +366,17 @@ async function updateLastUsed(pool, credentialId) {
 module.exports = {
   createCredential,
   findCredentialsByUserId,
+  findCredentialById,
   findActiveCredentialByHash,
+  findCredentialByHash,
+  getCredentialHash,
+  activateCredential,
+  claimTotpStep,
   updateCredentialExpiry,
   deactivateCredential,
+  deactivateCredentialsByUserId,
+  findPasswordHashes,
+  replacePasswordCredential,
+  rotateCredential,
   updateLastUsed,
 };
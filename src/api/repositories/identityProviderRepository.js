@@ -0,0 +1,175 @@
+// Identity provider repository - database operations for identity_providers and oidc_login_states
+
+// client_secret is deliberately excluded; read it with getIdentityProviderSecret.
+// email_domains are the organization's verified domains (see organizationDomainRepository).
+const COLUMNS = `id, organization_id, issuer, client_id, (client_secret IS NOT NULL) AS has_client_secret,
+       scopes, auto_provision, default_role, is_active, created_at, updated_at,
+       ARRAY(
+         SELECT d.domain FROM organization_domains d
+         WHERE d.organization_id = identity_providers.organization_id AND d.verified_at IS NOT NULL
+         ORDER BY d.domain
+       ) AS email_domains`;
+
+/**
+ * Create or replace an organization's identity provider
+ * @param {Pool} pool
+ * @param {string} organizationId
+ * @param {{ issuer: string, clientId: string, clientSecret?: string|null, scopes?: string, autoProvision?: boolean, defaultRole?: string, isActive?: boolean }} fields
+ *   clientSecret - already encrypted; undefined keeps the stored secret, null clears it
+ * @returns {Promise<Object>} Saved provider row
+ */
+async function upsertIdentityProvider(pool, organizationId, {
+  issuer, clientId, clientSecret, scopes, autoProvision, defaultRole, isActive,
+}) {
+  const result = await pool.query(
+    `INSERT INTO identity_providers
+       (organization_id, issuer, client_id, client_secret, scopes, auto_provision, default_role, is_active)
+     VALUES ($1, $2, $3, $4, COALESCE($5, 'openid email profile'), COALESCE($6, true), COALESCE($7, 'member'), COALESCE($8, true))
+     ON CONFLICT (organization_id) DO UPDATE
+       SET issuer = EXCLUDED.issuer,
+           client_id = EXCLUDED.client_id,
+           client_secret = CASE WHEN $9::boolean THEN identity_providers.client_secret ELSE EXCLUDED.client_secret END,
+           scopes = EXCLUDED.scopes,
+           auto_provision = EXCLUDED.auto_provision,
+           default_role = EXCLUDED.default_role,
+           is_active = EXCLUDED.is_active,
+           updated_at = NOW()
+     RETURNING ${COLUMNS}`,
+    [
+      organizationId,
+      issuer,
+      clientId,
+      clientSecret || null,
+      scopes || null,
+      autoProvision === undefined ? null : autoProvision,
+      defaultRole || null,
+      isActive === undefined ? null : isActive,
+      clientSecret === undefined,
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Find an organization's identity provider
+ * @param {Pool} pool
+ * @param {string} organizationId
+ * @returns {Promise<Object|null>}
+ */
+async function findIdentityProviderByOrganization(pool, organizationId) {
+  const result = await pool.query(
+    `SELECT ${COLUMNS}
+     FROM identity_providers
+     WHERE organization_id = $1`,
+    [organizationId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Find the active identity provider of the organization that has verified an email domain
+ * @param {Pool} pool
+ * @param {string} domain - e.g. 'acme.com'
+ * @returns {Promise<Object|null>}
+ */
+async function findIdentityProviderByEmailDomain(pool, domain) {
+  const result = await pool.query(
+    `SELECT ${COLUMNS}
+     FROM identity_providers
+     WHERE is_active = true
+       AND organization_id = (
+         SELECT organization_id FROM organization_domains
+         WHERE domain = LOWER($1) AND verified_at IS NOT NULL
+       )`,
+    [domain]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Read a provider's encrypted client secret
+ * @param {Pool} pool
+ * @param {string} id
+ * @returns {Promise<string|null>}
+ */
+async function getIdentityProviderSecret(pool, id) {
+  const result = await pool.query(
+    'SELECT client_secret FROM identity_providers WHERE id = $1',
+    [id]
+  );
+  return result.rows.length ? result.rows[0].client_secret : null;
+}
+
+/**
+ * Delete an organization's identity provider
+ * @param {Pool} pool
+ * @param {string} organizationId
+ * @returns {Promise<boolean>} true if deleted, false if none was configured
+ */
+async function deleteIdentityProvider(pool, organizationId) {
+  const result = await pool.query(
+    'DELETE FROM identity_providers WHERE organization_id = $1',
+    [organizationId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Store a pending authorization request
+ * @param {Pool} pool
+ * @param {{ stateHash: string, identityProviderId: string, codeVerifier: string, nonce: string, redirectUri: string, expiresAt: Date }} fields
+ * @returns {Promise<void>}
+ */
+async function createLoginState(pool, { stateHash, identityProviderId, codeVerifier, nonce, redirectUri, expiresAt }) {
+  await pool.query(
+    `INSERT INTO oidc_login_states (state_hash, identity_provider_id, code_verifier, nonce, redirect_uri, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [stateHash, identityProviderId, codeVerifier, nonce, redirectUri, expiresAt]
+  );
+}
+
+/**
+ * Claim a pending authorization request. The row is deleted so a state can only be used once.
+ * Expired states are purged along the way.
+ * @param {Pool} pool
+ * @param {string} stateHash
+ * @returns {Promise<Object|null>} The state row, or null if unknown or expired
+ */
+async function consumeLoginState(pool, stateHash) {
+  await pool.query('DELETE FROM oidc_login_states WHERE expires_at <= NOW()');
+
+  const result = await pool.query(
+    `DELETE FROM oidc_login_states
+     WHERE state_hash = $1
+     RETURNING identity_provider_id, code_verifier, nonce, redirect_uri`,
+    [stateHash]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Find an identity provider by ID (including inactive ones)
+ * @param {Pool} pool
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+async function findIdentityProviderById(pool, id) {
+  const result = await pool.query(
+    `SELECT ${COLUMNS}
+     FROM identity_providers
+     WHERE id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  upsertIdentityProvider,
+  findIdentityProviderByOrganization,
+  findIdentityProviderByEmailDomain,
+  findIdentityProviderById,
+  getIdentityProviderSecret,
+  deleteIdentityProvider,
+  createLoginState,
+  consumeLoginState,
+};
@@ -0,0 +1,103 @@
+// Invitation repository - invitations are 'invitation' credentials belonging to users in 'invited' status
+
+/**
+ * Find a pending invitation by its token hash
+ * @param {Pool} pool
+ * @param {string} hash - Hashed invite token
+ * @returns {Promise<{ invitation: Object, user: Object } | null>} null if unknown, used, revoked or expired
+ */
+async function findInvitationByTokenHash(pool, hash) {
+  const result = await pool.query(
+    `SELECT
+       uc.id            AS invitation_id,
+       uc.expires_at,
+       uc.metadata,
+       uc.created_at    AS sent_at,
+       u.id             AS user_id,
+       u.email,
+       u.name,
+       u.status,
+       u.role,
+       u.organization_id,
+       u.token_version
+     FROM user_credentials uc
+     JOIN users u ON u.id = uc.user_id
+     WHERE uc.credential_hash = $1
+       AND uc.credential_type = 'invitation'
+       AND uc.is_active = true
+       AND uc.expires_at > NOW()
+       AND u.status = 'invited'
+       AND u.deleted_at IS NULL`,
+    [hash]
+  );
+
+  if (result.rows.length === 0) return null;
+
+  const row = result.rows[0];
+  return {
+    invitation: {
+      id: row.invitation_id,
+      expires_at: row.expires_at,
+      metadata: row.metadata,
+      sent_at: row.sent_at,
+    },
+    user: {
+      id: row.user_id,
+      email: row.email,
+      name: row.name,
+      status: row.status,
+      role: row.role,
+      organization_id: row.organization_id,
+      token_version: row.token_version,
+    },
+  };
+}
+
+/**
+ * List an organization's outstanding invitations, newest first.
+ * Each invited user appears once, with their most recent invite.
+ * @param {Pool} pool
+ * @param {{ organizationId: string, limit?: number, offset?: number }} options
+ * @returns {Promise<{ invitations: Object[], total: number }>}
+ */
+async function listInvitations(pool, { organizationId, limit = 20, offset = 0 }) {
+  const [dataResult, countResult] = await Promise.all([
+    pool.query(
+      `SELECT u.id, u.email, u.name, u.role, u.created_at,
+              (inv.metadata->>'invited_by')::bigint AS invited_by,
+              inv.created_at AS sent_at,
+              inv.expires_at,
+              (inv.expires_at IS NULL OR inv.expires_at <= NOW()) AS expired
+       FROM users u
+       LEFT JOIN LATERAL (
+         SELECT metadata, created_at, expires_at
+         FROM user_credentials
+         WHERE user_id = u.id
+           AND credential_type = 'invitation'
+           AND is_active = true
+         ORDER BY created_at DESC
+         LIMIT 1
+       ) inv ON true
+       WHERE u.organization_id = $1
+         AND u.status = 'invited'
+         AND u.deleted_at IS NULL
+       ORDER BY u.created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [organizationId, limit, offset]
+    ),
+    pool.query(
+      `SELECT COUNT(*)::int AS total FROM users WHERE organization_id = $1 AND status = 'invited' AND deleted_at IS NULL`,
+      [organizationId]
+    ),
+  ]);
+
+  return {
+    invitations: dataResult.rows,
+    total: countResult.rows[0].total,
+  };
+}
+
+module.exports = {
+  findInvitationByTokenHash,
+  listInvitations,
+};
@@ -0,0 +1,190 @@
+// Lockout repository - database operations for auth_lockouts table
+
+/**
+ * Find the latest locked_until among the given scopes that is still in the future
+ * @param {Pool} pool
+ * @param {{ scope: string, identifier: string }[]} keys
+ * @returns {Promise<Date|null>} When the longest active lock ends, or null if none
+ */
+async function findActiveLock(pool, keys) {
+  const scopes = keys.map(k => k.scope);
+  const identifiers = keys.map(k => k.identifier);
+
+  const result = await pool.query(
+    `SELECT MAX(locked_until) AS locked_until
+     FROM auth_lockouts
+     WHERE (scope, identifier) IN (SELECT * FROM UNNEST($1::varchar[], $2::varchar[]))
+       AND locked_until > NOW()`,
+    [scopes, identifiers]
+  );
+  return result.rows[0].locked_until;
+}
+
+/**
+ * Count an attempt before its outcome is known, locking the scope in the same
+ * statement once the count passes the free attempts. Nothing is written while
+ * the scope is locked, so concurrent attempts cannot exceed the budget.
+ * The counter restarts if the previous attempt is older than the reset window.
+ * @param {Pool} pool
+ * @param {string} scope - 'email' | 'ip'
+ * @param {string} identifier
+ * @param {{ freeAttempts: number, baseDelaySeconds: number, maxLockSeconds: number, resetWindowSeconds: number }} policy
+ * @returns {Promise<{ id: string, failed_count: number, locked_until: Date|null }|null>} The counted row, or null if the scope is locked
+ */
+async function reserveAttempt(pool, scope, identifier, { freeAttempts, baseDelaySeconds, maxLockSeconds, resetWindowSeconds }) {
+  const count = `CASE
+         WHEN auth_lockouts.last_failed_at < NOW() - make_interval(secs => $6::int) THEN 1
+         ELSE auth_lockouts.failed_count + 1
+       END`;
+  // baseDelaySeconds * 2^(attempts past the free ones - 1), capped at maxLockSeconds
+  const lockedUntil = (failedCount) => `CASE
+         WHEN ${failedCount} > $3::int
+         THEN NOW() + make_interval(secs => LEAST($4::int * power(2, ${failedCount} - $3::int - 1), $5::int))
+       END`;
+
+  const result = await pool.query(
+    `INSERT INTO auth_lockouts (scope, identifier, failed_count, locked_until)
+     VALUES ($1, $2, 1, ${lockedUntil('1')})
+     ON CONFLICT (scope, identifier) DO UPDATE SET
+       failed_count = ${count},
+       first_failed_at = CASE
+         WHEN auth_lockouts.last_failed_at < NOW() - make_interval(secs => $6::int) THEN NOW()
+         ELSE auth_lockouts.first_failed_at
+       END,
+       locked_until = ${lockedUntil(count)},
+       last_failed_at = NOW(),
+       updated_at = NOW()
+     WHERE auth_lockouts.locked_until IS NULL
+        OR auth_lockouts.locked_until <= NOW()
+     RETURNING id, failed_count, locked_until`,
+    [scope, identifier, freeAttempts, baseDelaySeconds, maxLockSeconds, resetWindowSeconds]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Give back an attempt counted by reserveAttempt that did not fail, lifting the
+ * lock it set unless another attempt has been counted since
+ * @param {Pool} pool
+ * @param {{ id: string, failed_count: number }} reservation - Row returned by reserveAttempt
+ * @returns {Promise<void>}
+ */
+async function releaseAttempt(pool, { id, failed_count: failedCount }) {
+  await pool.query(
+    `UPDATE auth_lockouts
+     SET locked_until = CASE WHEN failed_count = $2 THEN NULL ELSE locked_until END,
+         failed_count = GREATEST(failed_count - 1, 0),
+         updated_at = NOW()
+     WHERE id = $1`,
+    [id, failedCount]
+  );
+}
+
+/**
+ * Remove the failure record for a scope (after a successful login)
+ * @param {Pool} pool
+ * @param {string} scope
+ * @param {string} identifier
+ * @returns {Promise<void>}
+ */
+async function clearFailures(pool, scope, identifier) {
+  await pool.query(
+    'DELETE FROM auth_lockouts WHERE scope = $1 AND identifier = $2',
+    [scope, identifier]
+  );
+}
+
+// Organizations only see email lockouts for their own addresses. IP lockouts span
+// tenants, so they are left to platform operators (pbxscribe lockouts).
+const ORGANIZATION_CONDITION = (param) =>
+  `(scope = 'email' AND identifier IN (SELECT LOWER(email) FROM users WHERE organization_id = ${param}))`;
+
+/**
+ * List lockout records with pagination
+ * @param {Pool} pool
+ * @param {{ limit?: number, offset?: number, scope?: string, lockedOnly?: boolean, organizationId?: string }} options
+ * @returns {Promise<{ lockouts: Object[], total: number }>}
+ */
+async function listLockouts(pool, { limit = 20, offset = 0, scope, lockedOnly = false, organizationId } = {}) {
+  const conditions = [];
+  const values = [];
+
+  if (organizationId) {
+    values.push(organizationId);
+    conditions.push(ORGANIZATION_CONDITION(`$${values.length}`));
+  }
+
+  if (scope) {
+    values.push(scope);
+    conditions.push(`scope = $${values.length}`);
+  }
+  if (lockedOnly) {
+    conditions.push('locked_until > NOW()');
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const [dataResult, countResult] = await Promise.all([
+    pool.query(
+      `SELECT id, scope, identifier, failed_count, first_failed_at, last_failed_at, locked_until
+       FROM auth_lockouts
+       ${where}
+       ORDER BY last_failed_at DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset]
+    ),
+    pool.query(
+      `SELECT COUNT(*)::int AS total FROM auth_lockouts ${where}`,
+      values
+    )
+  ]);
+
+  return {
+    lockouts: dataResult.rows,
+    total: countResult.rows[0].total
+  };
+}
+
+/**
+ * Find the lockout record for an email address, if any
+ * @param {Pool} pool
+ * @param {string} email
+ * @returns {Promise<Object|null>}
+ */
+async function findLockoutByEmail(pool, email) {
+  const result = await pool.query(
+    `SELECT id, scope, identifier, failed_count, first_failed_at, last_failed_at, locked_until
+     FROM auth_lockouts
+     WHERE scope = 'email'
+       AND identifier = LOWER($1)`,
+    [email]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Delete a lockout record by ID
+ * @param {Pool} pool
+ * @param {string} id
+ * @param {{ organizationId?: string }} [options]
+ * @returns {Promise<boolean>} true if deleted, false if not found
+ */
+async function deleteLockout(pool, id, { organizationId } = {}) {
+  const result = await pool.query(
+    `DELETE FROM auth_lockouts
+     WHERE id = $1
+       AND ($2::bigint IS NULL OR ${ORGANIZATION_CONDITION('$2')})`,
+    [id, organizationId || null]
+  );
+  return result.rowCount > 0;
+}
+
+module.exports = {
+  findActiveLock,
+  reserveAttempt,
+  releaseAttempt,
+  clearFailures,
+  listLockouts,
+  findLockoutByEmail,
+  deleteLockout,
+};
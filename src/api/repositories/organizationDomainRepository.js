@@ -0,0 +1,115 @@
+// Organization domain repository - email domains claimed for single sign-on
+
+const COLUMNS = 'id, organization_id, domain, verification_token, verified_at, created_at';
+
+/**
+ * Claim a domain for an organization. Claiming a domain the organization already
+ * claimed returns the existing claim unchanged.
+ * @param {Pool} pool
+ * @param {{ organizationId: string, domain: string, verificationToken: string }} fields
+ * @returns {Promise<Object>} The claim row
+ */
+async function createDomainClaim(pool, { organizationId, domain, verificationToken }) {
+  const result = await pool.query(
+    `INSERT INTO organization_domains (organization_id, domain, verification_token)
+     VALUES ($1, LOWER($2), $3)
+     ON CONFLICT (organization_id, domain) DO UPDATE SET domain = EXCLUDED.domain
+     RETURNING ${COLUMNS}`,
+    [organizationId, domain, verificationToken]
+  );
+  return result.rows[0];
+}
+
+/**
+ * List an organization's domain claims
+ * @param {Pool} pool
+ * @param {string} organizationId
+ * @returns {Promise<Object[]>}
+ */
+async function listOrganizationDomains(pool, organizationId) {
+  const result = await pool.query(
+    `SELECT ${COLUMNS}
+     FROM organization_domains
+     WHERE organization_id = $1
+     ORDER BY domain`,
+    [organizationId]
+  );
+  return result.rows;
+}
+
+/**
+ * Find an organization's claim on a domain
+ * @param {Pool} pool
+ * @param {string} organizationId
+ * @param {string} domain
+ * @returns {Promise<Object|null>}
+ */
+async function findOrganizationDomain(pool, organizationId, domain) {
+  const result = await pool.query(
+    `SELECT ${COLUMNS}
+     FROM organization_domains
+     WHERE organization_id = $1 AND domain = LOWER($2)`,
+    [organizationId, domain]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Find the verified claim on a domain, whichever organization holds it
+ * @param {Pool} pool
+ * @param {string} domain
+ * @returns {Promise<Object|null>}
+ */
+async function findVerifiedDomain(pool, domain) {
+  const result = await pool.query(
+    `SELECT ${COLUMNS}
+     FROM organization_domains
+     WHERE domain = LOWER($1) AND verified_at IS NOT NULL`,
+    [domain]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Mark a claim verified. Fails with a unique violation (23505) if another
+ * organization has already verified the same domain.
+ * @param {Pool} pool
+ * @param {string} id
+ * @returns {Promise<Object|null>} The updated claim, or null if it no longer exists
+ */
+async function markDomainVerified(pool, id) {
+  const result = await pool.query(
+    `UPDATE organization_domains
+     SET verified_at = COALESCE(verified_at, NOW())
+     WHERE id = $1
+     RETURNING ${COLUMNS}`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Remove an organization's claim on a domain
+ * @param {Pool} pool
+ * @param {string} organizationId
+ * @param {string} domain
+ * @returns {Promise<Object|null>} The deleted claim, or null if there was none
+ */
+async function deleteOrganizationDomain(pool, organizationId, domain) {
+  const result = await pool.query(
+    `DELETE FROM organization_domains
+     WHERE organization_id = $1 AND domain = LOWER($2)
+     RETURNING ${COLUMNS}`,
+    [organizationId, domain]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  createDomainClaim,
+  listOrganizationDomains,
+  findOrganizationDomain,
+  findVerifiedDomain,
+  markDomainVerified,
+  deleteOrganizationDomain,
+};
@@ -0,0 +1,72 @@
+// Organization repository - database operations for organizations table
+
+/**
+ * Create a new organization
+ * @param {Pool} pool - pg.Pool instance
+ * @param {{ name: string }} fields
+ * @returns {Promise<Object>} Created organization row
+ */
+async function createOrganization(pool, { name }) {
+  const result = await pool.query(
+    `INSERT INTO organizations (name)
+     VALUES ($1)
+     RETURNING id, name, created_at, updated_at`,
+    [name]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Find an organization by ID
+ * @param {Pool} pool
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+async function findOrganizationById(pool, id) {
+  const result = await pool.query(
+    `SELECT id, name, created_at, updated_at
+     FROM organizations
+     WHERE id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Get an organization's password policy overrides
+ * @param {Pool} pool
+ * @param {string} id
+ * @returns {Promise<Object|null>} Overrides ({} when none are set), or null if the organization does not exist
+ */
+async function getPasswordPolicy(pool, id) {
+  const result = await pool.query(
+    'SELECT password_policy FROM organizations WHERE id = $1',
+    [id]
+  );
+  return result.rows[0] ? result.rows[0].password_policy : null;
+}
+
+/**
+ * Replace an organization's password policy overrides
+ * @param {Pool} pool
+ * @param {string} id
+ * @param {Object} policy
+ * @returns {Promise<Object|null>} Stored overrides, or null if the organization does not exist
+ */
+async function updatePasswordPolicy(pool, id, policy) {
+  const result = await pool.query(
+    `UPDATE organizations
+     SET password_policy = $2, updated_at = NOW()
+     WHERE id = $1
+     RETURNING password_policy`,
+    [id, policy]
+  );
+  return result.rows[0] ? result.rows[0].password_policy : null;
+}
+
+module.exports = {
+  createOrganization,
+  findOrganizationById,
+  getPasswordPolicy,
+  updatePasswordPolicy,
+};
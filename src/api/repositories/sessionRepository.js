@@ -0,0 +1,164 @@
+// Session repository - database operations for sessions table
+
+const COLUMNS = 'id, user_id, impersonated_user_id, user_agent, ip, created_at, last_seen_at, expires_at, revoked_at';
+
+// last_seen_at is only written when older than this, to avoid a write per request
+const TOUCH_INTERVAL_SECONDS = 60;
+
+/**
+ * Create a session for a successful login
+ * @param {Pool} pool
+ * @param {{ userId: string, userAgent?: string, ip?: string, expiresAt: Date, impersonatedUserId?: string }} fields
+ *   impersonatedUserId - set when the admin `userId` is acting as another user
+ * @returns {Promise<Object>} Created session row
+ */
+async function createSession(pool, { userId, userAgent, ip, expiresAt, impersonatedUserId }) {
+  const result = await pool.query(
+    `INSERT INTO sessions (user_id, user_agent, ip, expires_at, impersonated_user_id)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING ${COLUMNS}`,
+    [userId, userAgent ? userAgent.slice(0, 512) : null, ip || null, expiresAt, impersonatedUserId || null]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Find a session that has not been revoked or expired
+ * @param {Pool} pool
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+async function findActiveSession(pool, id) {
+  const result = await pool.query(
+    `SELECT ${COLUMNS}
+     FROM sessions
+     WHERE id = $1
+       AND revoked_at IS NULL
+       AND expires_at > NOW()`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * List a user's active sessions, most recently seen first
+ * @param {Pool} pool
+ * @param {string} userId
+ * @returns {Promise<Object[]>}
+ */
+async function listActiveSessions(pool, userId) {
+  const result = await pool.query(
+    `SELECT ${COLUMNS}
+     FROM sessions
+     WHERE user_id = $1
+       AND revoked_at IS NULL
+       AND expires_at > NOW()
+     ORDER BY last_seen_at DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * List all of a user's sessions, including revoked and expired ones, newest first
+ * @param {Pool} pool
+ * @param {string} userId
+ * @returns {Promise<Object[]>}
+ */
+async function listSessionsByUserId(pool, userId) {
+  const result = await pool.query(
+    `SELECT ${COLUMNS}
+     FROM sessions
+     WHERE user_id = $1
+     ORDER BY created_at DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Record activity on a session (fire-and-forget safe)
+ * @param {Pool} pool
+ * @param {string} id
+ * @param {{ ip?: string, expiresAt?: Date }} [fields] - expiresAt: extend the session (on refresh)
+ * @returns {Promise<void>}
+ */
+async function touchSession(pool, id, { ip, expiresAt } = {}) {
+  await pool.query(
+    `UPDATE sessions
+     SET last_seen_at = NOW(),
+         ip = COALESCE($2, ip),
+         expires_at = COALESCE($3, expires_at)
+     WHERE id = $1
+       AND ($3::timestamptz IS NOT NULL OR last_seen_at < NOW() - make_interval(secs => $4))`,
+    [id, ip || null, expiresAt || null, TOUCH_INTERVAL_SECONDS]
+  );
+}
+
+/**
+ * Revoke one of a user's sessions and deactivate its refresh tokens
+ * @param {Pool} pool
+ * @param {string} id
+ * @param {string} userId - Owner; sessions of other users are not touched
+ * @returns {Promise<boolean>} true if revoked, false if not found or already revoked
+ */
+async function revokeSession(pool, id, userId) {
+  const result = await pool.query(
+    `UPDATE sessions
+     SET revoked_at = NOW()
+     WHERE id = $1
+       AND user_id = $2
+       AND revoked_at IS NULL`,
+    [id, userId]
+  );
+  if (result.rowCount === 0) return false;
+
+  await pool.query(
+    `UPDATE user_credentials
+     SET is_active = false, updated_at = NOW()
+     WHERE session_id = $1
+       AND is_active = true`,
+    [id]
+  );
+  return true;
+}
+
+/**
+ * Revoke all of a user's sessions, optionally keeping one, and deactivate their refresh tokens
+ * @param {Pool} pool
+ * @param {string} userId
+ * @param {{ exceptId?: string }} [options] - exceptId: session to keep (the caller's own)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeSessionsByUserId(pool, userId, { exceptId } = {}) {
+  const result = await pool.query(
+    `UPDATE sessions
+     SET revoked_at = NOW()
+     WHERE user_id = $1
+       AND revoked_at IS NULL
+       AND ($2::bigint IS NULL OR id <> $2)
+     RETURNING id`,
+    [userId, exceptId || null]
+  );
+
+  if (result.rows.length > 0) {
+    await pool.query(
+      `UPDATE user_credentials
+       SET is_active = false, updated_at = NOW()
+       WHERE session_id = ANY($1::bigint[])
+         AND is_active = true`,
+      [result.rows.map(row => row.id)]
+    );
+  }
+  return result.rows.length;
+}
+
+module.exports = {
+  createSession,
+  findActiveSession,
+  listActiveSessions,
+  listSessionsByUserId,
+  touchSession,
+  revokeSession,
+  revokeSessionsByUserId,
+};
@@ -1,17 +1,24 @@
 // User repository - database operations for users table
+//
+// Lookups that serve a caller (rather than authentication itself) accept an
+// `organizationId` option; when set, users outside that organization are
+// treated as not found. Soft-deleted users (deleted_at set) are treated as not
+// found everywhere except where `includeDeleted` is passed.
+
+const COLUMNS = 'id, email, name, status, role, organization_id, token_version, created_at, updated_at, deleted_at';
 
 /**
  * Create a new user
  * @param {Pool} pool - pg.Pool instance
- * @param {{ email: string, name: string }} fields
+ * @param {{ email: string, name: string, organizationId: string, role?: string, status?: string }} fields
  * @returns {Promise<Object>} Created user row
  */
-async function createUser(pool, { email, name }) {
+async function createUser(pool, { email, name, organizationId, role, status }) {
   const result = await pool.query(
-    `INSERT INTO users (email, name)
-     VALUES ($1, $2)
-     RETURNING id, email, name, status, created_at, updated_at`,
-    [email, name]
+    `INSERT INTO users (email, name, organization_id, role, status)
+     VALUES ($1, $2, $3, COALESCE($4, 'member'), COALESCE($5, 'active'))
+     RETURNING ${COLUMNS}`,
+    [email, name, organizationId, role || null, status || null]
   );
   return result.rows[0];
 }
@@ -20,14 +27,17 @@ async function createUser(pool, { email, name }) {
  * Find a user by ID
  * @param {Pool} pool
  * @param {string} id - UUID
+ * @param {{ organizationId?: string, includeDeleted?: boolean }} [options]
  * @returns {Promise<Object|null>}
  */
-async function findUserById(pool, id) {
+async function findUserById(pool, id, { organizationId, includeDeleted = false } = {}) {
   const result = await pool.query(
-    `SELECT id, email, name, status, created_at, updated_at
+    `SELECT ${COLUMNS}
      FROM users
-     WHERE id = $1`,
-    [id]
+     WHERE id = $1
+       AND ($2::bigint IS NULL OR organization_id = $2)
+       AND ($3 OR deleted_at IS NULL)`,
+    [id, organizationId || null, includeDeleted]
   );
   return result.rows[0] || null;
 }
@@ -40,9 +50,10 @@ async function findUserById(pool, id) {
  */
 async function findUserByEmail(pool, email) {
   const result = await pool.query(
-    `SELECT id, email, name, status, created_at, updated_at
+    `SELECT ${COLUMNS}
      FROM users
-     WHERE email = $1`,
+     WHERE email = $1
+       AND deleted_at IS NULL`,
     [email]
   );
   return result.rows[0] || null;
@@ -52,11 +63,12 @@ async function findUserByEmail(pool, email) {
  * Update a user (partial updates supported)
  * @param {Pool} pool
  * @param {string} id - UUID
- * @param {{ name?: string, status?: string }} fields - Fields to update
+ * @param {{ name?: string, status?: string, role?: string }} fields - Fields to update
+ * @param {{ organizationId?: string }} [options]
  * @returns {Promise<Object|null>} Updated user row, or null if not found
  */
-async function updateUser(pool, id, fields) {
-  const allowed = ['name', 'status'];
+async function updateUser(pool, id, fields, { organizationId } = {}) {
+  const allowed = ['name', 'status', 'role'];
   const updates = [];
   const values = [];
 
@@ -68,81 +80,214 @@ async function updateUser(pool, id, fields) {
   }
 
   if (updates.length === 0) {
-    return findUserById(pool, id);
+    return findUserById(pool, id, { organizationId });
   }
 
   // Always update updated_at
   updates.push(`updated_at = NOW()`);
-  values.push(id);
+  values.push(id, organizationId || null);
 
   const result = await pool.query(
     `UPDATE users
      SET ${updates.join(', ')}
-     WHERE id = $${values.length}
-     RETURNING id, email, name, status, created_at, updated_at`,
+     WHERE id = $${values.length - 1}
+       AND ($${values.length}::bigint IS NULL OR organization_id = $${values.length})
+       AND deleted_at IS NULL
+     RETURNING ${COLUMNS}`,
     values
   );
   return result.rows[0] || null;
 }
 
 /**
- * List users with pagination and optional status filter
+ * Increment a user's token_version, revoking every access token issued so far
  * @param {Pool} pool
- * @param {{ limit?: number, offset?: number, status?: string }} options
- * @returns {Promise<{ users: Object[], total: number }>}
+ * @param {string} id - User ID
+ * @returns {Promise<number|null>} New token version, or null if not found
  */
-async function listUsers(pool, { limit = 20, offset = 0, status } = {}) {
-  const conditions = [];
-  const values = [];
+async function incrementTokenVersion(pool, id) {
+  const result = await pool.query(
+    `UPDATE users
+     SET token_version = token_version + 1, updated_at = NOW()
+     WHERE id = $1
+       AND deleted_at IS NULL
+     RETURNING token_version`,
+    [id]
+  );
+  return result.rows.length ? result.rows[0].token_version : null;
+}
+
+// Columns GET /users can sort by; id breaks ties so keyset pages are stable
+const SORTABLE_COLUMNS = ['created_at', 'updated_at', 'email', 'name'];
+
+/**
+ * List an organization's users.
+ *
+ * Pages either by offset or, when `after` is given, by keyset: rows strictly
+ * after that position in the sort order. Fetches one row beyond `limit` to
+ * tell whether another page exists.
+ *
+ * @param {Pool} pool
+ * @param {{ organizationId: string, limit?: number, offset?: number, status?: string, deleted?: boolean, search?: string, createdFrom?: string, createdTo?: string, sort?: string, order?: 'asc'|'desc', after?: { value: string, id: string }, includeTotal?: boolean }} options
+ *   deleted - list soft-deleted users instead of current ones
+ *   search - case-insensitive substring of email or name
+ *   createdFrom / createdTo - created at or after / before these times
+ *   sort - one of SORTABLE_COLUMNS
+ *   after - sort value and id of the last row of the previous page
+ *   includeTotal - also count all matching users (an extra query)
+ * @returns {Promise<{ users: Object[], total: number|null, next: { value: string, id: string }|null }>}
+ *   next - position of the last returned row when more rows follow
+ */
+async function listUsers(pool, {
+  organizationId,
+  limit = 20,
+  offset = 0,
+  status,
+  deleted = false,
+  search,
+  createdFrom,
+  createdTo,
+  sort = 'created_at',
+  order = 'desc',
+  after,
+  includeTotal = true,
+} = {}) {
+  if (!SORTABLE_COLUMNS.includes(sort)) {
+    throw new Error(`Cannot sort users by ${sort}`);
+  }
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+  const conditions = ['organization_id = $1', deleted ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL'];
+  const values = [organizationId];
 
   if (status) {
     values.push(status);
     conditions.push(`status = $${values.length}`);
   }
+  if (search) {
+    values.push(`%${search.replace(/[\\%_]/g, '\\$&')}%`);
+    conditions.push(`(email ILIKE $${values.length} OR name ILIKE $${values.length})`);
+  }
+  if (createdFrom) {
+    values.push(createdFrom);
+    conditions.push(`created_at >= $${values.length}`);
+  }
+  if (createdTo) {
+    values.push(createdTo);
+    conditions.push(`created_at < $${values.length}`);
+  }
 
-  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const where = `WHERE ${conditions.join(' AND ')}`;
+  const pageConditions = [...conditions];
+  const pageValues = [...values];
+
+  if (after) {
+    pageValues.push(after.value, after.id);
+    pageConditions.push(
+      `(${sort}, id) ${direction === 'ASC' ? '>' : '<'} ($${pageValues.length - 1}, $${pageValues.length})`
+    );
+  }
+  pageValues.push(limit + 1, after ? 0 : offset);
 
-  // Run data query and count query in parallel
+  // The sort key is read back as text so timestamps keep their full precision in cursors
   const [dataResult, countResult] = await Promise.all([
     pool.query(
-      `SELECT id, email, name, status, created_at, updated_at
+      `SELECT ${COLUMNS}, ${sort}::text AS sort_key
        FROM users
-       ${where}
-       ORDER BY created_at DESC
-       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
-      [...values, limit, offset]
+       WHERE ${pageConditions.join(' AND ')}
+       ORDER BY ${sort} ${direction}, id ${direction}
+       LIMIT $${pageValues.length - 1} OFFSET $${pageValues.length}`,
+      pageValues
     ),
-    pool.query(
-      `SELECT COUNT(*)::int AS total FROM users ${where}`,
-      values
-    )
+    includeTotal
+      ? pool.query(`SELECT COUNT(*)::int AS total FROM users ${where}`, values)
+      : null,
   ]);
 
+  const rows = dataResult.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+  const next = dataResult.rows.length > limit ? { value: last.sort_key, id: String(last.id) } : null;
+
   return {
-    users: dataResult.rows,
-    total: countResult.rows[0].total
+    users: rows.map(({ sort_key: _sortKey, ...user }) => user),
+    total: countResult ? countResult.rows[0].total : null,
+    next,
   };
 }
 
 /**
- * Delete a user by ID
+ * Soft-delete a user by ID. The row is kept until purged so the deletion can be undone;
+ * access tokens issued so far stop working.
  * @param {Pool} pool
  * @param {string} id - UUID
+ * @param {{ organizationId?: string }} [options]
  * @returns {Promise<boolean>} true if deleted, false if not found
  */
-async function deleteUser(pool, id) {
+async function deleteUser(pool, id, { organizationId } = {}) {
   const result = await pool.query(
-    'DELETE FROM users WHERE id = $1',
-    [id]
+    `UPDATE users
+     SET deleted_at = NOW(), token_version = token_version + 1, updated_at = NOW()
+     WHERE id = $1
+       AND ($2::bigint IS NULL OR organization_id = $2)
+       AND deleted_at IS NULL`,
+    [id, organizationId || null]
   );
   return result.rowCount > 0;
 }
 
+/**
+ * Restore a soft-deleted user
+ * @param {Pool} pool
+ * @param {string} id
+ * @param {{ organizationId?: string }} [options]
+ * @returns {Promise<Object|null>} Restored user row, or null if not found or not deleted
+ * @throws {Error} Unique violation (23505) if the email now belongs to another user
+ */
+async function restoreUser(pool, id, { organizationId } = {}) {
+  const result = await pool.query(
+    `UPDATE users
+     SET deleted_at = NULL, updated_at = NOW()
+     WHERE id = $1
+       AND ($2::bigint IS NULL OR organization_id = $2)
+       AND deleted_at IS NOT NULL
+     RETURNING ${COLUMNS}`,
+    [id, organizationId || null]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Permanently delete users that were soft-deleted before a cutoff.
+ * Credentials and sessions go with them (ON DELETE CASCADE).
+ * @param {Pool} pool
+ * @param {{ deletedBefore: Date, limit?: number }} options
+ * @returns {Promise<Array<{ id: string, organization_id: string }>>} Purged users
+ */
+async function purgeDeletedUsers(pool, { deletedBefore, limit = 500 }) {
+  const result = await pool.query(
+    `DELETE FROM users
+     WHERE id IN (
+       SELECT id FROM users
+       WHERE deleted_at IS NOT NULL
+         AND deleted_at < $1
+       ORDER BY deleted_at
+       LIMIT $2
+     )
+     RETURNING id, organization_id`,
+    [deletedBefore, limit]
+  );
+  return result.rows;
+}
+
 module.exports = {
+  SORTABLE_COLUMNS,
   createUser,
   findUserById,
   findUserByEmail,
   updateUser,
+  incrementTokenVersion,
   listUsers,
   deleteUser,
+  restoreUser,
+  purgeDeletedUsers,
 };
@@ -4,8 +4,47 @@ const {
   findCredentialsByUserId,
   updateCredentialExpiry,
   deactivateCredential,
+  rotateCredential,
 } = require('../repositories/credentialRepository');
+const { withTransaction } = require('../db/transaction');
 const { generateApiKey, hashApiKey } = require('../utils/apiKey');
+const { API_KEY_SCOPES } = require('../utils/roles');
+const { recordAuditEvent } = require('../utils/audit');
+
+// How long a rotated key keeps working alongside its replacement
+const ROTATION_GRACE_HOURS = parseInt(process.env.API_KEY_ROTATION_GRACE_HOURS || '24', 10);
+
+const errorSchema = {
+  type: 'object',
+  properties: { error: { type: 'object', properties: { message: { type: 'string' }, statusCode: { type: 'integer' }, code: { type: 'string' } } } },
+};
+
+/**
+ * Scopes a key holds beyond those of the calling API key. Callers signed in
+ * with a token or an unscoped key hold every scope, as does a key without scopes.
+ * @param {FastifyRequest} request
+ * @param {string[]|null} scopes - Scopes of the key being created or managed
+ * @returns {string[]} Empty when the caller may act on the key
+ */
+function excessScopes(request, scopes) {
+  const callerScopes = request.credential && request.credential.scopes;
+  if (!Array.isArray(callerScopes)) return [];
+  return (scopes || API_KEY_SCOPES).filter(scope => !callerScopes.includes(scope));
+}
+
+/**
+ * Reply 403 for a scoped caller acting on a key with scopes it does not have
+ * @param {FastifyReply} reply
+ * @param {{ scopes: string[]|null }} key - The key being managed
+ * @param {string[]} excess - From excessScopes
+ * @returns {FastifyReply}
+ */
+function sendScopeEscalation(reply, key, excess) {
+  const message = key.scopes
+    ? `API key cannot manage a key with scopes it does not have: ${excess.join(', ')}`
+    : 'API key cannot manage an unscoped key';
+  return reply.status(403).send({ error: { message, statusCode: 403 } });
+}
 
 /**
  * Register API key routes
@@ -14,11 +53,11 @@ const { generateApiKey, hashApiKey } = require('../utils/apiKey');
 async function apiKeyRoutes(fastify) {
   // GET /api-keys — protected
   fastify.get('/api-keys', {
-    preHandler: [fastify.authenticate],
+    preHandler: [fastify.authenticate, fastify.authorize('api_keys:read')],
     schema: {
       tags: ['API Keys'],
       summary: 'List API keys',
-      description: 'Returns all API keys belonging to the authenticated user.',
+      description: 'Returns all API keys belonging to the authenticated user. Rotated keys link to their replacement via `replaced_by_id`, and replacements link back via `rotated_from_id`.',
       security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
       response: {
         200: {
@@ -31,9 +70,12 @@ async function apiKeyRoutes(fastify) {
                 properties: {
                   id: { type: 'integer' },
                   label: { type: 'string', nullable: true },
+                  scopes: { type: 'array', items: { type: 'string' }, nullable: true },
                   is_active: { type: 'boolean' },
                   last_used_at: { type: 'string', format: 'date-time', nullable: true },
                   expires_at: { type: 'string', format: 'date-time', nullable: true },
+                  replaced_by_id: { type: 'integer', nullable: true },
+                  rotated_from_id: { type: 'integer', nullable: true },
                   created_at: { type: 'string', format: 'date-time' },
                 },
               },
@@ -43,23 +85,36 @@ async function apiKeyRoutes(fastify) {
       },
     },
   }, async (request, reply) => {
-    const credentials = await findCredentialsByUserId(fastify.pg, request.user.id, 'api_key');
-    return { api_keys: credentials };
+    const credentials = await findCredentialsByUserId(fastify.pg, request.user.id, 'api_key', { organizationId: request.user.organization_id });
+
+    const rotatedFrom = new Map(
+      credentials.filter(c => c.replaced_by_id).map(c => [String(c.replaced_by_id), c.id])
+    );
+    const apiKeys = credentials.map(c => ({ ...c, rotated_from_id: rotatedFrom.get(String(c.id)) || null }));
+
+    return { api_keys: apiKeys };
   });
 
   // POST /api-keys — protected
   fastify.post('/api-keys', {
-    preHandler: [fastify.authenticate],
+    preHandler: [fastify.authenticate, fastify.forbidImpersonation, fastify.authorize('api_keys:write')],
     schema: {
       tags: ['API Keys'],
       summary: 'Create an API key',
-      description: 'Generates a new API key for the authenticated user. The plaintext key is only returned once.',
+      description: 'Generates a new API key for the authenticated user. The plaintext key is only returned once. Pass `scopes` to limit what the key can do; omit it for a key with all of the owner\'s permissions. A scoped key can only create keys with a subset of its own scopes.',
       security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
       body: {
         type: 'object',
         properties: {
           label: { type: 'string', maxLength: 100 },
           expires_in_days: { type: 'integer', minimum: 1, maximum: 365, default: 90 },
+          scopes: {
+            type: 'array',
+            items: { type: 'string', enum: API_KEY_SCOPES },
+            minItems: 1,
+            uniqueItems: true,
+            description: 'Permissions the key is limited to, e.g. ["recordings:write"]',
+          },
         },
         additionalProperties: false,
       },
@@ -70,14 +125,26 @@ async function apiKeyRoutes(fastify) {
             id: { type: 'integer' },
             key: { type: 'string', description: 'Plaintext API key — shown only once, store securely' },
             label: { type: 'string', nullable: true },
+            scopes: { type: 'array', items: { type: 'string' }, nullable: true },
             expires_at: { type: 'string', format: 'date-time', nullable: true },
             created_at: { type: 'string', format: 'date-time' },
           },
         },
+        403: errorSchema,
       },
     },
   }, async (request, reply) => {
-    const { label, expires_in_days = 90 } = request.body || {};
+    const { label, expires_in_days = 90, scopes } = request.body || {};
+    const callerScopes = request.credential && request.credential.scopes;
+
+    // A scoped key must not be able to mint a key more powerful than itself;
+    // when it omits scopes the new key inherits the caller's
+    const excess = scopes ? excessScopes(request, scopes) : [];
+    if (excess.length > 0) {
+      return reply.status(403).send({
+        error: { message: `API key cannot grant scopes it does not have: ${excess.join(', ')}`, statusCode: 403 },
+      });
+    }
 
     const expiresAt = new Date();
     expiresAt.setDate(expiresAt.getDate() + expires_in_days);
@@ -91,12 +158,21 @@ async function apiKeyRoutes(fastify) {
       credentialHash: hash,
       label: label || null,
       expiresAt,
+      scopes: scopes || (Array.isArray(callerScopes) ? callerScopes : null),
+    });
+
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'api_key.create',
+      targetType: 'api_key',
+      targetId: credential.id,
+      after: { label: credential.label, scopes: credential.scopes, expires_at: credential.expires_at },
     });
 
     return reply.status(201).send({
       id: credential.id,
       key: plainKey,   // Only time the plaintext key is returned
       label: credential.label,
+      scopes: credential.scopes,
       expires_at: credential.expires_at,
       created_at: credential.created_at,
     });
@@ -104,11 +180,11 @@ async function apiKeyRoutes(fastify) {
 
   // PATCH /api-keys/:id — protected
   fastify.patch('/api-keys/:id', {
-    preHandler: [fastify.authenticate],
+    preHandler: [fastify.authenticate, fastify.forbidImpersonation, fastify.authorize('api_keys:write')],
     schema: {
       tags: ['API Keys'],
       summary: 'Extend API key expiry',
-      description: 'Updates the expiry of an API key. Pass either `extend_by_days` to add days from the current expiry (or today if already expired), or `expires_at` to set an exact date. Only one may be provided.',
+      description: 'Updates the expiry of an API key. Pass either `extend_by_days` to add days from the current expiry (or today if already expired), or `expires_at` to set an exact date. Only one may be provided. A scoped key can only update keys whose scopes are a subset of its own.',
       security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
       params: {
         type: 'object',
@@ -139,10 +215,12 @@ async function apiKeyRoutes(fastify) {
           type: 'object',
           properties: { error: { type: 'object', properties: { message: { type: 'string' }, statusCode: { type: 'integer' } } } },
         },
+        403: errorSchema,
         404: {
           type: 'object',
           properties: { error: { type: 'object', properties: { message: { type: 'string' }, statusCode: { type: 'integer' } } } },
         },
+        409: errorSchema,
       },
     },
   }, async (request, reply) => {
@@ -156,13 +234,21 @@ async function apiKeyRoutes(fastify) {
       return reply.status(400).send({ error: { message: 'Provide either extend_by_days or expires_at, not both', statusCode: 400 } });
     }
 
-    const credentials = await findCredentialsByUserId(fastify.pg, request.user.id, 'api_key');
+    const credentials = await findCredentialsByUserId(fastify.pg, request.user.id, 'api_key', { organizationId: request.user.organization_id });
     const owned = credentials.find(c => String(c.id) === String(id));
 
     if (!owned) {
       return reply.status(404).send({ error: { message: 'API key not found', statusCode: 404 } });
     }
 
+    const excess = excessScopes(request, owned.scopes);
+    if (excess.length > 0) {
+      return sendScopeEscalation(reply, owned, excess);
+    }
+    if (owned.replaced_by_id) {
+      return reply.status(409).send({ error: { message: 'API key has been rotated — extend its replacement instead', statusCode: 409 } });
+    }
+
     let newExpiry;
     if (extend_by_days) {
       const base = owned.expires_at && new Date(owned.expires_at) > new Date()
@@ -178,16 +264,125 @@ async function apiKeyRoutes(fastify) {
     }
 
     const updated = await updateCredentialExpiry(fastify.pg, id, newExpiry);
+
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'api_key.update',
+      targetType: 'api_key',
+      targetId: id,
+      before: { expires_at: owned.expires_at },
+      after: { expires_at: updated.expires_at },
+    });
+
     return reply.status(200).send(updated);
   });
 
+  // POST /api-keys/:id/rotate — protected
+  fastify.post('/api-keys/:id/rotate', {
+    preHandler: [fastify.authenticate, fastify.forbidImpersonation, fastify.authorize('api_keys:write')],
+    schema: {
+      tags: ['API Keys'],
+      summary: 'Rotate an API key',
+      description: `Issues a replacement key with the same label, scopes and expiry. The old key keeps working for a grace period (default ${ROTATION_GRACE_HOURS} hours, or \`grace_period_hours\`) and then expires on its own. A key can only be rotated once, and a scoped key can only rotate keys whose scopes are a subset of its own. The plaintext replacement key is only returned once.`,
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      params: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+        },
+      },
+      body: {
+        type: 'object',
+        properties: {
+          grace_period_hours: { type: 'integer', minimum: 0, maximum: 720, description: 'Hours the old key stays valid; 0 revokes it immediately' },
+        },
+        additionalProperties: false,
+      },
+      response: {
+        201: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            key: { type: 'string', description: 'Plaintext replacement key — shown only once, store securely' },
+            label: { type: 'string', nullable: true },
+            scopes: { type: 'array', items: { type: 'string' }, nullable: true },
+            expires_at: { type: 'string', format: 'date-time', nullable: true },
+            created_at: { type: 'string', format: 'date-time' },
+            rotated_from: {
+              type: 'object',
+              properties: {
+                id: { type: 'integer' },
+                expires_at: { type: 'string', format: 'date-time', nullable: true, description: 'When the old key stops working' },
+                replaced_by_id: { type: 'integer' },
+              },
+            },
+          },
+        },
+        403: errorSchema,
+        404: errorSchema,
+        409: errorSchema,
+      },
+    },
+  }, async (request, reply) => {
+    const { id } = request.params;
+    const { grace_period_hours: graceHours = ROTATION_GRACE_HOURS } = request.body || {};
+
+    const credentials = await findCredentialsByUserId(fastify.pg, request.user.id, 'api_key', { organizationId: request.user.organization_id });
+    const owned = credentials.find(c => String(c.id) === String(id));
+
+    if (!owned) {
+      return reply.status(404).send({ error: { message: 'API key not found', statusCode: 404 } });
+    }
+
+    // The replacement inherits the key's scopes, so rotating must not hand out more than the caller has
+    const excess = excessScopes(request, owned.scopes);
+    if (excess.length > 0) {
+      return sendScopeEscalation(reply, owned, excess);
+    }
+
+    const plainKey = generateApiKey();
+    const graceUntil = new Date(Date.now() + graceHours * 60 * 60 * 1000);
+
+    const rotated = await withTransaction(fastify.pg, client =>
+      rotateCredential(client, id, { credentialHash: hashApiKey(plainKey), graceUntil })
+    );
+
+    if (!rotated) {
+      return reply.status(409).send({
+        error: { message: 'Only active, unexpired keys that have not already been rotated can be rotated', statusCode: 409 },
+      });
+    }
+
+    const { previous, replacement } = rotated;
+
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'api_key.rotate',
+      targetType: 'api_key',
+      targetId: previous.id,
+      before: { expires_at: owned.expires_at, replaced_by_id: null },
+      after: { expires_at: previous.expires_at, replaced_by_id: previous.replaced_by_id },
+    });
+    return reply.status(201).send({
+      id: replacement.id,
+      key: plainKey,   // Only time the plaintext key is returned
+      label: replacement.label,
+      scopes: replacement.scopes,
+      expires_at: replacement.expires_at,
+      created_at: replacement.created_at,
+      rotated_from: {
+        id: previous.id,
+        expires_at: previous.expires_at,
+        replaced_by_id: previous.replaced_by_id,
+      },
+    });
+  });
+
   // DELETE /api-keys/:id — protected
   fastify.delete('/api-keys/:id', {
-    preHandler: [fastify.authenticate],
+    preHandler: [fastify.authenticate, fastify.forbidImpersonation, fastify.authorize('api_keys:write')],
     schema: {
       tags: ['API Keys'],
       summary: 'Revoke an API key',
-      description: 'Deactivates an API key owned by the authenticated user.',
+      description: 'Deactivates an API key owned by the authenticated user. A scoped key can only revoke keys whose scopes are a subset of its own.',
       security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
       params: {
         type: 'object',
@@ -197,6 +392,7 @@ async function apiKeyRoutes(fastify) {
       },
       response: {
         204: { type: 'null', description: 'Key successfully revoked' },
+        403: errorSchema,
         404: {
           type: 'object',
           properties: {
@@ -215,7 +411,7 @@ async function apiKeyRoutes(fastify) {
     const { id } = request.params;
 
     // Verify ownership before deactivating
-    const credentials = await findCredentialsByUserId(fastify.pg, request.user.id, 'api_key');
+    const credentials = await findCredentialsByUserId(fastify.pg, request.user.id, 'api_key', { organizationId: request.user.organization_id });
     const owned = credentials.find(c => String(c.id) === String(id));
 
     if (!owned) {
@@ -224,7 +420,21 @@ async function apiKeyRoutes(fastify) {
       });
     }
 
+    const excess = excessScopes(request, owned.scopes);
+    if (excess.length > 0) {
+      return sendScopeEscalation(reply, owned, excess);
+    }
+
     await deactivateCredential(fastify.pg, id);
+
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'api_key.revoke',
+      targetType: 'api_key',
+      targetId: id,
+      before: { is_active: owned.is_active },
+      after: { is_active: false },
+    });
+
     return reply.status(204).send();
   });
 }
@@ -0,0 +1,85 @@
+// Audit log routes
+const { listAuditEvents } = require('../repositories/auditEventRepository');
+
+const auditEventSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    organization_id: { type: 'integer', nullable: true },
+    actor_user_id: { type: 'integer', nullable: true },
+    credential_id: { type: 'integer', nullable: true },
+    ip: { type: 'string', nullable: true },
+    request_id: { type: 'string', nullable: true },
+    action: { type: 'string' },
+    target_type: { type: 'string', nullable: true },
+    target_id: { type: 'string', nullable: true },
+    changes: {
+      type: 'object',
+      nullable: true,
+      additionalProperties: true,
+      description: 'Changed fields as { field: { from, to } }',
+    },
+    metadata: { type: 'object', additionalProperties: true },
+    created_at: { type: 'string', format: 'date-time' },
+  },
+};
+
+/**
+ * Register audit log routes
+ * @param {FastifyInstance} fastify
+ */
+async function auditEventRoutes(fastify) {
+  // GET /audit-events — admin
+  fastify.get('/audit-events', {
+    preHandler: [fastify.authenticate, fastify.authorize('audit:read')],
+    schema: {
+      tags: ['Audit'],
+      summary: 'List audit events',
+      description: 'Returns the caller\'s organization audit trail, newest first: logins, API key and user changes, and other administrative actions. `action` matches exactly, or as a prefix when it ends in a dot (e.g. `api_key.`). Requires the `audit:read` permission (admin).',
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      querystring: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+          offset: { type: 'integer', minimum: 0, default: 0 },
+          action: { type: 'string', maxLength: 100 },
+          actor_id: { type: 'integer' },
+          target_type: { type: 'string', maxLength: 50 },
+          target_id: { type: 'string', maxLength: 100 },
+          from: { type: 'string', format: 'date-time', description: 'Only events at or after this time' },
+          to: { type: 'string', format: 'date-time', description: 'Only events before this time' },
+        },
+        additionalProperties: false,
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            events: { type: 'array', items: auditEventSchema },
+            total: { type: 'integer' },
+            limit: { type: 'integer' },
+            offset: { type: 'integer' },
+          },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const { limit, offset, action, actor_id: actorUserId, target_type: targetType, target_id: targetId, from, to } = request.query;
+
+    const { events, total } = await listAuditEvents(fastify.pg, {
+      organizationId: request.user.organization_id,
+      limit,
+      offset,
+      action,
+      actorUserId,
+      targetType,
+      targetId,
+      from,
+      to,
+    });
+
+    return { events, total, limit, offset };
+  });
+}
+
+module.exports = auditEventRoutes;
@@ -1,12 +1,96 @@
 // Auth routes
-const { createUser, findUserByEmail } = require('../repositories/userRepository');
+const {
+  createUser,
+  findUserById,
+  findUserByEmail,
+  updateUser,
+  incrementTokenVersion,
+} = require('../repositories/userRepository');
 const {
   createCredential,
   findCredentialsByUserId,
+  findCredentialByHash,
+  deactivateCredential,
+  deactivateCredentialsByUserId,
   updateLastUsed,
 } = require('../repositories/credentialRepository');
-const { hashPassword, verifyPassword, checkPasswordStrength } = require('../utils/password');
-const { generateToken } = require('../utils/jwt');
+const { createOrganization, findOrganizationById } = require('../repositories/organizationRepository');
+const {
+  findActiveSession,
+  revokeSession,
+  revokeSessionsByUserId,
+} = require('../repositories/sessionRepository');
+const { withTransaction } = require('../db/transaction');
+const {
+  hashPassword,
+  verifyPassword,
+  checkPasswordStrength,
+  passwordPolicyError,
+  passwordPolicyErrorSchema,
+} = require('../utils/password');
+const {
+  EMAIL_VERIFICATION_TTL_HOURS,
+  generateMfaToken,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+} = require('../utils/jwt');
+const { hashSecureToken } = require('../utils/secureToken');
+const { ROLES } = require('../utils/roles');
+const {
+  reserveLoginAttempt,
+  registerFailedAttempt,
+  registerSuccessfulAttempt,
+} = require('../utils/lockout');
+const { emailVerificationEmail } = require('../mailer/templates');
+const { recordAuditEvent } = require('../utils/audit');
+
+const errorSchema = {
+  type: 'object',
+  properties: {
+    error: {
+      type: 'object',
+      properties: {
+        message: { type: 'string' },
+        statusCode: { type: 'integer' },
+        code: { type: 'string' },
+      },
+    },
+  },
+};
+
+const userResponseSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    email: { type: 'string', format: 'email' },
+    name: { type: 'string' },
+    status: { type: 'string', enum: ['active', 'inactive', 'suspended', 'pending_verification', 'invited'] },
+    role: { type: 'string', enum: ROLES },
+    organization_id: { type: 'integer' },
+    created_at: { type: 'string', format: 'date-time' },
+    updated_at: { type: 'string', format: 'date-time' },
+  },
+};
+
+/**
+ * Email a signed verification link to a pending user.
+ * Failures are logged rather than thrown — the user can request a resend.
+ * @param {FastifyInstance} fastify
+ * @param {FastifyRequest} request
+ * @param {{ id: string, email: string, name: string }} user
+ */
+async function sendVerificationEmail(fastify, request, user) {
+  const token = generateEmailVerificationToken({ sub: user.id, email: user.email });
+
+  try {
+    await fastify.mailer.send({
+      to: user.email,
+      ...emailVerificationEmail({ name: user.name, token, expiresInHours: EMAIL_VERIFICATION_TTL_HOURS }),
+    });
+  } catch (error) {
+    request.log.error({ err: error, userId: user.id }, 'Failed to send verification email');
+  }
+}
 
 /**
  * Register auth routes
@@ -18,14 +102,15 @@ async function authRoutes(fastify) {
     schema: {
       tags: ['Auth'],
       summary: 'Register a new user',
-      description: 'Creates a new user account. If a password is supplied, a JWT token is returned immediately.',
+      description: 'Creates a new organization with the registrant as its admin. The account starts in `pending_verification` status and a verification link is emailed; it can log in once the address is confirmed at POST /auth/verify-email.',
       body: {
         type: 'object',
         required: ['email', 'name', 'password'],
         properties: {
           email: { type: 'string', format: 'email' },
           name: { type: 'string', minLength: 1, maxLength: 255 },
-          password: { type: 'string', minLength: 8 },
+          password: { type: 'string' },
+          organization_name: { type: 'string', minLength: 1, maxLength: 255, description: 'Defaults to the registrant\'s name' },
         },
         additionalProperties: false,
       },
@@ -33,18 +118,8 @@ async function authRoutes(fastify) {
         201: {
           type: 'object',
           properties: {
-            user: {
-              type: 'object',
-              properties: {
-                id: { type: 'integer' },
-                email: { type: 'string', format: 'email' },
-                name: { type: 'string' },
-                status: { type: 'string', enum: ['active', 'inactive', 'suspended'] },
-                created_at: { type: 'string', format: 'date-time' },
-                updated_at: { type: 'string', format: 'date-time' },
-              },
-            },
-            token: { type: 'string', description: 'JWT token' },
+            user: userResponseSchema,
+            message: { type: 'string' },
           },
         },
         409: {
@@ -59,33 +134,38 @@ async function authRoutes(fastify) {
             },
           },
         },
-        422: {
-          type: 'object',
-          properties: {
-            error: {
-              type: 'object',
-              properties: {
-                message: { type: 'string' },
-                statusCode: { type: 'integer' },
-              },
-            },
-          },
-        },
+        422: passwordPolicyErrorSchema,
       },
     },
   }, async (request, reply) => {
-    const { email, name, password } = request.body;
+    const { email, name, password, organization_name: organizationName } = request.body;
 
-    const { valid, failures } = checkPasswordStrength(password);
+    const { valid, failures } = await checkPasswordStrength(password, { email, name });
     if (!valid) {
-      return reply.status(422).send({
-        error: { message: `Password too weak: ${failures.join(', ')}`, statusCode: 422 },
-      });
+      return reply.status(422).send(passwordPolicyError(failures));
     }
 
+    const hash = await hashPassword(password);
+
     let user;
     try {
-      user = await createUser(fastify.pg, { email, name });
+      user = await withTransaction(fastify.pg, async (client) => {
+        const organization = await createOrganization(client, { name: organizationName || name });
+        const created = await createUser(client, {
+          email,
+          name,
+          organizationId: organization.id,
+          role: 'admin',
+          status: 'pending_verification',
+        });
+        await createCredential(client, {
+          userId: created.id,
+          credentialType: 'password',
+          credentialHash: hash,
+          label: 'password',
+        });
+        return created;
+      });
     } catch (error) {
       if (error.code === '23505') {
         return reply.status(409).send({
@@ -95,16 +175,116 @@ async function authRoutes(fastify) {
       throw error;
     }
 
-    const hash = await hashPassword(password);
-    await createCredential(fastify.pg, {
-      userId: user.id,
-      credentialType: 'password',
-      credentialHash: hash,
-      label: 'password',
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'user.register',
+      actor: user,
+      targetType: 'user',
+      targetId: user.id,
+      after: user,
     });
 
-    const token = generateToken({ sub: user.id, email: user.email, name: user.name });
-    return reply.status(201).send({ user, token });
+    await sendVerificationEmail(fastify, request, user);
+
+    return reply.status(201).send({
+      user,
+      message: 'Check your email to verify your address before logging in',
+    });
+  });
+
+  // POST /auth/verify-email
+  fastify.post('/auth/verify-email', {
+    schema: {
+      tags: ['Auth'],
+      summary: 'Verify an email address',
+      description: 'Activates a pending account using the signed token from the verification email.',
+      body: {
+        type: 'object',
+        required: ['token'],
+        properties: {
+          token: { type: 'string' },
+        },
+        additionalProperties: false,
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+            user: userResponseSchema,
+          },
+        },
+        400: errorSchema,
+      },
+    },
+  }, async (request, reply) => {
+    const invalidToken = {
+      error: { message: 'Invalid or expired verification token', statusCode: 400 },
+    };
+
+    let decoded;
+    try {
+      decoded = verifyEmailVerificationToken(request.body.token);
+    } catch {
+      return reply.status(400).send(invalidToken);
+    }
+
+    const user = await findUserById(fastify.pg, decoded.sub);
+    if (!user || user.email !== decoded.email) {
+      return reply.status(400).send(invalidToken);
+    }
+
+    if (user.status === 'active') {
+      return { message: 'Email already verified', user };
+    }
+    if (user.status !== 'pending_verification') {
+      return reply.status(400).send(invalidToken);
+    }
+
+    const activated = await updateUser(fastify.pg, user.id, { status: 'active' });
+
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'user.email_verified',
+      actor: user,
+      targetType: 'user',
+      targetId: user.id,
+      before: user,
+      after: activated,
+    });
+    return { message: 'Email verified', user: activated };
+  });
+
+  // POST /auth/verify-email/resend
+  fastify.post('/auth/verify-email/resend', {
+    schema: {
+      tags: ['Auth'],
+      summary: 'Resend the verification email',
+      description: 'Sends a new verification link if a pending account exists for the address. Always returns 202 so the response does not reveal whether the account exists.',
+      body: {
+        type: 'object',
+        required: ['email'],
+        properties: {
+          email: { type: 'string', format: 'email' },
+        },
+        additionalProperties: false,
+      },
+      response: {
+        202: {
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+          },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const user = await findUserByEmail(fastify.pg, request.body.email);
+    if (user && user.status === 'pending_verification') {
+      await sendVerificationEmail(fastify, request, user);
+    }
+
+    return reply.status(202).send({
+      message: 'If a pending account exists for this email, a verification link has been sent',
+    });
   });
 
   // POST /auth/login
@@ -112,7 +292,7 @@ async function authRoutes(fastify) {
     schema: {
       tags: ['Auth'],
       summary: 'Login with email and password',
-      description: 'Authenticates a user and returns a signed JWT token.',
+      description: 'Authenticates a user and returns a short-lived JWT access token and a refresh token. If the user has TOTP enrolled, returns `mfa_required` and an `mfa_token` instead — complete the login at POST /auth/login/mfa. Repeated failures per email and per IP trigger progressive lockouts (429 with `Retry-After`).',
       body: {
         type: 'object',
         required: ['email', 'password'],
@@ -127,17 +307,11 @@ async function authRoutes(fastify) {
           type: 'object',
           properties: {
             token: { type: 'string', description: 'JWT bearer token' },
-            user: {
-              type: 'object',
-              properties: {
-                id: { type: 'integer' },
-                email: { type: 'string', format: 'email' },
-                name: { type: 'string' },
-                status: { type: 'string', enum: ['active', 'inactive', 'suspended'] },
-                created_at: { type: 'string', format: 'date-time' },
-                updated_at: { type: 'string', format: 'date-time' },
-              },
-            },
+            refresh_token: { type: 'string', description: 'Refresh token — exchange at POST /auth/refresh' },
+            expires_in: { type: 'integer', description: 'Access token lifetime in seconds' },
+            mfa_required: { type: 'boolean', description: 'True when a second factor is needed to finish logging in' },
+            mfa_token: { type: 'string', description: 'Challenge token for POST /auth/login/mfa (valid for 5 minutes)' },
+            user: userResponseSchema,
           },
         },
         401: {
@@ -152,17 +326,45 @@ async function authRoutes(fastify) {
             },
           },
         },
+        403: errorSchema,
+        429: errorSchema,
       },
     },
   }, async (request, reply) => {
     const { email, password } = request.body;
+    const attempt = { email, ip: request.ip };
     const genericError = {
       error: { message: 'Invalid credentials', statusCode: 401 },
     };
 
-    const user = await findUserByEmail(fastify.pg, email);
-    if (!user || user.status !== 'active') {
+    // Counted before bcrypt so locked-out callers cannot burn CPU and parallel guesses share one budget
+    const reserved = await reserveLoginAttempt(fastify.pg, attempt);
+    if (reserved.retryAfter > 0) {
+      return reply.status(429).header('Retry-After', String(reserved.retryAfter)).send({
+        error: { message: 'Too many failed login attempts. Try again later.', statusCode: 429, code: 'TOO_MANY_ATTEMPTS' },
+      });
+    }
+
+    const rejectAttempt = async (user) => {
+      // The caller is unauthenticated: attribute the event to the targeted account's organization only
+      await recordAuditEvent(fastify.pg, request, {
+        action: 'auth.login_failed',
+        organizationId: user && user.organization_id,
+        targetType: 'user',
+        targetId: user && user.id,
+        metadata: { email },
+      });
+
+      const lockSeconds = registerFailedAttempt(reserved);
+      if (lockSeconds > 0) {
+        reply.header('Retry-After', String(lockSeconds));
+      }
       return reply.status(401).send(genericError);
+    };
+
+    const user = await findUserByEmail(fastify.pg, email);
+    if (!user || !['active', 'pending_verification'].includes(user.status)) {
+      return rejectAttempt(user);
     }
 
     const credentials = await findCredentialsByUserId(fastify.pg, user.id, 'password');
@@ -181,22 +383,203 @@ async function authRoutes(fastify) {
     }
 
     if (!matchedCredential) {
-      return reply.status(401).send(genericError);
+      return rejectAttempt(user);
+    }
+
+    await registerSuccessfulAttempt(fastify.pg, reserved);
+
+    // Only reveal the pending state to callers who proved the password
+    if (user.status === 'pending_verification') {
+      return reply.status(403).send({
+        error: { message: 'Email address has not been verified', statusCode: 403, code: 'EMAIL_NOT_VERIFIED' },
+      });
     }
 
     updateLastUsed(fastify.pg, matchedCredential.id).catch(() => {});
 
-    const token = generateToken({ sub: user.id, email: user.email, name: user.name });
-    return { token, user };
+    // Users with TOTP enrolled must complete a second step at /auth/login/mfa
+    const totpCredentials = await findCredentialsByUserId(fastify.pg, user.id, 'totp');
+    if (totpCredentials.some(c => c.is_active)) {
+      await recordAuditEvent(fastify.pg, request, {
+        action: 'auth.mfa_challenge',
+        actor: user,
+        credentialId: matchedCredential.id,
+        targetType: 'user',
+        targetId: user.id,
+      });
+      return { mfa_required: true, mfa_token: generateMfaToken({ sub: user.id }) };
+    }
+
+    const tokens = await fastify.issueTokens(user, { request });
+
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'auth.login',
+      actor: user,
+      credentialId: matchedCredential.id,
+      targetType: 'user',
+      targetId: user.id,
+      metadata: { method: 'password' },
+    });
+
+    return { ...tokens, user };
+  });
+
+  // POST /auth/refresh
+  fastify.post('/auth/refresh', {
+    schema: {
+      tags: ['Auth'],
+      summary: 'Refresh an access token',
+      description: 'Exchanges a refresh token for a new access token. Refresh tokens rotate: the presented token is revoked and a new one is returned. Presenting an already-used refresh token revokes all of the user\'s sessions.',
+      body: {
+        type: 'object',
+        required: ['refresh_token'],
+        properties: {
+          refresh_token: { type: 'string' },
+        },
+        additionalProperties: false,
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            token: { type: 'string', description: 'JWT bearer token' },
+            refresh_token: { type: 'string', description: 'Replacement refresh token' },
+            expires_in: { type: 'integer', description: 'Access token lifetime in seconds' },
+          },
+        },
+        401: errorSchema,
+      },
+    },
+  }, async (request, reply) => {
+    const genericError = {
+      error: { message: 'Invalid or expired refresh token', statusCode: 401 },
+    };
+
+    const credential = await findCredentialByHash(
+      fastify.pg,
+      hashSecureToken(request.body.refresh_token),
+      'refresh_token'
+    );
+
+    if (!credential) {
+      return reply.status(401).send(genericError);
+    }
+
+    // Tokens of a signed-out or expired session were deactivated with it, which is not a sign of theft
+    if (credential.session_id && !await findActiveSession(fastify.pg, credential.session_id)) {
+      return reply.status(401).send(genericError);
+    }
+
+    // Reuse of a rotated token means it was leaked — revoke everything for the user
+    if (!credential.is_active) {
+      request.log.warn({ userId: credential.user_id }, 'Refresh token reuse detected, revoking all sessions');
+      await revokeSessionsByUserId(fastify.pg, credential.user_id);
+      await deactivateCredentialsByUserId(fastify.pg, credential.user_id, 'refresh_token');
+      await incrementTokenVersion(fastify.pg, credential.user_id);
+
+      await recordAuditEvent(fastify.pg, request, {
+        action: 'auth.refresh_token_reuse',
+        actor: await findUserById(fastify.pg, credential.user_id),
+        credentialId: credential.id,
+        targetType: 'user',
+        targetId: credential.user_id,
+      });
+      return reply.status(401).send(genericError);
+    }
+
+    if (credential.expires_at && new Date(credential.expires_at) <= new Date()) {
+      return reply.status(401).send(genericError);
+    }
+
+    const user = await findUserById(fastify.pg, credential.user_id);
+    if (!user || user.status !== 'active') {
+      return reply.status(401).send(genericError);
+    }
+
+    const tokens = await withTransaction(fastify.pg, async (client) => {
+      // Claim the old token atomically so concurrent refreshes cannot both succeed
+      const claimed = await deactivateCredential(client, credential.id);
+      if (!claimed) return null;
+      return fastify.issueTokens(user, { db: client, request, sessionId: credential.session_id });
+    });
+
+    if (!tokens) {
+      return reply.status(401).send(genericError);
+    }
+
+    return tokens;
+  });
+
+  // POST /auth/logout — protected
+  fastify.post('/auth/logout', {
+    preHandler: [fastify.authenticate, fastify.authorize('account:manage')],
+    schema: {
+      tags: ['Auth'],
+      summary: 'Logout',
+      description: 'Ends the caller\'s session: its access and refresh tokens stop working. A supplied `refresh_token` ends the session it belongs to as well. With `all_devices`, every session is ended and every access token issued so far is invalidated. With an impersonation token, only the impersonation ends; `refresh_token` and `all_devices` are refused.',
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      body: {
+        type: 'object',
+        properties: {
+          refresh_token: { type: 'string' },
+          all_devices: { type: 'boolean', default: false },
+        },
+        additionalProperties: false,
+      },
+      response: {
+        204: { type: 'null', description: 'Logged out' },
+        403: errorSchema,
+      },
+    },
+  }, async (request, reply) => {
+    const { refresh_token: refreshToken, all_devices: allDevices = false } = request.body || {};
+    const userId = request.user.id;
+
+    // An admin may end their impersonation, but not sign the user out
+    if (request.actor && (allDevices || refreshToken)) {
+      return fastify.forbidImpersonation(request, reply);
+    }
+
+    if (allDevices) {
+      await revokeSessionsByUserId(fastify.pg, userId);
+      await deactivateCredentialsByUserId(fastify.pg, userId, 'refresh_token');
+      await incrementTokenVersion(fastify.pg, userId);
+    } else {
+      if (refreshToken) {
+        const credential = await findCredentialByHash(fastify.pg, hashSecureToken(refreshToken), 'refresh_token');
+        if (credential && String(credential.user_id) === String(userId)) {
+          await deactivateCredential(fastify.pg, credential.id);
+          if (credential.session_id) {
+            await revokeSession(fastify.pg, credential.session_id, userId);
+          }
+        }
+      }
+
+      // Without a session (legacy token or API key) the only lever is token_version
+      if (request.session) {
+        await revokeSession(fastify.pg, request.session.id, request.session.user_id);
+      } else {
+        await incrementTokenVersion(fastify.pg, userId);
+      }
+    }
+
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'auth.logout',
+      targetType: 'user',
+      targetId: userId,
+      metadata: { all_devices: allDevices },
+    });
+
+    return reply.status(204).send();
   });
 
   // GET /auth/me — protected
   fastify.get('/auth/me', {
-    preHandler: [fastify.authenticate],
+    preHandler: [fastify.authenticate, fastify.authorize('profile:read')],
     schema: {
       tags: ['Auth'],
       summary: 'Get current user',
-      description: 'Returns the authenticated user profile decoded from the JWT or API key.',
+      description: 'Returns the authenticated user profile decoded from the JWT or API key, with the organization it belongs to. When an admin is impersonating the user, `impersonated` is true and `impersonator` identifies the admin.',
       security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
       response: {
         200: {
@@ -205,12 +588,38 @@ async function authRoutes(fastify) {
             id: { type: 'integer' },
             email: { type: 'string', format: 'email' },
             name: { type: 'string' },
+            role: { type: 'string', enum: ROLES },
+            organization: {
+              type: 'object',
+              properties: {
+                id: { type: 'integer' },
+                name: { type: 'string' },
+              },
+            },
+            impersonated: { type: 'boolean' },
+            impersonator: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                id: { type: 'integer' },
+                email: { type: 'string', format: 'email' },
+                name: { type: 'string' },
+              },
+            },
           },
         },
       },
     },
   }, async (request, reply) => {
-    return request.user;
+    const { actor } = request;
+    const organization = await findOrganizationById(fastify.pg, request.user.organization_id);
+
+    return {
+      ...request.user,
+      organization,
+      impersonated: Boolean(actor),
+      impersonator: actor ? { id: actor.id, email: actor.email, name: actor.name } : null,
+    };
   });
 
 }
@@ -0,0 +1,414 @@
+// User invitation routes
+const {
+  createUser,
+  findUserById,
+  updateUser,
+  deleteUser,
+} = require('../repositories/userRepository');
+const {
+  createCredential,
+  deactivateCredential,
+  deactivateCredentialsByUserId,
+} = require('../repositories/credentialRepository');
+const { findInvitationByTokenHash, listInvitations } = require('../repositories/invitationRepository');
+const { findOrganizationById, getPasswordPolicy } = require('../repositories/organizationRepository');
+const { withTransaction } = require('../db/transaction');
+const {
+  hashPassword,
+  checkPasswordStrength,
+  mergePasswordPolicy,
+  passwordPolicyError,
+  passwordPolicyErrorSchema,
+} = require('../utils/password');
+const { generateSecureToken, hashSecureToken } = require('../utils/secureToken');
+const { invitationEmail } = require('../mailer/templates');
+const { ROLES } = require('../utils/roles');
+const { recordAuditEvent } = require('../utils/audit');
+
+const INVITATION_TOKEN_PREFIX = 'pbxi_';
+const INVITATION_TTL_HOURS = parseInt(process.env.INVITATION_TTL_HOURS || '72', 10);
+
+const errorSchema = {
+  type: 'object',
+  properties: {
+    error: {
+      type: 'object',
+      properties: {
+        message: { type: 'string' },
+        statusCode: { type: 'integer' },
+        code: { type: 'string' },
+      },
+    },
+  },
+};
+
+const invitationSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer', description: 'ID of the invited user' },
+    email: { type: 'string', format: 'email' },
+    name: { type: 'string' },
+    role: { type: 'string', enum: ROLES },
+    invited_by: { type: 'integer', nullable: true },
+    sent_at: { type: 'string', format: 'date-time', nullable: true },
+    expires_at: { type: 'string', format: 'date-time', nullable: true },
+    expired: { type: 'boolean' },
+    created_at: { type: 'string', format: 'date-time' },
+  },
+};
+
+const userResponseSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    email: { type: 'string', format: 'email' },
+    name: { type: 'string' },
+    status: { type: 'string', enum: ['active', 'inactive', 'suspended', 'pending_verification', 'invited'] },
+    role: { type: 'string', enum: ROLES },
+    organization_id: { type: 'integer' },
+    created_at: { type: 'string', format: 'date-time' },
+    updated_at: { type: 'string', format: 'date-time' },
+  },
+};
+
+const idParams = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+  },
+};
+
+/**
+ * Issue a new invite token for an invited user, replacing any earlier one.
+ * @param {PoolClient} client - Must be inside a transaction
+ * @param {{ id: string }} user - The invited user
+ * @param {{ id: string }} inviter
+ * @returns {Promise<{ token: string, sentAt: Date, expiresAt: Date }>}
+ */
+async function issueInvitation(client, user, inviter) {
+  const token = generateSecureToken(INVITATION_TOKEN_PREFIX);
+  const expiresAt = new Date(Date.now() + INVITATION_TTL_HOURS * 60 * 60 * 1000);
+
+  await deactivateCredentialsByUserId(client, user.id, 'invitation');
+  const credential = await createCredential(client, {
+    userId: user.id,
+    credentialType: 'invitation',
+    credentialHash: hashSecureToken(token),
+    label: 'invitation',
+    expiresAt,
+    metadata: { invited_by: inviter.id },
+  });
+
+  return { token, sentAt: credential.created_at, expiresAt };
+}
+
+/**
+ * Email an invitation link.
+ * Failures are logged rather than thrown — the admin can resend.
+ * @param {FastifyInstance} fastify
+ * @param {FastifyRequest} request
+ * @param {{ id: string, email: string, name: string, organization_id: string }} user
+ * @param {string} token
+ */
+async function sendInvitationEmail(fastify, request, user, token) {
+  try {
+    const organization = await findOrganizationById(fastify.pg, user.organization_id);
+    await fastify.mailer.send({
+      to: user.email,
+      ...invitationEmail({
+        name: user.name,
+        inviterName: request.user.name,
+        organizationName: organization.name,
+        token,
+        expiresInHours: INVITATION_TTL_HOURS,
+      }),
+    });
+  } catch (error) {
+    request.log.error({ err: error, userId: user.id }, 'Failed to send invitation email');
+  }
+}
+
+/**
+ * Register invitation routes
+ * @param {FastifyInstance} fastify
+ */
+async function invitationRoutes(fastify) {
+  // POST /invitations — admin
+  fastify.post('/invitations', {
+    preHandler: [fastify.authenticate, fastify.authorize('users:write')],
+    schema: {
+      tags: ['Users'],
+      summary: 'Invite a user',
+      description: `Creates a user in \`invited\` status in the caller's organization and emails them a single-use link to set a password. The link expires after ${INVITATION_TTL_HOURS} hours; resend it with POST /invitations/:id/resend. Requires the \`users:write\` permission (admin).`,
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      body: {
+        type: 'object',
+        required: ['email', 'name'],
+        properties: {
+          email: { type: 'string', format: 'email' },
+          name: { type: 'string', minLength: 1, maxLength: 255 },
+          role: { type: 'string', enum: ROLES, default: 'member' },
+        },
+        additionalProperties: false,
+      },
+      response: {
+        201: invitationSchema,
+        409: errorSchema,
+      },
+    },
+  }, async (request, reply) => {
+    const { email, name, role } = request.body;
+
+    let user;
+    let invitation;
+    try {
+      ({ user, invitation } = await withTransaction(fastify.pg, async (client) => {
+        const created = await createUser(client, {
+          email,
+          name,
+          organizationId: request.user.organization_id,
+          role,
+          status: 'invited',
+        });
+        return { user: created, invitation: await issueInvitation(client, created, request.user) };
+      }));
+    } catch (error) {
+      if (error.code === '23505') {
+        return reply.status(409).send({
+          error: { message: 'A user with this email already exists', statusCode: 409 },
+        });
+      }
+      throw error;
+    }
+
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'invitation.create',
+      targetType: 'user',
+      targetId: user.id,
+      after: user,
+    });
+
+    await sendInvitationEmail(fastify, request, user, invitation.token);
+
+    return reply.status(201).send({
+      ...user,
+      invited_by: request.user.id,
+      sent_at: invitation.sentAt,
+      expires_at: invitation.expiresAt,
+      expired: false,
+    });
+  });
+
+  // GET /invitations — admin
+  fastify.get('/invitations', {
+    preHandler: [fastify.authenticate, fastify.authorize('users:read')],
+    schema: {
+      tags: ['Users'],
+      summary: 'List pending invitations',
+      description: 'Returns the users in the caller\'s organization who have been invited but have not accepted yet, newest first. Expired invitations are included with `expired: true` so they can be resent. Requires the `users:read` permission (admin or manager).',
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      querystring: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+          offset: { type: 'integer', minimum: 0, default: 0 },
+        },
+        additionalProperties: false,
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            invitations: { type: 'array', items: invitationSchema },
+            total: { type: 'integer' },
+            limit: { type: 'integer' },
+            offset: { type: 'integer' },
+          },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const { limit, offset } = request.query;
+    const { invitations, total } = await listInvitations(fastify.pg, {
+      organizationId: request.user.organization_id,
+      limit,
+      offset,
+    });
+
+    return { invitations, total, limit, offset };
+  });
+
+  // POST /invitations/:id/resend — admin
+  fastify.post('/invitations/:id/resend', {
+    preHandler: [fastify.authenticate, fastify.authorize('users:write')],
+    schema: {
+      tags: ['Users'],
+      summary: 'Resend an invitation',
+      description: `Emails the invited user a new link valid for ${INVITATION_TTL_HOURS} hours. Earlier links stop working. \`id\` is the invited user's ID. Requires the \`users:write\` permission (admin).`,
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      params: idParams,
+      response: {
+        200: invitationSchema,
+        404: errorSchema,
+      },
+    },
+  }, async (request, reply) => {
+    const user = await findUserById(fastify.pg, request.params.id, {
+      organizationId: request.user.organization_id,
+    });
+
+    if (!user || user.status !== 'invited') {
+      return reply.status(404).send({
+        error: { message: 'Invitation not found', statusCode: 404 },
+      });
+    }
+
+    const invitation = await withTransaction(fastify.pg, client => issueInvitation(client, user, request.user));
+
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'invitation.resend',
+      targetType: 'user',
+      targetId: user.id,
+    });
+
+    await sendInvitationEmail(fastify, request, user, invitation.token);
+
+    return {
+      ...user,
+      invited_by: request.user.id,
+      sent_at: invitation.sentAt,
+      expires_at: invitation.expiresAt,
+      expired: false,
+    };
+  });
+
+  // DELETE /invitations/:id — admin
+  fastify.delete('/invitations/:id', {
+    preHandler: [fastify.authenticate, fastify.authorize('users:write')],
+    schema: {
+      tags: ['Users'],
+      summary: 'Revoke an invitation',
+      description: 'Revokes a pending invitation and deletes the invited user, so the email address can be invited again. `id` is the invited user\'s ID. Requires the `users:write` permission (admin).',
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      params: idParams,
+      response: {
+        204: { type: 'null', description: 'Invitation revoked' },
+        404: errorSchema,
+      },
+    },
+  }, async (request, reply) => {
+    const scope = { organizationId: request.user.organization_id };
+    const user = await findUserById(fastify.pg, request.params.id, scope);
+
+    const deleted = user && user.status === 'invited' && await withTransaction(fastify.pg, async (client) => {
+      if (!await deleteUser(client, user.id, scope)) return false;
+      await deactivateCredentialsByUserId(client, user.id, 'invitation');
+      return true;
+    });
+    if (!deleted) {
+      return reply.status(404).send({
+        error: { message: 'Invitation not found', statusCode: 404 },
+      });
+    }
+
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'invitation.revoke',
+      targetType: 'user',
+      targetId: user.id,
+      before: user,
+    });
+
+    return reply.status(204).send();
+  });
+
+  // POST /invitations/:token/accept
+  fastify.post('/invitations/:token/accept', {
+    schema: {
+      tags: ['Users'],
+      summary: 'Accept an invitation',
+      description: 'Sets the invitee\'s password using the token from the invitation email and activates the account. The token is single-use. Returns an access token and refresh token so the invitee is signed in straight away.',
+      params: {
+        type: 'object',
+        required: ['token'],
+        properties: {
+          token: { type: 'string' },
+        },
+      },
+      body: {
+        type: 'object',
+        required: ['password'],
+        properties: {
+          password: { type: 'string' },
+          name: { type: 'string', minLength: 1, maxLength: 255, description: 'Replaces the name the admin entered' },
+        },
+        additionalProperties: false,
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            token: { type: 'string', description: 'JWT bearer token' },
+            refresh_token: { type: 'string', description: 'Refresh token — exchange at POST /auth/refresh' },
+            expires_in: { type: 'integer', description: 'Access token lifetime in seconds' },
+            user: userResponseSchema,
+          },
+        },
+        400: errorSchema,
+        422: passwordPolicyErrorSchema,
+      },
+    },
+  }, async (request, reply) => {
+    const { password, name } = request.body;
+    const invalidToken = {
+      error: { message: 'Invalid or expired invitation', statusCode: 400, code: 'INVALID_INVITATION' },
+    };
+
+    const result = await findInvitationByTokenHash(fastify.pg, hashSecureToken(request.params.token));
+    if (!result) {
+      return reply.status(400).send(invalidToken);
+    }
+
+    const { valid, failures } = await checkPasswordStrength(password, {
+      policy: mergePasswordPolicy(await getPasswordPolicy(fastify.pg, result.user.organization_id)),
+      email: result.user.email,
+      name: name || result.user.name,
+    });
+    if (!valid) {
+      return reply.status(422).send(passwordPolicyError(failures));
+    }
+
+    const hash = await hashPassword(password);
+
+    const accepted = await withTransaction(fastify.pg, async (client) => {
+      // Claim the token first so it cannot be used twice concurrently
+      if (!await deactivateCredential(client, result.invitation.id)) return null;
+
+      await createCredential(client, {
+        userId: result.user.id,
+        credentialType: 'password',
+        credentialHash: hash,
+        label: 'password',
+      });
+      const user = await updateUser(client, result.user.id, { name, status: 'active' });
+      return { user, tokens: await fastify.issueTokens(user, { db: client, request }) };
+    });
+
+    if (!accepted) {
+      return reply.status(400).send(invalidToken);
+    }
+
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'invitation.accept',
+      actor: accepted.user,
+      credentialId: result.invitation.id,
+      targetType: 'user',
+      targetId: accepted.user.id,
+      before: result.user,
+      after: accepted.user,
+    });
+
+    return { ...accepted.tokens, user: accepted.user };
+  });
+}
+
+module.exports = invitationRoutes;
@@ -0,0 +1,46 @@
+// Public signing keys for verifying PBXScribe tokens
+const { getJwks } = require('../utils/jwt');
+
+/**
+ * Register JWKS routes
+ * @param {FastifyInstance} fastify
+ */
+async function jwksRoutes(fastify) {
+  // GET /.well-known/jwks.json
+  fastify.get('/.well-known/jwks.json', {
+    schema: {
+      tags: ['Auth'],
+      summary: 'JSON Web Key Set',
+      description: 'Public keys that verify PBXScribe-issued JWTs. Select the key by the token\'s `kid` header. During a key rotation both the current and previous keys are listed. Empty when tokens are signed with a shared HS256 secret.\n\nThe same keys also sign short-lived internal tokens (MFA challenges, email verification). When accepting a PBXScribe token as an access token, also check that `iss` is the API\'s issuer (`JWT_ISSUER`, default the API base URL), that `aud` is `JWT_AUDIENCE` (default `pbxscribe-api`) and that `typ` is `access`; reject anything else.',
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            keys: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  kty: { type: 'string' },
+                  kid: { type: 'string' },
+                  alg: { type: 'string' },
+                  use: { type: 'string' },
+                  n: { type: 'string' },
+                  e: { type: 'string' },
+                  crv: { type: 'string' },
+                  x: { type: 'string' },
+                  y: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    reply.header('Cache-Control', 'public, max-age=300');
+    return getJwks();
+  });
+}
+
+module.exports = jwksRoutes;
@@ -0,0 +1,105 @@
+// Login lockout administration routes
+const { listLockouts, deleteLockout } = require('../repositories/lockoutRepository');
+const { recordAuditEvent } = require('../utils/audit');
+
+const lockoutSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    scope: { type: 'string', enum: ['email', 'ip'] },
+    identifier: { type: 'string' },
+    failed_count: { type: 'integer' },
+    first_failed_at: { type: 'string', format: 'date-time' },
+    last_failed_at: { type: 'string', format: 'date-time' },
+    locked_until: { type: 'string', format: 'date-time', nullable: true },
+  },
+};
+
+/**
+ * Register lockout administration routes
+ * @param {FastifyInstance} fastify
+ */
+async function lockoutRoutes(fastify) {
+  // GET /auth/lockouts — admin
+  fastify.get('/auth/lockouts', {
+    preHandler: [fastify.authenticate, fastify.authorize('lockouts:manage')],
+    schema: {
+      tags: ['Auth'],
+      summary: 'List login lockouts',
+      description: 'Returns failed-login counters for email addresses in the caller\'s organization. Per-IP counters span organizations and are only available to platform operators. Pass `locked=true` to only show scopes that are currently locked. Requires the `lockouts:manage` permission (admin).',
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      querystring: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+          offset: { type: 'integer', minimum: 0, default: 0 },
+          scope: { type: 'string', enum: ['email', 'ip'] },
+          locked: { type: 'boolean', default: false },
+        },
+        additionalProperties: false,
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            lockouts: { type: 'array', items: lockoutSchema },
+            total: { type: 'integer' },
+            limit: { type: 'integer' },
+            offset: { type: 'integer' },
+          },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const { limit, offset, scope, locked } = request.query;
+    const { lockouts, total } = await listLockouts(fastify.pg, {
+      limit,
+      offset,
+      scope,
+      lockedOnly: locked,
+      organizationId: request.user.organization_id,
+    });
+
+    return { lockouts, total, limit, offset };
+  });
+
+  // DELETE /auth/lockouts/:id — admin
+  fastify.delete('/auth/lockouts/:id', {
+    preHandler: [fastify.authenticate, fastify.authorize('lockouts:manage')],
+    schema: {
+      tags: ['Auth'],
+      summary: 'Clear a login lockout',
+      description: 'Deletes an email lockout record for an address in the caller\'s organization, immediately allowing logins for that email and resetting its failure counter. Requires the `lockouts:manage` permission (admin).',
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      params: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+        },
+      },
+      response: {
+        204: { type: 'null', description: 'Lockout cleared' },
+      },
+    },
+  }, async (request, reply) => {
+    const deleted = await deleteLockout(fastify.pg, request.params.id, {
+      organizationId: request.user.organization_id,
+    });
+
+    if (!deleted) {
+      return reply.status(404).send({
+        error: { message: 'Lockout not found', statusCode: 404 },
+      });
+    }
+
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'lockout.clear',
+      targetType: 'lockout',
+      targetId: request.params.id,
+    });
+
+    return reply.status(204).send();
+  });
+}
+
+module.exports = lockoutRoutes;
@@ -0,0 +1,366 @@
+// Multi-factor authentication routes (TOTP + recovery codes)
+const { findUserById } = require('../repositories/userRepository');
+const {
+  createCredential,
+  findCredentialsByUserId,
+  findActiveCredentialByHash,
+  getCredentialHash,
+  activateCredential,
+  claimTotpStep,
+  deactivateCredential,
+  deactivateCredentialsByUserId,
+} = require('../repositories/credentialRepository');
+const { withTransaction } = require('../db/transaction');
+const { verifyMfaToken } = require('../utils/jwt');
+const {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  encryptTotpSecret,
+  decryptTotpSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} = require('../utils/totp');
+const { ROLES } = require('../utils/roles');
+const {
+  reserveLoginAttempt,
+  registerFailedAttempt,
+  registerSuccessfulAttempt,
+} = require('../utils/lockout');
+const { recordAuditEvent } = require('../utils/audit');
+
+// Unconfirmed enrollments must be confirmed within this window
+const ENROLLMENT_TTL_MINUTES = 15;
+
+const errorSchema = {
+  type: 'object',
+  properties: {
+    error: {
+      type: 'object',
+      properties: {
+        message: { type: 'string' },
+        statusCode: { type: 'integer' },
+        code: { type: 'string' },
+      },
+    },
+  },
+};
+
+const secondFactorProperties = {
+  code: { type: 'string', pattern: '^[0-9 ]{6,7}$', description: 'Current 6-digit TOTP code' },
+  recovery_code: { type: 'string', minLength: 10, maxLength: 20, description: 'Single-use recovery code' },
+};
+
+/**
+ * Verify a TOTP code against the user's active TOTP credential.
+ * Rejects codes from a time step that was already used.
+ * @param {Pool} pool
+ * @param {Object} credential - Active totp credential row
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+async function verifyTotpCredential(pool, credential, code) {
+  const stored = await getCredentialHash(pool, credential.id);
+  if (!stored) return false;
+
+  const step = verifyTotp(decryptTotpSecret(stored), code);
+  if (step === null) return false;
+
+  // Claim atomically so the same code cannot be used twice concurrently
+  return claimTotpStep(pool, credential.id, step);
+}
+
+/**
+ * Verify a second factor (TOTP code or recovery code) for a user.
+ * Recovery codes are consumed on success.
+ * @param {Pool} pool
+ * @param {string} userId
+ * @param {{ code?: string, recovery_code?: string }} factor
+ * @returns {Promise<boolean>}
+ */
+async function verifySecondFactor(pool, userId, { code, recovery_code: recoveryCode }) {
+  if (code) {
+    const credentials = await findCredentialsByUserId(pool, userId, 'totp');
+    const active = credentials.find(c => c.is_active);
+    return Boolean(active) && verifyTotpCredential(pool, active, code);
+  }
+
+  if (recoveryCode) {
+    const result = await findActiveCredentialByHash(pool, hashRecoveryCode(userId, recoveryCode), 'recovery_code');
+    if (!result || String(result.user.id) !== String(userId)) return false;
+
+    // Claim atomically so a code cannot be used twice concurrently
+    return deactivateCredential(pool, result.credential.id);
+  }
+
+  return false;
+}
+
+/**
+ * Register MFA routes
+ * @param {FastifyInstance} fastify
+ */
+async function mfaRoutes(fastify) {
+  // POST /auth/mfa/totp/enroll — protected
+  fastify.post('/auth/mfa/totp/enroll', {
+    preHandler: [fastify.authenticate, fastify.forbidImpersonation, fastify.authorize('account:manage')],
+    schema: {
+      tags: ['Auth'],
+      summary: 'Start TOTP enrollment',
+      description: `Generates a new TOTP secret and returns an otpauth:// URI for authenticator apps. The enrollment must be confirmed with a valid code at POST /auth/mfa/totp/confirm within ${ENROLLMENT_TTL_MINUTES} minutes.`,
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      response: {
+        201: {
+          type: 'object',
+          properties: {
+            otpauth_uri: { type: 'string' },
+            secret: { type: 'string', description: 'Base32 secret for manual entry' },
+          },
+        },
+        409: errorSchema,
+      },
+    },
+  }, async (request, reply) => {
+    const { user } = request;
+
+    const existing = await findCredentialsByUserId(fastify.pg, user.id, 'totp');
+    if (existing.some(c => c.is_active)) {
+      return reply.status(409).send({
+        error: { message: 'TOTP is already enabled for this account', statusCode: 409 },
+      });
+    }
+
+    const secret = generateTotpSecret();
+    await createCredential(fastify.pg, {
+      userId: user.id,
+      credentialType: 'totp',
+      credentialHash: encryptTotpSecret(secret),
+      label: 'totp',
+      isActive: false,
+      metadata: { confirmed: false },
+    });
+
+    return reply.status(201).send({
+      otpauth_uri: buildOtpauthUri({ secret, accountName: user.email }),
+      secret,
+    });
+  });
+
+  // POST /auth/mfa/totp/confirm — protected
+  fastify.post('/auth/mfa/totp/confirm', {
+    preHandler: [fastify.authenticate, fastify.forbidImpersonation, fastify.authorize('account:manage')],
+    schema: {
+      tags: ['Auth'],
+      summary: 'Confirm TOTP enrollment',
+      description: 'Activates the pending TOTP enrollment and returns a fresh set of recovery codes. Recovery codes are shown only once and each can be used a single time.',
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      body: {
+        type: 'object',
+        required: ['code'],
+        properties: {
+          code: secondFactorProperties.code,
+        },
+        additionalProperties: false,
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            recovery_codes: { type: 'array', items: { type: 'string' } },
+          },
+        },
+        400: errorSchema,
+        404: errorSchema,
+      },
+    },
+  }, async (request, reply) => {
+    const { user } = request;
+
+    const credentials = await findCredentialsByUserId(fastify.pg, user.id, 'totp');
+    const pending = credentials.find(c => !c.is_active && c.metadata && c.metadata.confirmed === false);
+
+    const cutoff = new Date(Date.now() - ENROLLMENT_TTL_MINUTES * 60 * 1000);
+    if (!pending || new Date(pending.created_at) < cutoff) {
+      return reply.status(404).send({
+        error: { message: 'No pending TOTP enrollment — start again at POST /auth/mfa/totp/enroll', statusCode: 404 },
+      });
+    }
+
+    const stored = await getCredentialHash(fastify.pg, pending.id);
+    const step = verifyTotp(decryptTotpSecret(stored), request.body.code);
+    if (step === null) {
+      return reply.status(400).send({
+        error: { message: 'Invalid TOTP code', statusCode: 400 },
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    await withTransaction(fastify.pg, async (client) => {
+      await activateCredential(client, pending.id, { confirmed: true, last_step: step });
+      await deactivateCredentialsByUserId(client, user.id, 'recovery_code');
+      for (const code of recoveryCodes) {
+        await createCredential(client, {
+          userId: user.id,
+          credentialType: 'recovery_code',
+          credentialHash: hashRecoveryCode(user.id, code),
+          label: 'recovery_code',
+        });
+      }
+    });
+
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'mfa.totp_enabled',
+      targetType: 'user',
+      targetId: user.id,
+    });
+
+    return { recovery_codes: recoveryCodes };
+  });
+
+  // DELETE /auth/mfa/totp — protected
+  fastify.delete('/auth/mfa/totp', {
+    preHandler: [fastify.authenticate, fastify.forbidImpersonation, fastify.authorize('account:manage')],
+    schema: {
+      tags: ['Auth'],
+      summary: 'Disable TOTP',
+      description: 'Disables TOTP and revokes all recovery codes. Requires a current TOTP code or a recovery code.',
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      body: {
+        type: 'object',
+        properties: secondFactorProperties,
+        additionalProperties: false,
+        minProperties: 1,
+        maxProperties: 1,
+      },
+      response: {
+        204: { type: 'null', description: 'TOTP disabled' },
+        400: errorSchema,
+      },
+    },
+  }, async (request, reply) => {
+    const { user } = request;
+
+    if (!await verifySecondFactor(fastify.pg, user.id, request.body)) {
+      return reply.status(400).send({
+        error: { message: 'Invalid code', statusCode: 400 },
+      });
+    }
+
+    await withTransaction(fastify.pg, async (client) => {
+      await deactivateCredentialsByUserId(client, user.id, 'totp');
+      await deactivateCredentialsByUserId(client, user.id, 'recovery_code');
+    });
+
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'mfa.totp_disabled',
+      targetType: 'user',
+      targetId: user.id,
+    });
+
+    return reply.status(204).send();
+  });
+
+  // POST /auth/login/mfa
+  fastify.post('/auth/login/mfa', {
+    schema: {
+      tags: ['Auth'],
+      summary: 'Complete login with a second factor',
+      description: 'Exchanges the `mfa_token` returned by POST /auth/login plus a TOTP code or recovery code for an access token and refresh token.',
+      body: {
+        type: 'object',
+        required: ['mfa_token'],
+        properties: {
+          mfa_token: { type: 'string' },
+          ...secondFactorProperties,
+        },
+        additionalProperties: false,
+        minProperties: 2,
+        maxProperties: 2,
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            token: { type: 'string', description: 'JWT bearer token' },
+            refresh_token: { type: 'string', description: 'Refresh token — exchange at POST /auth/refresh' },
+            expires_in: { type: 'integer', description: 'Access token lifetime in seconds' },
+            user: {
+              type: 'object',
+              properties: {
+                id: { type: 'integer' },
+                email: { type: 'string', format: 'email' },
+                name: { type: 'string' },
+                status: { type: 'string', enum: ['active', 'inactive', 'suspended', 'pending_verification', 'invited'] },
+                role: { type: 'string', enum: ROLES },
+                organization_id: { type: 'integer' },
+                created_at: { type: 'string', format: 'date-time' },
+                updated_at: { type: 'string', format: 'date-time' },
+              },
+            },
+          },
+        },
+        401: errorSchema,
+        429: errorSchema,
+      },
+    },
+  }, async (request, reply) => {
+    const { mfa_token: mfaToken, ...factor } = request.body;
+    const genericError = {
+      error: { message: 'Invalid or expired MFA challenge', statusCode: 401 },
+    };
+
+    let decoded;
+    try {
+      decoded = verifyMfaToken(mfaToken);
+    } catch {
+      return reply.status(401).send(genericError);
+    }
+
+    const user = await findUserById(fastify.pg, decoded.sub);
+    if (!user || user.status !== 'active') {
+      return reply.status(401).send(genericError);
+    }
+
+    // Second-factor guesses count against the same lockout as passwords
+    const attempt = { email: user.email, ip: request.ip };
+    const reserved = await reserveLoginAttempt(fastify.pg, attempt);
+    if (reserved.retryAfter > 0) {
+      return reply.status(429).header('Retry-After', String(reserved.retryAfter)).send({
+        error: { message: 'Too many failed login attempts. Try again later.', statusCode: 429, code: 'TOO_MANY_ATTEMPTS' },
+      });
+    }
+
+    if (!await verifySecondFactor(fastify.pg, user.id, factor)) {
+      await recordAuditEvent(fastify.pg, request, {
+        action: 'auth.login_failed',
+        organizationId: user.organization_id,
+        targetType: 'user',
+        targetId: user.id,
+        metadata: { email: user.email, method: factor.code ? 'totp' : 'recovery_code' },
+      });
+
+      const lockSeconds = registerFailedAttempt(reserved);
+      if (lockSeconds > 0) {
+        reply.header('Retry-After', String(lockSeconds));
+      }
+      return reply.status(401).send(genericError);
+    }
+
+    await registerSuccessfulAttempt(fastify.pg, reserved);
+
+    const tokens = await fastify.issueTokens(user, { request });
+
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'auth.login',
+      actor: user,
+      targetType: 'user',
+      targetId: user.id,
+      metadata: { method: factor.code ? 'totp' : 'recovery_code' },
+    });
+
+    return { ...tokens, user };
+  });
+}
+
+module.exports = mfaRoutes;
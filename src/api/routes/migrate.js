@@ -1,5 +1,59 @@
 // Database migration routes
-const { runMigrations } = require('../db/migrator');
+const { MigrationError, getMigrationStatus, runMigrations } = require('../db/migrator');
+const { listPlatformAuditEvents } = require('../repositories/auditEventRepository');
+const { recordAuditEvent } = require('../utils/audit');
+
+const errorSchema = {
+  type: 'object',
+  properties: {
+    error: {
+      type: 'object',
+      properties: {
+        message: { type: 'string' },
+        statusCode: { type: 'number' },
+        code: { type: 'string' }
+      }
+    }
+  }
+};
+
+const secretHeaders = {
+  type: 'object',
+  properties: {
+    'x-migration-secret': { type: 'string' }
+  },
+  required: ['x-migration-secret']
+};
+
+/**
+ * preHandler: require the x-migration-secret header to match MIGRATION_SECRET
+ * @param {FastifyRequest} request
+ * @param {FastifyReply} reply
+ */
+async function verifyMigrationSecret(request, reply) {
+  const providedSecret = request.headers['x-migration-secret'];
+  const expectedSecret = process.env.MIGRATION_SECRET;
+
+  if (!expectedSecret) {
+    request.log.error('MIGRATION_SECRET environment variable is not set');
+    return reply.status(500).send({
+      error: {
+        message: 'Migration secret not configured',
+        statusCode: 500
+      }
+    });
+  }
+
+  if (providedSecret !== expectedSecret) {
+    request.log.warn('Invalid migration secret provided');
+    return reply.status(401).send({
+      error: {
+        message: 'Unauthorized',
+        statusCode: 401
+      }
+    });
+  }
+}
 
 /**
  * Register migration routes
@@ -12,21 +66,20 @@ async function migrateRoutes(fastify) {
    * Protected by x-migration-secret header
    */
   fastify.post('/migrate', {
+    preHandler: verifyMigrationSecret,
     schema: {
       tags: ['Migrations'],
       summary: 'Run database migrations',
-      description: 'Applies all pending SQL migrations. Protected by the `x-migration-secret` header.',
-      headers: {
-        type: 'object',
-        properties: {
-          'x-migration-secret': { type: 'string' }
-        },
-        required: ['x-migration-secret']
-      },
+      description: 'Applies all pending SQL migrations. Protected by the `x-migration-secret` header.\n\nTo revert a bad deploy, pass `target_version` to end up with exactly the migrations up to that number applied (migrating down as well as up; 0 reverts everything), or `rollback_steps` to revert the most recently applied migrations. Reverting runs each migration\'s `.down.sql` script and fails up front if one is missing. Anything that reverts migrations must also pass `confirm: true`; without it the response is 400 `CONFIRMATION_REQUIRED` listing what would be rolled back. `dry_run` reports the plan without changing anything.\n\nNothing runs while an applied migration file has been edited since it was applied: the response is 400 `CHECKSUM_MISMATCH` listing the files (see GET /migrate/status).\n\nOnly one run can happen at a time. A request that arrives while another is running waits up to `MIGRATION_LOCK_TIMEOUT_MS` (default 10 s) for it to finish, then fails with 409 `MIGRATION_IN_PROGRESS`; retry it once the other run is done. A migration file containing the line `-- migrate:no-transaction` runs statement by statement outside a transaction, for statements such as `CREATE INDEX CONCURRENTLY`.',
+      headers: secretHeaders,
       body: {
         type: 'object',
         properties: {
-          drop_tables: { type: 'boolean', description: 'Drop all tables and reset migration history before running migrations. Use with caution.' },
+          drop_tables: { type: 'boolean', description: 'Drop all tables except the audit log and reset migration history before running migrations. Audit events of the dropped organizations are kept with no organization. Use with caution.' },
+          target_version: { type: 'integer', minimum: 0, description: 'Migrate up or down to this migration number' },
+          rollback_steps: { type: 'integer', minimum: 1, description: 'Revert this many of the most recently applied migrations' },
+          confirm: { type: 'boolean', description: 'Required when any migration would be rolled back' },
+          dry_run: { type: 'boolean', description: 'Report what would be applied and rolled back without doing it' },
         },
         additionalProperties: false,
       },
@@ -38,69 +91,101 @@ async function migrateRoutes(fastify) {
               type: 'array',
               items: { type: 'string' }
             },
+            rolled_back: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Reverted migrations, newest first'
+            },
+            dry_run: { type: 'boolean' },
             message: { type: 'string' }
           }
         },
-        401: {
-          type: 'object',
-          properties: {
-            error: {
-              type: 'object',
-              properties: {
-                message: { type: 'string' },
-                statusCode: { type: 'number' }
-              }
-            }
-          }
-        },
-        500: {
-          type: 'object',
-          properties: {
-            error: {
-              type: 'object',
-              properties: {
-                message: { type: 'string' },
-                statusCode: { type: 'number' }
-              }
-            }
-          }
-        }
+        401: errorSchema,
+        409: errorSchema,
+        500: errorSchema
       }
     }
   }, async (request, reply) => {
-    // Verify migration secret
-    const providedSecret = request.headers['x-migration-secret'];
-    const expectedSecret = process.env.MIGRATION_SECRET;
+    const {
+      drop_tables: dropTables = false,
+      target_version: targetVersion,
+      rollback_steps: rollbackSteps,
+      confirm = false,
+      dry_run: dryRun = false,
+    } = request.body || {};
 
-    if (!expectedSecret) {
-      request.log.error('MIGRATION_SECRET environment variable is not set');
-      return reply.status(500).send({
+    const operations = [dropTables, targetVersion !== undefined, rollbackSteps !== undefined].filter(Boolean);
+    if (operations.length > 1) {
+      return reply.status(400).send({
         error: {
-          message: 'Migration secret not configured',
-          statusCode: 500
+          message: 'Use only one of drop_tables, target_version and rollback_steps',
+          statusCode: 400,
+          code: 'CONFLICTING_OPTIONS'
         }
       });
     }
 
-    if (providedSecret !== expectedSecret) {
-      request.log.warn('Invalid migration secret provided');
-      return reply.status(401).send({
-        error: {
-          message: 'Unauthorized',
-          statusCode: 401
-        }
-      });
-    }
+    const options = { dropTables, targetVersion, rollbackSteps, dryRun };
 
     try {
-      const { drop_tables: dropTables = false } = request.body || {};
-      request.log.info(`Running database migrations${dropTables ? ' (drop tables enabled)' : ''}`);
-      const result = await runMigrations({ dropTables });
+      request.log.info({ options }, `Running database migrations${dropTables ? ' (drop tables enabled)' : ''}`);
+      const result = await runMigrations({ ...options, confirm });
       request.log.info(`Migrations complete: ${result.message}`);
 
-      return result;
+      // Migrations are platform-wide, so the event belongs to no organization
+      if (!dryRun) {
+        await recordAuditEvent(fastify.pg, request, {
+          action: result.rolledBack.length > 0 ? 'migrations.rollback' : 'migrations.run',
+          metadata: {
+            drop_tables: dropTables,
+            target_version: targetVersion,
+            rollback_steps: rollbackSteps,
+            applied: result.applied,
+            rolled_back: result.rolledBack,
+          },
+        });
+      }
+
+      return {
+        applied: result.applied,
+        rolled_back: result.rolledBack,
+        dry_run: result.dryRun,
+        message: result.message
+      };
     } catch (error) {
+      if (error instanceof MigrationError && error.code === 'MIGRATION_IN_PROGRESS') {
+        return reply.status(409).send({
+          error: {
+            message: error.message,
+            statusCode: 409,
+            code: error.code
+          }
+        });
+      }
+
+      if (error instanceof MigrationError) {
+        return reply.status(400).send({
+          error: {
+            message: error.message,
+            statusCode: 400,
+            code: error.code,
+            details: error.details
+          }
+        });
+      }
+
       request.log.error('Migration failed:', error);
+
+      await recordAuditEvent(fastify.pg, request, {
+        action: 'migrations.failed',
+        metadata: {
+          drop_tables: dropTables,
+          target_version: targetVersion,
+          rollback_steps: rollbackSteps,
+          error: error.message,
+        },
+      });
+
       return reply.status(500).send({
         error: {
           message: error.message || 'Migration failed',
@@ -109,6 +194,130 @@ async function migrateRoutes(fastify) {
       });
     }
   });
+
+  /**
+   * GET /migrate/status
+   * Report migration state and schema drift
+   * Protected by x-migration-secret header
+   */
+  fastify.get('/migrate/status', {
+    preHandler: verifyMigrationSecret,
+    schema: {
+      tags: ['Migrations'],
+      summary: 'Migration status and schema drift',
+      description: 'Lists applied and pending migrations, and applied migrations whose file has been edited or deleted since it ran (`modified`; POST /migrate refuses to run while any exist). `drift` compares the live tables and columns with the schema the application expects once every migration is applied, so pending migrations also show up there. Migrations applied before checksums were recorded have a null checksum until the next POST /migrate records one. Protected by the `x-migration-secret` header.',
+      headers: secretHeaders,
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            up_to_date: { type: 'boolean', description: 'No pending or modified migrations and no drift' },
+            in_progress: { type: 'boolean', description: 'A POST /migrate run is holding the migration lock right now' },
+            applied: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  filename: { type: 'string' },
+                  checksum: { type: 'string', nullable: true, description: 'SHA-256 of the file when it was applied' },
+                  applied_at: { type: 'string', format: 'date-time' }
+                }
+              }
+            },
+            pending: {
+              type: 'array',
+              items: { type: 'string' }
+            },
+            modified: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  filename: { type: 'string' },
+                  recorded_checksum: { type: 'string' },
+                  current_checksum: { type: 'string', nullable: true, description: 'Null if the file was deleted' }
+                }
+              }
+            },
+            drift: {
+              type: 'object',
+              properties: {
+                in_sync: { type: 'boolean' },
+                missing_tables: { type: 'array', items: { type: 'string' } },
+                unexpected_tables: { type: 'array', items: { type: 'string' } },
+                missing_columns: { type: 'array', items: { type: 'string' }, description: 'table.column' },
+                unexpected_columns: { type: 'array', items: { type: 'string' }, description: 'table.column' }
+              }
+            }
+          }
+        },
+        401: errorSchema,
+        500: errorSchema
+      }
+    }
+  }, async () => {
+    const { inProgress, ...status } = await getMigrationStatus();
+
+    return {
+      up_to_date: status.pending.length === 0 && status.modified.length === 0 && status.drift.in_sync,
+      in_progress: inProgress,
+      ...status
+    };
+  });
+
+  /**
+   * GET /migrate/history
+   * List past POST /migrate runs from the audit log
+   * Protected by x-migration-secret header
+   */
+  fastify.get('/migrate/history', {
+    preHandler: verifyMigrationSecret,
+    schema: {
+      tags: ['Migrations'],
+      summary: 'Migration run history',
+      description: 'Lists the audit events recorded by POST /migrate, newest first: `migrations.run`, `migrations.rollback` and `migrations.failed`, with the options used (including `drop_tables`), what was applied or rolled back, and the caller\'s IP and request ID. These events belong to no organization, so GET /audit-events does not return them. Dry runs are not recorded. Protected by the `x-migration-secret` header.',
+      headers: secretHeaders,
+      querystring: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+          offset: { type: 'integer', minimum: 0, default: 0 }
+        },
+        additionalProperties: false
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            events: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'integer' },
+                  action: { type: 'string' },
+                  ip: { type: 'string', nullable: true },
+                  request_id: { type: 'string', nullable: true },
+                  metadata: { type: 'object', additionalProperties: true },
+                  created_at: { type: 'string', format: 'date-time' }
+                }
+              }
+            },
+            total: { type: 'integer' },
+            limit: { type: 'integer' },
+            offset: { type: 'integer' }
+          }
+        },
+        401: errorSchema,
+        500: errorSchema
+      }
+    }
+  }, async (request) => {
+    const { limit, offset } = request.query;
+    const { events, total } = await listPlatformAuditEvents(fastify.pg, { actionPrefix: 'migrations.', limit, offset });
+
+    return { events, total, limit, offset };
+  });
 }
 
 module.exports = migrateRoutes;
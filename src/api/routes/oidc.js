@@ -0,0 +1,722 @@
+// OpenID Connect single sign-on routes
+const crypto = require('crypto');
+const {
+  createUser,
+  findUserById,
+  findUserByEmail,
+  updateUser,
+} = require('../repositories/userRepository');
+const { createCredential, findCredentialByHash } = require('../repositories/credentialRepository');
+const {
+  upsertIdentityProvider,
+  findIdentityProviderByOrganization,
+  findIdentityProviderByEmailDomain,
+  findIdentityProviderById,
+  getIdentityProviderSecret,
+  deleteIdentityProvider,
+  createLoginState,
+  consumeLoginState,
+} = require('../repositories/identityProviderRepository');
+const {
+  createDomainClaim,
+  listOrganizationDomains,
+  findOrganizationDomain,
+  findVerifiedDomain,
+  markDomainVerified,
+  deleteOrganizationDomain,
+} = require('../repositories/organizationDomainRepository');
+const { withTransaction } = require('../db/transaction');
+const { generateSecureToken, hashSecureToken } = require('../utils/secureToken');
+const { encryptSecret, decryptSecret } = require('../utils/encryption');
+const { verificationRecord, hasVerificationRecord } = require('../utils/domainVerification');
+const {
+  OidcError,
+  discover,
+  generatePkce,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+} = require('../utils/oidc');
+const { ROLES } = require('../utils/roles');
+const { buildAppUrl } = require('../mailer/templates');
+const { recordAuditEvent } = require('../utils/audit');
+
+// The app page that receives ?code&state from the IdP and posts them to /auth/oidc/callback
+const REDIRECT_URI = process.env.OIDC_REDIRECT_URI || buildAppUrl('/sso/callback');
+
+// Time allowed between POST /auth/oidc/authorize and the callback
+const STATE_TTL_MINUTES = 10;
+
+const CLIENT_SECRET_CONTEXT = 'oidc-client-secret';
+
+const errorSchema = {
+  type: 'object',
+  properties: {
+    error: {
+      type: 'object',
+      properties: {
+        message: { type: 'string' },
+        statusCode: { type: 'integer' },
+        code: { type: 'string' },
+      },
+    },
+  },
+};
+
+const providerSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    organization_id: { type: 'integer' },
+    issuer: { type: 'string' },
+    client_id: { type: 'string' },
+    has_client_secret: { type: 'boolean' },
+    scopes: { type: 'string' },
+    email_domains: { type: 'array', items: { type: 'string' }, description: 'The organization\'s verified domains (see /auth/oidc/domains)' },
+    auto_provision: { type: 'boolean' },
+    default_role: { type: 'string', enum: ROLES },
+    is_active: { type: 'boolean' },
+    redirect_uri: { type: 'string' },
+    created_at: { type: 'string', format: 'date-time' },
+    updated_at: { type: 'string', format: 'date-time' },
+  },
+};
+
+const domainSchema = {
+  type: 'object',
+  properties: {
+    domain: { type: 'string' },
+    verified: { type: 'boolean' },
+    verified_at: { type: 'string', format: 'date-time', nullable: true },
+    created_at: { type: 'string', format: 'date-time' },
+    verification_record: {
+      type: 'object',
+      description: 'DNS record to publish before calling the verify endpoint; it can be removed once verified',
+      properties: {
+        type: { type: 'string' },
+        name: { type: 'string' },
+        value: { type: 'string' },
+      },
+    },
+  },
+};
+
+const domainParams = {
+  type: 'object',
+  properties: {
+    domain: { type: 'string', format: 'hostname', maxLength: 255 },
+  },
+};
+
+const userResponseSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    email: { type: 'string', format: 'email' },
+    name: { type: 'string' },
+    status: { type: 'string', enum: ['active', 'inactive', 'suspended', 'pending_verification', 'invited'] },
+    role: { type: 'string', enum: ROLES },
+    organization_id: { type: 'integer' },
+    created_at: { type: 'string', format: 'date-time' },
+    updated_at: { type: 'string', format: 'date-time' },
+  },
+};
+
+/**
+ * Hash identifying an IdP account, stored on the 'oidc' credential that links it to a user
+ * @param {string} issuer
+ * @param {string} subject - The ID token's sub claim
+ * @returns {string}
+ */
+function hashIdentity(issuer, subject) {
+  return hashSecureToken(`${issuer}|${subject}`);
+}
+
+/**
+ * Domain part of an email address, lowercased
+ * @param {string} email
+ * @returns {string}
+ */
+function emailDomain(email) {
+  return email.slice(email.lastIndexOf('@') + 1).toLowerCase();
+}
+
+/**
+ * Convert a domain claim row to its API representation
+ * @param {Object} claim - organization_domains row
+ * @returns {Object}
+ */
+function formatDomain(claim) {
+  return {
+    domain: claim.domain,
+    verified: claim.verified_at !== null,
+    verified_at: claim.verified_at,
+    created_at: claim.created_at,
+    verification_record: verificationRecord(claim.domain, claim.verification_token),
+  };
+}
+
+/**
+ * Register OpenID Connect routes
+ * @param {FastifyInstance} fastify
+ */
+async function oidcRoutes(fastify) {
+  // GET /auth/oidc/provider — admin
+  fastify.get('/auth/oidc/provider', {
+    preHandler: [fastify.authenticate, fastify.authorize('sso:manage')],
+    schema: {
+      tags: ['Auth'],
+      summary: 'Get the organization\'s SSO provider',
+      description: 'Returns the OpenID Connect identity provider configured for the caller\'s organization. The client secret is never returned. Requires the `sso:manage` permission (admin).',
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      response: {
+        200: providerSchema,
+        404: errorSchema,
+      },
+    },
+  }, async (request, reply) => {
+    const provider = await findIdentityProviderByOrganization(fastify.pg, request.user.organization_id);
+    if (!provider) {
+      return reply.status(404).send({
+        error: { message: 'Single sign-on is not configured', statusCode: 404, code: 'SSO_NOT_CONFIGURED' },
+      });
+    }
+
+    return { ...provider, redirect_uri: REDIRECT_URI };
+  });
+
+  // PUT /auth/oidc/provider — admin
+  fastify.put('/auth/oidc/provider', {
+    preHandler: [fastify.authenticate, fastify.authorize('sso:manage')],
+    schema: {
+      tags: ['Auth'],
+      summary: 'Configure the organization\'s SSO provider',
+      description: 'Creates or replaces the OpenID Connect identity provider for the caller\'s organization. The issuer must be an https:// URL on a public host; its discovery document is fetched to validate the configuration. Register `redirect_uri` from the response with the provider. Omit `client_secret` to keep the stored secret; pass null for a public client. The provider\'s `email_domains` are the organization\'s verified domains (see POST /auth/oidc/domains): they restrict which addresses may sign in and let users start SSO by email. `auto_provision` only creates accounts for addresses in those domains: with no verified domains, only existing members of the organization can sign in with SSO. Requires the `sso:manage` permission (admin).',
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      body: {
+        type: 'object',
+        required: ['issuer', 'client_id'],
+        properties: {
+          issuer: { type: 'string', format: 'uri', maxLength: 500 },
+          client_id: { type: 'string', minLength: 1, maxLength: 255 },
+          client_secret: { type: 'string', minLength: 1, nullable: true },
+          scopes: { type: 'string', pattern: '(^|\\s)openid(\\s|$)', maxLength: 255, default: 'openid email profile' },
+          auto_provision: { type: 'boolean', default: true, description: 'Create accounts on first sign-in for addresses in the organization\'s verified domains' },
+          default_role: { type: 'string', enum: ROLES, default: 'member' },
+          is_active: { type: 'boolean', default: true },
+        },
+        additionalProperties: false,
+      },
+      response: {
+        200: providerSchema,
+        422: errorSchema,
+      },
+    },
+  }, async (request, reply) => {
+    const {
+      issuer,
+      client_id: clientId,
+      client_secret: clientSecret,
+      scopes,
+      auto_provision: autoProvision,
+      default_role: defaultRole,
+      is_active: isActive,
+    } = request.body;
+    const organizationId = request.user.organization_id;
+
+    try {
+      await discover(issuer);
+    } catch (error) {
+      if (!(error instanceof OidcError)) throw error;
+      // Details stay in the log: echoing them would let callers probe hosts the server can reach
+      request.log.warn({ err: error, issuer }, 'OIDC discovery failed');
+      const message = error.code === 'IDP_URL_NOT_ALLOWED'
+        ? 'The issuer must be an https:// URL on a public host'
+        : 'Could not load the provider configuration from the issuer';
+      return reply.status(422).send({
+        error: { message, statusCode: 422, code: 'IDP_DISCOVERY_FAILED' },
+      });
+    }
+
+    const before = await findIdentityProviderByOrganization(fastify.pg, organizationId);
+    const provider = await upsertIdentityProvider(fastify.pg, organizationId, {
+      issuer,
+      clientId,
+      clientSecret: clientSecret ? encryptSecret(clientSecret, CLIENT_SECRET_CONTEXT) : clientSecret,
+      scopes,
+      autoProvision,
+      defaultRole,
+      isActive,
+    });
+
+    await recordAuditEvent(fastify.pg, request, {
+      action: before ? 'sso.provider_update' : 'sso.provider_create',
+      targetType: 'identity_provider',
+      targetId: provider.id,
+      before,
+      after: provider,
+    });
+
+    return { ...provider, redirect_uri: REDIRECT_URI };
+  });
+
+  // DELETE /auth/oidc/provider — admin
+  fastify.delete('/auth/oidc/provider', {
+    preHandler: [fastify.authenticate, fastify.authorize('sso:manage')],
+    schema: {
+      tags: ['Auth'],
+      summary: 'Remove the organization\'s SSO provider',
+      description: 'Deletes the identity provider and its account links. Users keep their accounts but must sign in with a password (or a reset link) until SSO is configured again. Requires the `sso:manage` permission (admin).',
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      response: {
+        204: { type: 'null', description: 'Provider removed' },
+        404: errorSchema,
+      },
+    },
+  }, async (request, reply) => {
+    const organizationId = request.user.organization_id;
+    const before = await findIdentityProviderByOrganization(fastify.pg, organizationId);
+
+    const deleted = before && await withTransaction(fastify.pg, async (client) => {
+      await client.query(
+        `DELETE FROM user_credentials
+         WHERE credential_type = 'oidc'
+           AND metadata->>'issuer' = $1
+           AND user_id IN (SELECT id FROM users WHERE organization_id = $2)`,
+        [before.issuer, organizationId]
+      );
+      return deleteIdentityProvider(client, organizationId);
+    });
+
+    if (!deleted) {
+      return reply.status(404).send({
+        error: { message: 'Single sign-on is not configured', statusCode: 404, code: 'SSO_NOT_CONFIGURED' },
+      });
+    }
+
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'sso.provider_delete',
+      targetType: 'identity_provider',
+      targetId: before.id,
+      before,
+    });
+
+    return reply.status(204).send();
+  });
+
+  // GET /auth/oidc/domains — admin
+  fastify.get('/auth/oidc/domains', {
+    preHandler: [fastify.authenticate, fastify.authorize('sso:manage')],
+    schema: {
+      tags: ['Auth'],
+      summary: 'List the organization\'s SSO domains',
+      description: 'Lists the email domains the caller\'s organization has claimed, verified or not, with the DNS record that proves ownership. Requires the `sso:manage` permission (admin).',
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            domains: { type: 'array', items: domainSchema },
+          },
+        },
+      },
+    },
+  }, async (request) => {
+    const claims = await listOrganizationDomains(fastify.pg, request.user.organization_id);
+    return { domains: claims.map(formatDomain) };
+  });
+
+  // POST /auth/oidc/domains — admin
+  fastify.post('/auth/oidc/domains', {
+    preHandler: [fastify.authenticate, fastify.authorize('sso:manage')],
+    schema: {
+      tags: ['Auth'],
+      summary: 'Claim an SSO domain',
+      description: 'Starts claiming an email domain for the caller\'s organization and returns the DNS TXT record that proves ownership. Publish the record, then call POST /auth/oidc/domains/{domain}/verify. Until then the domain is not used for sign-in routing or auto-provisioning. Claiming a domain again returns the existing claim. A domain another organization has verified cannot be claimed (409 `EMAIL_DOMAIN_TAKEN`). Requires the `sso:manage` permission (admin).',
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      body: {
+        type: 'object',
+        required: ['domain'],
+        properties: {
+          domain: { type: 'string', format: 'hostname', maxLength: 255 },
+        },
+        additionalProperties: false,
+      },
+      response: {
+        201: domainSchema,
+        409: errorSchema,
+      },
+    },
+  }, async (request, reply) => {
+    const organizationId = request.user.organization_id;
+    const domain = request.body.domain.toLowerCase();
+
+    const owner = await findVerifiedDomain(fastify.pg, domain);
+    if (owner && String(owner.organization_id) !== String(organizationId)) {
+      return reply.status(409).send({
+        error: { message: `Email domain ${domain} belongs to another organization`, statusCode: 409, code: 'EMAIL_DOMAIN_TAKEN' },
+      });
+    }
+
+    const claim = await createDomainClaim(fastify.pg, {
+      organizationId,
+      domain,
+      verificationToken: generateSecureToken(),
+    });
+
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'sso.domain_claim',
+      targetType: 'organization_domain',
+      targetId: claim.id,
+      metadata: { domain },
+    });
+
+    return reply.status(201).send(formatDomain(claim));
+  });
+
+  // POST /auth/oidc/domains/:domain/verify — admin
+  fastify.post('/auth/oidc/domains/:domain/verify', {
+    preHandler: [fastify.authenticate, fastify.authorize('sso:manage')],
+    schema: {
+      tags: ['Auth'],
+      summary: 'Verify an SSO domain',
+      description: 'Looks up the claim\'s DNS TXT record and, when it is published, marks the domain verified. From then on addresses in the domain start SSO with the organization\'s provider and can be auto-provisioned. DNS changes can take a while to propagate; retry after 422 `DOMAIN_NOT_VERIFIED`. Only one organization can verify a domain (409 `EMAIL_DOMAIN_TAKEN`). Requires the `sso:manage` permission (admin).',
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      params: domainParams,
+      response: {
+        200: domainSchema,
+        404: errorSchema,
+        409: errorSchema,
+        422: errorSchema,
+        502: errorSchema,
+      },
+    },
+  }, async (request, reply) => {
+    const claim = await findOrganizationDomain(fastify.pg, request.user.organization_id, request.params.domain);
+    if (!claim) {
+      return reply.status(404).send({
+        error: { message: 'Domain not claimed — claim it at POST /auth/oidc/domains', statusCode: 404, code: 'DOMAIN_NOT_FOUND' },
+      });
+    }
+    if (claim.verified_at) {
+      return formatDomain(claim);
+    }
+
+    let published;
+    try {
+      published = await hasVerificationRecord(claim.domain, claim.verification_token);
+    } catch (error) {
+      request.log.warn({ err: error, domain: claim.domain }, 'Domain verification lookup failed');
+      return reply.status(502).send({
+        error: { message: 'Could not look up the verification record — try again later', statusCode: 502, code: 'DNS_LOOKUP_FAILED' },
+      });
+    }
+    if (!published) {
+      const { name } = verificationRecord(claim.domain, claim.verification_token);
+      return reply.status(422).send({
+        error: { message: `Verification record not found at ${name}`, statusCode: 422, code: 'DOMAIN_NOT_VERIFIED' },
+      });
+    }
+
+    let verified;
+    try {
+      verified = await markDomainVerified(fastify.pg, claim.id);
+    } catch (error) {
+      if (error.code !== '23505') throw error;
+      return reply.status(409).send({
+        error: { message: `Email domain ${claim.domain} belongs to another organization`, statusCode: 409, code: 'EMAIL_DOMAIN_TAKEN' },
+      });
+    }
+    if (!verified) {
+      return reply.status(404).send({
+        error: { message: 'Domain not claimed — claim it at POST /auth/oidc/domains', statusCode: 404, code: 'DOMAIN_NOT_FOUND' },
+      });
+    }
+
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'sso.domain_verify',
+      targetType: 'organization_domain',
+      targetId: verified.id,
+      metadata: { domain: verified.domain },
+    });
+
+    return formatDomain(verified);
+  });
+
+  // DELETE /auth/oidc/domains/:domain — admin
+  fastify.delete('/auth/oidc/domains/:domain', {
+    preHandler: [fastify.authenticate, fastify.authorize('sso:manage')],
+    schema: {
+      tags: ['Auth'],
+      summary: 'Remove an SSO domain',
+      description: 'Withdraws the organization\'s claim on a domain. Existing accounts are kept, but addresses in the domain no longer start SSO with the organization\'s provider or get auto-provisioned. Requires the `sso:manage` permission (admin).',
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      params: domainParams,
+      response: {
+        204: { type: 'null', description: 'Domain removed' },
+        404: errorSchema,
+      },
+    },
+  }, async (request, reply) => {
+    const claim = await deleteOrganizationDomain(fastify.pg, request.user.organization_id, request.params.domain);
+    if (!claim) {
+      return reply.status(404).send({
+        error: { message: 'Domain not claimed', statusCode: 404, code: 'DOMAIN_NOT_FOUND' },
+      });
+    }
+
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'sso.domain_delete',
+      targetType: 'organization_domain',
+      targetId: claim.id,
+      metadata: { domain: claim.domain, verified: claim.verified_at !== null },
+    });
+
+    return reply.status(204).send();
+  });
+
+  // POST /auth/oidc/authorize
+  fastify.post('/auth/oidc/authorize', {
+    schema: {
+      tags: ['Auth'],
+      summary: 'Start single sign-on',
+      description: `Returns the identity provider URL to send the browser to. Identify the organization by \`organization_id\`, or by \`email\` whose domain an organization has verified. After authenticating, the provider redirects to the configured redirect URI with \`code\` and \`state\`; post both to POST /auth/oidc/callback within ${STATE_TTL_MINUTES} minutes.`,
+      body: {
+        type: 'object',
+        properties: {
+          organization_id: { type: 'integer' },
+          email: { type: 'string', format: 'email' },
+        },
+        additionalProperties: false,
+        minProperties: 1,
+        maxProperties: 1,
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            authorization_url: { type: 'string' },
+            expires_in: { type: 'integer', description: 'Seconds until the login attempt expires' },
+          },
+        },
+        404: errorSchema,
+        502: errorSchema,
+      },
+    },
+  }, async (request, reply) => {
+    const { organization_id: organizationId, email } = request.body;
+
+    const provider = organizationId
+      ? await findIdentityProviderByOrganization(fastify.pg, organizationId)
+      : await findIdentityProviderByEmailDomain(fastify.pg, emailDomain(email));
+
+    if (!provider || !provider.is_active) {
+      return reply.status(404).send({
+        error: { message: 'Single sign-on is not configured', statusCode: 404, code: 'SSO_NOT_CONFIGURED' },
+      });
+    }
+
+    let metadata;
+    try {
+      metadata = await discover(provider.issuer);
+    } catch (error) {
+      if (!(error instanceof OidcError)) throw error;
+      request.log.error({ err: error, providerId: provider.id }, 'OIDC discovery failed');
+      return reply.status(502).send({
+        error: { message: 'Identity provider is unavailable', statusCode: 502, code: error.code },
+      });
+    }
+
+    const state = generateSecureToken();
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    const { codeVerifier, codeChallenge } = generatePkce();
+
+    await createLoginState(fastify.pg, {
+      stateHash: hashSecureToken(state),
+      identityProviderId: provider.id,
+      codeVerifier,
+      nonce,
+      redirectUri: REDIRECT_URI,
+      expiresAt: new Date(Date.now() + STATE_TTL_MINUTES * 60 * 1000),
+    });
+
+    return {
+      authorization_url: buildAuthorizationUrl(metadata, {
+        clientId: provider.client_id,
+        redirectUri: REDIRECT_URI,
+        scopes: provider.scopes,
+        state,
+        nonce,
+        codeChallenge,
+        loginHint: email,
+      }),
+      expires_in: STATE_TTL_MINUTES * 60,
+    };
+  });
+
+  // POST /auth/oidc/callback
+  fastify.post('/auth/oidc/callback', {
+    schema: {
+      tags: ['Auth'],
+      summary: 'Complete single sign-on',
+      description: 'Exchanges the `code` and `state` from the identity provider redirect for an access token and refresh token. The provider must assert a verified email. The first login links the provider account to the user with that email in the same organization, or creates one when auto-provisioning is enabled. Multi-factor authentication is left to the identity provider.',
+      body: {
+        type: 'object',
+        required: ['code', 'state'],
+        properties: {
+          code: { type: 'string', minLength: 1 },
+          state: { type: 'string', minLength: 1 },
+        },
+        additionalProperties: false,
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            token: { type: 'string', description: 'JWT bearer token' },
+            refresh_token: { type: 'string', description: 'Refresh token — exchange at POST /auth/refresh' },
+            expires_in: { type: 'integer', description: 'Access token lifetime in seconds' },
+            user: userResponseSchema,
+          },
+        },
+        400: errorSchema,
+        401: errorSchema,
+        403: errorSchema,
+        409: errorSchema,
+        502: errorSchema,
+      },
+    },
+  }, async (request, reply) => {
+    const { code, state } = request.body;
+
+    const loginState = await consumeLoginState(fastify.pg, hashSecureToken(state));
+    const provider = loginState && await findIdentityProviderById(fastify.pg, loginState.identity_provider_id);
+    if (!provider || !provider.is_active) {
+      return reply.status(400).send({
+        error: { message: 'Invalid or expired login attempt — start again at POST /auth/oidc/authorize', statusCode: 400, code: 'INVALID_STATE' },
+      });
+    }
+
+    const reject = async (statusCode, message, errorCode, user) => {
+      await recordAuditEvent(fastify.pg, request, {
+        action: 'auth.login_failed',
+        organizationId: provider.organization_id,
+        targetType: user ? 'user' : undefined,
+        targetId: user && user.id,
+        metadata: { method: 'oidc', issuer: provider.issuer, reason: errorCode },
+      });
+      return reply.status(statusCode).send({ error: { message, statusCode, code: errorCode } });
+    };
+
+    let claims;
+    try {
+      const metadata = await discover(provider.issuer);
+      const encryptedSecret = await getIdentityProviderSecret(fastify.pg, provider.id);
+      const { id_token: idToken } = await exchangeCode(metadata, {
+        code,
+        codeVerifier: loginState.code_verifier,
+        redirectUri: loginState.redirect_uri,
+        clientId: provider.client_id,
+        clientSecret: encryptedSecret && decryptSecret(encryptedSecret, CLIENT_SECRET_CONTEXT),
+      });
+      claims = await verifyIdToken(metadata, idToken, { clientId: provider.client_id, nonce: loginState.nonce });
+    } catch (error) {
+      if (!(error instanceof OidcError)) throw error;
+      request.log.warn({ err: error, providerId: provider.id }, 'OIDC login failed');
+      return error.code === 'IDP_UNREACHABLE'
+        ? reject(502, 'Identity provider is unavailable', error.code)
+        : reject(401, 'Single sign-on failed', error.code);
+    }
+
+    if (!claims.email || claims.email_verified !== true) {
+      return reject(403, 'The identity provider did not assert a verified email address', 'EMAIL_NOT_VERIFIED');
+    }
+
+    const email = claims.email.toLowerCase();
+    if (provider.email_domains.length > 0 && !provider.email_domains.includes(emailDomain(email))) {
+      return reject(403, 'Email domain is not allowed for this organization', 'EMAIL_DOMAIN_NOT_ALLOWED');
+    }
+
+    const identityHash = hashIdentity(provider.issuer, claims.sub);
+    const link = await findCredentialByHash(fastify.pg, identityHash, 'oidc');
+
+    let user = link && link.is_active ? await findUserById(fastify.pg, link.user_id) : null;
+    let outcome = 'login';
+
+    if (!user) {
+      const existing = await findUserByEmail(fastify.pg, email);
+
+      if (existing && String(existing.organization_id) !== String(provider.organization_id)) {
+        return reject(403, 'This account belongs to a different organization', 'ACCOUNT_IN_OTHER_ORGANIZATION');
+      }
+      // Email addresses are unique across organizations, so only provision addresses in domains
+      // the organization has verified; otherwise its IdP could take any address from its real owner
+      if (!existing && (!provider.auto_provision || provider.email_domains.length === 0)) {
+        return reject(403, 'No account exists for this email and automatic provisioning is disabled', 'PROVISIONING_DISABLED');
+      }
+
+      try {
+        user = await withTransaction(fastify.pg, async (client) => {
+          const target = existing || await createUser(client, {
+            email,
+            name: claims.name || email,
+            organizationId: provider.organization_id,
+            role: provider.default_role,
+            status: 'active',
+          });
+
+          await createCredential(client, {
+            userId: target.id,
+            credentialType: 'oidc',
+            credentialHash: identityHash,
+            label: provider.issuer,
+            metadata: { issuer: provider.issuer, subject: claims.sub },
+          });
+          return target;
+        });
+      } catch (error) {
+        // A concurrent first login created the account
+        if (error.code === '23505') {
+          return reply.status(409).send({
+            error: { message: 'Account is being created — try signing in again', statusCode: 409 },
+          });
+        }
+        throw error;
+      }
+
+      outcome = existing ? 'linked' : 'provisioned';
+      if (!existing) {
+        await recordAuditEvent(fastify.pg, request, {
+          action: 'user.create',
+          actor: user,
+          targetType: 'user',
+          targetId: user.id,
+          after: user,
+          metadata: { source: 'oidc', issuer: provider.issuer },
+        });
+      }
+    }
+
+    // The identity provider has verified the address; an invited user accepts by signing in
+    if (user.status === 'pending_verification' || user.status === 'invited') {
+      user = await updateUser(fastify.pg, user.id, { status: 'active' });
+    }
+    if (user.status !== 'active') {
+      return reject(403, 'Account is not active', 'ACCOUNT_DISABLED', user);
+    }
+
+    const tokens = await fastify.issueTokens(user, { request });
+
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'auth.login',
+      actor: user,
+      targetType: 'user',
+      targetId: user.id,
+      metadata: { method: 'oidc', issuer: provider.issuer, account: outcome },
+    });
+
+    return { ...tokens, user };
+  });
+}
+
+module.exports = oidcRoutes;
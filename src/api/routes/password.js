@@ -0,0 +1,402 @@
+// Password management routes (forgot / reset / change)
+const { findUserByEmail, findUserById, incrementTokenVersion } = require('../repositories/userRepository');
+const {
+  createCredential,
+  findActiveCredentialByHash,
+  findPasswordHashes,
+  deactivateCredential,
+  deactivateCredentialsByUserId,
+  replacePasswordCredential,
+} = require('../repositories/credentialRepository');
+const { revokeSessionsByUserId } = require('../repositories/sessionRepository');
+const { getPasswordPolicy, updatePasswordPolicy } = require('../repositories/organizationRepository');
+const { withTransaction } = require('../db/transaction');
+const {
+  hashPassword,
+  verifyPassword,
+  checkPasswordStrength,
+  mergePasswordPolicy,
+  CHARACTER_CLASSES,
+  passwordPolicyError,
+  passwordPolicyErrorSchema,
+} = require('../utils/password');
+const { generateSecureToken, hashSecureToken } = require('../utils/secureToken');
+const { passwordResetEmail } = require('../mailer/templates');
+const {
+  reserveLoginAttempt,
+  registerFailedAttempt,
+  registerSuccessfulAttempt,
+} = require('../utils/lockout');
+const { recordAuditEvent } = require('../utils/audit');
+
+const RESET_TOKEN_PREFIX = 'pbxp_';
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60', 10);
+
+// What a successful reset revokes: 'none' | 'sessions' (refresh + access tokens) | 'all' (sessions and API keys)
+const RESET_REVOKE = process.env.PASSWORD_RESET_REVOKE || 'sessions';
+
+// Number of previous passwords that may not be reused on change
+const PASSWORD_HISTORY_SIZE = parseInt(process.env.PASSWORD_HISTORY_SIZE || '5', 10);
+
+const errorSchema = {
+  type: 'object',
+  properties: {
+    error: {
+      type: 'object',
+      properties: {
+        message: { type: 'string' },
+        statusCode: { type: 'integer' },
+        code: { type: 'string' },
+      },
+    },
+  },
+};
+
+// Password policy settings, as stored per organization and reported by GET /auth/password-policy
+const policyProperties = {
+  min_length: { type: 'integer', minimum: 1, maximum: 128 },
+  required_classes: {
+    type: 'array',
+    items: { type: 'string', enum: Object.keys(CHARACTER_CLASSES) },
+    uniqueItems: true,
+  },
+  disallow_personal_info: { type: 'boolean', description: 'Reject passwords containing the user\'s email or name' },
+  check_breached: { type: 'boolean', description: 'Reject passwords found in the breached-password corpus' },
+};
+
+/**
+ * Convert a policy from mergePasswordPolicy to its API representation
+ * @param {{ minLength: number, requiredClasses: string[], disallowPersonalInfo: boolean, checkBreached: boolean }} policy
+ * @returns {Object}
+ */
+function formatPolicy(policy) {
+  return {
+    min_length: policy.minLength,
+    required_classes: policy.requiredClasses,
+    disallow_personal_info: policy.disallowPersonalInfo,
+    check_breached: policy.checkBreached,
+  };
+}
+
+/**
+ * Check a plaintext password against a list of bcrypt hashes
+ * @param {string} plaintext
+ * @param {Array<{ credential_hash: string }>} rows
+ * @returns {Promise<boolean>} true if any hash matches
+ */
+async function matchesAny(plaintext, rows) {
+  for (const row of rows) {
+    if (await verifyPassword(plaintext, row.credential_hash)) return true;
+  }
+  return false;
+}
+
+/**
+ * Register password management routes
+ * @param {FastifyInstance} fastify
+ */
+async function passwordRoutes(fastify) {
+  // POST /auth/password/forgot
+  fastify.post('/auth/password/forgot', {
+    schema: {
+      tags: ['Auth'],
+      summary: 'Request a password reset',
+      description: 'Emails a single-use password reset link if an active account exists for the address. Always returns 202 so the response does not reveal whether the account exists.',
+      body: {
+        type: 'object',
+        required: ['email'],
+        properties: {
+          email: { type: 'string', format: 'email' },
+        },
+        additionalProperties: false,
+      },
+      response: {
+        202: {
+          type: 'object',
+          properties: {
+            message: { type: 'string' },
+          },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const accepted = { message: 'If an account exists for this email, a reset link has been sent' };
+
+    const user = await findUserByEmail(fastify.pg, request.body.email);
+    if (!user || user.status !== 'active') {
+      return reply.status(202).send(accepted);
+    }
+
+    const token = generateSecureToken(RESET_TOKEN_PREFIX);
+    const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+
+    // Only the most recent reset link stays valid
+    await withTransaction(fastify.pg, async (client) => {
+      await deactivateCredentialsByUserId(client, user.id, 'password_reset');
+      await createCredential(client, {
+        userId: user.id,
+        credentialType: 'password_reset',
+        credentialHash: hashSecureToken(token),
+        label: 'password_reset',
+        expiresAt,
+      });
+    });
+
+    try {
+      await fastify.mailer.send({
+        to: user.email,
+        ...passwordResetEmail({ name: user.name, token, expiresInMinutes: RESET_TOKEN_TTL_MINUTES }),
+      });
+    } catch (error) {
+      request.log.error({ err: error, userId: user.id }, 'Failed to send password reset email');
+    }
+
+    return reply.status(202).send(accepted);
+  });
+
+  // POST /auth/password/reset
+  fastify.post('/auth/password/reset', {
+    schema: {
+      tags: ['Auth'],
+      summary: 'Reset password with a reset token',
+      description: 'Sets a new password using the token from the reset email. The token is single-use. The previous password stops working, and existing sessions are revoked according to PASSWORD_RESET_REVOKE.',
+      body: {
+        type: 'object',
+        required: ['token', 'password'],
+        properties: {
+          token: { type: 'string' },
+          password: { type: 'string' },
+        },
+        additionalProperties: false,
+      },
+      response: {
+        204: { type: 'null', description: 'Password reset' },
+        400: errorSchema,
+        422: passwordPolicyErrorSchema,
+      },
+    },
+  }, async (request, reply) => {
+    const { token, password } = request.body;
+    const invalidToken = {
+      error: { message: 'Invalid or expired reset token', statusCode: 400 },
+    };
+
+    const result = await findActiveCredentialByHash(fastify.pg, hashSecureToken(token), 'password_reset');
+    if (!result) {
+      return reply.status(400).send(invalidToken);
+    }
+
+    const { valid, failures } = await checkPasswordStrength(password, {
+      policy: mergePasswordPolicy(await getPasswordPolicy(fastify.pg, result.user.organization_id)),
+      email: result.user.email,
+      name: result.user.name,
+    });
+    if (!valid) {
+      return reply.status(422).send(passwordPolicyError(failures));
+    }
+
+    const userId = result.user.id;
+    const hash = await hashPassword(password);
+
+    const reset = await withTransaction(fastify.pg, async (client) => {
+      // Claim the token first so it cannot be used twice concurrently
+      if (!await deactivateCredential(client, result.credential.id)) return false;
+
+      await replacePasswordCredential(client, userId, hash);
+
+      if (RESET_REVOKE === 'sessions' || RESET_REVOKE === 'all') {
+        await revokeSessionsByUserId(client, userId);
+        await deactivateCredentialsByUserId(client, userId, 'refresh_token');
+        await incrementTokenVersion(client, userId);
+      }
+      if (RESET_REVOKE === 'all') {
+        await deactivateCredentialsByUserId(client, userId, 'api_key');
+      }
+      return true;
+    });
+
+    if (!reset) {
+      return reply.status(400).send(invalidToken);
+    }
+
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'password.reset',
+      actor: result.user,
+      credentialId: result.credential.id,
+      targetType: 'user',
+      targetId: userId,
+      metadata: { revoke: RESET_REVOKE },
+    });
+
+    return reply.status(204).send();
+  });
+
+  // POST /auth/password/change — protected
+  fastify.post('/auth/password/change', {
+    preHandler: [fastify.authenticate, fastify.forbidImpersonation, fastify.authorize('account:manage')],
+    schema: {
+      tags: ['Auth'],
+      summary: 'Change password',
+      description: `Replaces the caller's password after checking the current one. The new password may not match the current password or any of the last ${PASSWORD_HISTORY_SIZE} passwords. Every other session is revoked; fresh tokens for the caller are returned.`,
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      body: {
+        type: 'object',
+        required: ['current_password', 'new_password'],
+        properties: {
+          current_password: { type: 'string' },
+          new_password: { type: 'string' },
+        },
+        additionalProperties: false,
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            token: { type: 'string', description: 'JWT bearer token' },
+            refresh_token: { type: 'string', description: 'Refresh token — exchange at POST /auth/refresh' },
+            expires_in: { type: 'integer', description: 'Access token lifetime in seconds' },
+          },
+        },
+        400: errorSchema,
+        422: passwordPolicyErrorSchema,
+        429: errorSchema,
+      },
+    },
+  }, async (request, reply) => {
+    const { current_password: currentPassword, new_password: newPassword } = request.body;
+    const userId = request.user.id;
+
+    // Guesses at the current password count against the login lockout
+    const attempt = { email: request.user.email, ip: request.ip };
+    const reserved = await reserveLoginAttempt(fastify.pg, attempt);
+    if (reserved.retryAfter > 0) {
+      return reply.status(429).header('Retry-After', String(reserved.retryAfter)).send({
+        error: { message: 'Too many failed attempts. Try again later.', statusCode: 429, code: 'TOO_MANY_ATTEMPTS' },
+      });
+    }
+
+    const hashes = await findPasswordHashes(fastify.pg, userId, { historySize: PASSWORD_HISTORY_SIZE });
+    const current = hashes.filter(h => h.is_active);
+
+    if (!await matchesAny(currentPassword, current)) {
+      const lockSeconds = registerFailedAttempt(reserved);
+      if (lockSeconds > 0) {
+        reply.header('Retry-After', String(lockSeconds));
+      }
+      return reply.status(400).send({
+        error: { message: 'Current password is incorrect', statusCode: 400, code: 'INVALID_CURRENT_PASSWORD' },
+      });
+    }
+
+    await registerSuccessfulAttempt(fastify.pg, reserved);
+
+    const { valid, failures } = await checkPasswordStrength(newPassword, {
+      policy: mergePasswordPolicy(await getPasswordPolicy(fastify.pg, request.user.organization_id)),
+      email: request.user.email,
+      name: request.user.name,
+    });
+    if (!valid) {
+      return reply.status(422).send(passwordPolicyError(failures));
+    }
+
+    if (await matchesAny(newPassword, hashes)) {
+      return reply.status(422).send({
+        error: {
+          message: `New password must differ from your current and last ${PASSWORD_HISTORY_SIZE} passwords`,
+          statusCode: 422,
+          code: 'PASSWORD_REUSED',
+        },
+      });
+    }
+
+    const hash = await hashPassword(newPassword);
+
+    const tokens = await withTransaction(fastify.pg, async (client) => {
+      await replacePasswordCredential(client, userId, hash);
+      await revokeSessionsByUserId(client, userId);
+      await deactivateCredentialsByUserId(client, userId, 'refresh_token');
+      await incrementTokenVersion(client, userId);
+
+      // The caller continues in a fresh session
+      const user = await findUserById(client, userId);
+      return fastify.issueTokens(user, { db: client, request });
+    });
+
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'password.change',
+      targetType: 'user',
+      targetId: userId,
+    });
+
+    return tokens;
+  });
+
+  // GET /auth/password-policy — protected
+  fastify.get('/auth/password-policy', {
+    preHandler: [fastify.authenticate, fastify.authorize('profile:read')],
+    schema: {
+      tags: ['Auth'],
+      summary: 'Get the password policy',
+      description: 'Returns the password rules that apply in the caller\'s organization, together with the organization\'s own settings. The effective policy is the deployment-wide policy, tightened by the organization\'s settings. New sign-ups use the deployment-wide policy. Passwords that break the policy are rejected with 422 `PASSWORD_TOO_WEAK` and a `failures` list of codes.',
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            policy: { type: 'object', properties: policyProperties, description: 'Effective policy' },
+            organization_overrides: { type: 'object', properties: policyProperties },
+          },
+        },
+      },
+    },
+  }, async (request) => {
+    const overrides = await getPasswordPolicy(fastify.pg, request.user.organization_id);
+    return {
+      policy: formatPolicy(mergePasswordPolicy(overrides || {})),
+      organization_overrides: overrides || {},
+    };
+  });
+
+  // PUT /auth/password-policy — admin
+  fastify.put('/auth/password-policy', {
+    preHandler: [fastify.authenticate, fastify.authorize('password_policy:manage')],
+    schema: {
+      tags: ['Auth'],
+      summary: 'Set the organization password policy',
+      description: 'Replaces the organization\'s password policy settings. A setting can only tighten the deployment-wide policy. A lower `min_length` or a disabled check has no effect. Applies to passwords set from now on; existing passwords are not re-checked. Requires the `password_policy:manage` permission (admin).',
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      body: {
+        type: 'object',
+        properties: policyProperties,
+        additionalProperties: false,
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            policy: { type: 'object', properties: policyProperties, description: 'Effective policy' },
+            organization_overrides: { type: 'object', properties: policyProperties },
+          },
+        },
+      },
+    },
+  }, async (request) => {
+    const before = await getPasswordPolicy(fastify.pg, request.user.organization_id);
+    const overrides = await updatePasswordPolicy(fastify.pg, request.user.organization_id, request.body);
+
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'password_policy.update',
+      targetType: 'organization',
+      targetId: request.user.organization_id,
+      before,
+      after: overrides,
+    });
+
+    return {
+      policy: formatPolicy(mergePasswordPolicy(overrides)),
+      organization_overrides: overrides,
+    };
+  });
+}
+
+module.exports = passwordRoutes;
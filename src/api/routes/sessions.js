@@ -0,0 +1,143 @@
+// Session and device management routes
+const {
+  listActiveSessions,
+  revokeSession,
+  revokeSessionsByUserId,
+} = require('../repositories/sessionRepository');
+const { recordAuditEvent } = require('../utils/audit');
+
+const errorSchema = {
+  type: 'object',
+  properties: {
+    error: {
+      type: 'object',
+      properties: {
+        message: { type: 'string' },
+        statusCode: { type: 'integer' },
+      },
+    },
+  },
+};
+
+const sessionSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    impersonated_user_id: { type: 'integer', nullable: true, description: 'Set for sessions in which you are impersonating this user' },
+    user_agent: { type: 'string', nullable: true },
+    ip: { type: 'string', nullable: true },
+    created_at: { type: 'string', format: 'date-time' },
+    last_seen_at: { type: 'string', format: 'date-time' },
+    expires_at: { type: 'string', format: 'date-time' },
+    current: { type: 'boolean', description: 'True for the session making this request' },
+  },
+};
+
+/**
+ * Register session management routes
+ * @param {FastifyInstance} fastify
+ */
+async function sessionRoutes(fastify) {
+  // GET /auth/sessions — protected
+  fastify.get('/auth/sessions', {
+    preHandler: [fastify.authenticate, fastify.authorize('account:manage')],
+    schema: {
+      tags: ['Auth'],
+      summary: 'List active sessions',
+      description: 'Returns the devices the caller is signed in on, most recently active first. Each successful login starts a session; refreshing tokens keeps it alive.',
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            sessions: { type: 'array', items: sessionSchema },
+          },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const sessions = await listActiveSessions(fastify.pg, request.user.id);
+    const currentId = request.session && String(request.session.id);
+
+    return {
+      sessions: sessions.map(s => ({ ...s, current: String(s.id) === currentId })),
+    };
+  });
+
+  // DELETE /auth/sessions/:id — protected
+  fastify.delete('/auth/sessions/:id', {
+    preHandler: [fastify.authenticate, fastify.forbidImpersonation, fastify.authorize('account:manage')],
+    schema: {
+      tags: ['Auth'],
+      summary: 'Sign out a session',
+      description: 'Revokes one of the caller\'s sessions. Its access and refresh tokens stop working immediately.',
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      params: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+        },
+      },
+      response: {
+        204: { type: 'null', description: 'Session revoked' },
+        404: errorSchema,
+      },
+    },
+  }, async (request, reply) => {
+    const { id } = request.params;
+
+    const revoked = await revokeSession(fastify.pg, id, request.user.id);
+    if (!revoked) {
+      return reply.status(404).send({
+        error: { message: 'Session not found', statusCode: 404 },
+      });
+    }
+
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'session.revoke',
+      targetType: 'session',
+      targetId: id,
+    });
+
+    return reply.status(204).send();
+  });
+
+  // POST /auth/sessions/revoke-others — protected
+  fastify.post('/auth/sessions/revoke-others', {
+    preHandler: [fastify.authenticate, fastify.forbidImpersonation, fastify.authorize('account:manage')],
+    schema: {
+      tags: ['Auth'],
+      summary: 'Sign out everywhere else',
+      description: 'Revokes every session except the one making the request. Must be called with a Bearer token from a login session.',
+      security: [{ bearerAuth: [] }],
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            revoked: { type: 'integer', description: 'Number of sessions signed out' },
+          },
+        },
+        400: errorSchema,
+      },
+    },
+  }, async (request, reply) => {
+    if (!request.session) {
+      return reply.status(400).send({
+        error: { message: 'This endpoint requires a Bearer token from a login session', statusCode: 400 },
+      });
+    }
+
+    const revoked = await revokeSessionsByUserId(fastify.pg, request.user.id, { exceptId: request.session.id });
+
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'session.revoke_others',
+      targetType: 'user',
+      targetId: request.user.id,
+      metadata: { revoked },
+    });
+
+    return { revoked };
+  });
+}
+
+module.exports = sessionRoutes;
@@ -5,7 +5,31 @@ const {
   updateUser,
   listUsers,
   deleteUser,
+  SORTABLE_COLUMNS,
+  restoreUser,
 } = require('../repositories/userRepository');
+const {
+  createSession,
+  listSessionsByUserId,
+  revokeSessionsByUserId,
+} = require('../repositories/sessionRepository');
+const {
+  findCredentialsByUserId,
+  deactivateCredentialsByUserId,
+} = require('../repositories/credentialRepository');
+const { findOrganizationById } = require('../repositories/organizationRepository');
+const { listAuditEventsForUser } = require('../repositories/auditEventRepository');
+const { findLockoutByEmail } = require('../repositories/lockoutRepository');
+const { withTransaction } = require('../db/transaction');
+const { generateToken } = require('../utils/jwt');
+const { ROLES, hasPermission } = require('../utils/roles');
+const { recordAuditEvent } = require('../utils/audit');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const { CsvError, parseCsv, formatCsvRow } = require('../utils/csv');
+const { DELETED_USER_RETENTION_DAYS } = require('../jobs/purgeDeletedUsers');
+
+// Impersonation tokens cannot be refreshed; the admin starts again when one expires
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES || '15', 10);
 
 const userSchema = {
   type: 'object',
@@ -13,24 +37,190 @@ const userSchema = {
     id: { type: 'integer' },
     email: { type: 'string', format: 'email' },
     name: { type: 'string' },
-    status: { type: 'string', enum: ['active', 'inactive', 'suspended'] },
+    status: { type: 'string', enum: ['active', 'inactive', 'suspended', 'pending_verification', 'invited'] },
+    role: { type: 'string', enum: ROLES },
+    organization_id: { type: 'integer' },
     created_at: { type: 'string', format: 'date-time' },
     updated_at: { type: 'string', format: 'date-time' },
+    deleted_at: { type: 'string', format: 'date-time', nullable: true },
   },
 };
 
+// Filters shared by GET /users and GET /users/export
+const userFilterProperties = {
+  q: { type: 'string', minLength: 1, maxLength: 255, description: 'Search email and name' },
+  status: { type: 'string', enum: ['active', 'inactive', 'suspended', 'pending_verification', 'invited'] },
+  created_from: { type: 'string', format: 'date-time', description: 'Only users created at or after this time' },
+  created_to: { type: 'string', format: 'date-time', description: 'Only users created before this time' },
+  sort: { type: 'string', enum: SORTABLE_COLUMNS, default: 'created_at' },
+  order: { type: 'string', enum: ['asc', 'desc'], default: 'desc' },
+  deleted: { type: 'boolean', default: false, description: 'List deleted users instead of current ones' },
+};
+
+// Bulk import limits: rows per request and CSV size
+const MAX_IMPORT_ROWS = 1000;
+const IMPORT_BODY_LIMIT = 2 * 1024 * 1024;
+
+// Users per export page; keeps each response well inside the Lambda payload limit
+const EXPORT_PAGE_SIZE = 5000;
+const EXPORT_FIELDS = ['id', 'email', 'name', 'status', 'role', 'created_at', 'updated_at', 'deleted_at'];
+
+// Same pattern as the `email` schema format, so imported and API-created users agree
+const EMAIL_PATTERN = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*@(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/i;
+
+const IMPORT_COLUMNS = ['email', 'name', 'status', 'role'];
+const IMPORT_STATUSES = ['active', 'inactive', 'suspended'];
+
+// Credentials that only make sense for a live account; API keys and the password
+// are kept so a restored user gets them back
+const REVOKED_ON_DELETE = ['refresh_token', 'password_reset', 'invitation', 'oidc'];
+
+/**
+ * Map the shared list filters from a querystring to listUsers options
+ * @param {Object} query - Validated querystring
+ * @returns {{ search?: string, status?: string, createdFrom?: string, createdTo?: string, sort: string, order: string, deleted: boolean }}
+ */
+function userFilters(query) {
+  return {
+    search: query.q,
+    status: query.status,
+    createdFrom: query.created_from,
+    createdTo: query.created_to,
+    sort: query.sort,
+    order: query.order,
+    deleted: query.deleted,
+  };
+}
+
+// Cursor positions as listUsers writes them: a bigint id, and timestamps in
+// Postgres text form (e.g. '2026-01-31 09:15:00.123456+00')
+const CURSOR_ID_PATTERN = /^[1-9][0-9]{0,18}$/;
+const MAX_BIGINT = 2n ** 63n - 1n;
+const CURSOR_TIMESTAMP_PATTERN = /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2}):(\d{2})(\.\d{1,6})?[+-]\d{2}(:\d{2}){0,2}$/;
+const TIMESTAMP_SORT_COLUMNS = ['created_at', 'updated_at'];
+
+/**
+ * Whether a cursor's sort value is a real calendar timestamp in Postgres text form
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isCursorTimestamp(value) {
+  const match = CURSOR_TIMESTAMP_PATTERN.exec(value);
+  if (!match) return false;
+
+  const [year, month, day, hour, minute, second] = match.slice(1, 7).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+    && date.getUTCHours() === hour && date.getUTCMinutes() === minute && date.getUTCSeconds() === second;
+}
+
+/**
+ * Decode a users list cursor and check it was issued for the same sort, with
+ * values Postgres will accept for the sort column and id
+ * @param {string} cursor
+ * @param {{ sort: string, order: string }} filters
+ * @returns {{ value: string, id: string }|null} listUsers `after` position, or null if invalid
+ */
+function parseUserCursor(cursor, { sort, order }) {
+  const position = decodeCursor(cursor);
+  if (!position || position.sort !== sort || position.order !== order
+    || typeof position.value !== 'string' || typeof position.id !== 'string') {
+    return null;
+  }
+  if (!CURSOR_ID_PATTERN.test(position.id) || BigInt(position.id) > MAX_BIGINT) {
+    return null;
+  }
+  if (TIMESTAMP_SORT_COLUMNS.includes(sort) && !isCursorTimestamp(position.value)) {
+    return null;
+  }
+  return { value: position.value, id: position.id };
+}
+
+/**
+ * Pick the exported fields of a user row
+ * @param {Object} user
+ * @returns {Object}
+ */
+function toExportRecord(user) {
+  const record = {};
+  for (const field of EXPORT_FIELDS) {
+    record[field] = user[field];
+  }
+  record.id = Number(user.id);
+  return record;
+}
+
+/**
+ * Format users as CSV: a header row, then one row per user
+ * @param {Object[]} users
+ * @returns {string}
+ */
+function toCsv(users) {
+  const rows = users.map((user) => {
+    const record = toExportRecord(user);
+    return formatCsvRow(EXPORT_FIELDS.map(field => record[field]));
+  });
+  return [formatCsvRow(EXPORT_FIELDS), ...rows].join('');
+}
+
+/**
+ * Validate one CSV row of a bulk import
+ * @param {string[]} header - Lower-cased column names
+ * @param {string[]} fields
+ * @returns {{ user: { email: string, name: string, status: string, role: string }, errors: Array<{ field?: string, code: string, message: string }> }}
+ */
+function validateImportRow(header, fields) {
+  if (fields.length !== header.length) {
+    return {
+      user: null,
+      errors: [{ code: 'WRONG_FIELD_COUNT', message: `Expected ${header.length} fields, found ${fields.length}` }],
+    };
+  }
+
+  const row = {};
+  header.forEach((column, i) => { row[column] = fields[i].trim(); });
+
+  const user = {
+    email: row.email,
+    name: row.name,
+    status: row.status || 'active',
+    role: row.role || 'member',
+  };
+  const errors = [];
+
+  if (!user.email || user.email.length > 255 || !EMAIL_PATTERN.test(user.email)) {
+    errors.push({ field: 'email', code: 'INVALID_EMAIL', message: 'Not a valid email address' });
+  }
+  if (!user.name || user.name.length > 255) {
+    errors.push({ field: 'name', code: 'INVALID_NAME', message: 'Name must be 1-255 characters' });
+  }
+  if (!IMPORT_STATUSES.includes(user.status)) {
+    errors.push({ field: 'status', code: 'INVALID_STATUS', message: `Status must be one of: ${IMPORT_STATUSES.join(', ')}` });
+  }
+  if (!ROLES.includes(user.role)) {
+    errors.push({ field: 'role', code: 'INVALID_ROLE', message: `Role must be one of: ${ROLES.join(', ')}` });
+  }
+
+  return { user, errors };
+}
+
 /**
  * Register user CRUD routes
  * @param {FastifyInstance} fastify - Fastify instance
  */
 async function userRoutes(fastify) {
+  // CSV bodies (POST /users/import) arrive as a plain string
+  fastify.addContentTypeParser('text/csv', { parseAs: 'string' }, (request, body, done) => {
+    done(null, body);
+  });
+
   // POST /users — create user
   fastify.post('/users', {
-    preHandler: [fastify.authenticate],
+    preHandler: [fastify.authenticate, fastify.authorize('users:write')],
     schema: {
       tags: ['Users'],
       summary: 'Create a user',
-      description: 'Creates a new user record. Requires authentication.',
+      description: 'Creates a new user record in the caller\'s organization. The user has no password; to let them sign in, invite them with POST /invitations instead. Requires the `users:write` permission (admin).',
       security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
       body: {
         type: 'object',
@@ -38,6 +228,7 @@ async function userRoutes(fastify) {
         properties: {
           email: { type: 'string', format: 'email' },
           name: { type: 'string', minLength: 1, maxLength: 255 },
+          role: { type: 'string', enum: ROLES, default: 'member' },
         },
         additionalProperties: false,
       },
@@ -46,10 +237,23 @@ async function userRoutes(fastify) {
       },
     },
   }, async (request, reply) => {
-    const { email, name } = request.body;
+    const { email, name, role } = request.body;
 
     try {
-      const user = await createUser(fastify.pg, { email, name });
+      const user = await createUser(fastify.pg, {
+        email,
+        name,
+        role,
+        organizationId: request.user.organization_id,
+      });
+
+      await recordAuditEvent(fastify.pg, request, {
+        action: 'user.create',
+        targetType: 'user',
+        targetId: user.id,
+        after: user,
+      });
+
       return reply.status(201).send(user);
     } catch (error) {
       if (error.code === '23505') {
@@ -66,18 +270,20 @@ async function userRoutes(fastify) {
 
   // GET /users — list users
   fastify.get('/users', {
-    preHandler: [fastify.authenticate],
+    preHandler: [fastify.authenticate, fastify.authorize('users:read')],
     schema: {
       tags: ['Users'],
       summary: 'List users',
-      description: 'Returns a paginated list of users, optionally filtered by status.',
+      description: 'Returns a page of the users in the caller\'s organization, newest first unless `sort`/`order` say otherwise. `q` searches email and name (case-insensitive substring); `status` and `created_from`/`created_to` narrow the results further. Pass `deleted=true` to list deleted users that can still be restored.\n\nPages can be fetched by `offset`, or — faster and stable while users are being added — by passing the previous response\'s `next_cursor` as `cursor` with the same filters and sort. `next_cursor` is null on the last page. Set `include_total=false` to skip counting all matching users. Requires the `users:read` permission (admin or manager).',
       security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
       querystring: {
         type: 'object',
         properties: {
           limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
           offset: { type: 'integer', minimum: 0, default: 0 },
-          status: { type: 'string', enum: ['active', 'inactive', 'suspended'] },
+          cursor: { type: 'string', maxLength: 1000, description: 'next_cursor from the previous page; cannot be combined with offset' },
+          include_total: { type: 'boolean', default: true, description: 'Count all matching users' },
+          ...userFilterProperties,
         },
         additionalProperties: false,
       },
@@ -86,27 +292,299 @@ async function userRoutes(fastify) {
           type: 'object',
           properties: {
             users: { type: 'array', items: userSchema },
-            total: { type: 'integer' },
+            total: { type: 'integer', nullable: true, description: 'Null when include_total=false' },
             limit: { type: 'integer' },
             offset: { type: 'integer' },
+            next_cursor: { type: 'string', nullable: true },
+          },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const { limit, offset, cursor, include_total: includeTotal } = request.query;
+    const filters = userFilters(request.query);
+    const { sort, order } = filters;
+
+    const invalidCursor = {
+      error: {
+        message: 'Invalid cursor — it must come from a previous page with the same sort and order',
+        statusCode: 400,
+        code: 'INVALID_CURSOR',
+      },
+    };
+
+    let after;
+    if (cursor) {
+      if (offset > 0) {
+        return reply.status(400).send({
+          error: { message: 'cursor and offset cannot be combined', statusCode: 400, code: 'INVALID_CURSOR' },
+        });
+      }
+
+      after = parseUserCursor(cursor, filters);
+      if (!after) {
+        return reply.status(400).send(invalidCursor);
+      }
+    }
+
+    let page;
+    try {
+      page = await listUsers(fastify.pg, {
+        organizationId: request.user.organization_id,
+        limit,
+        offset,
+        after,
+        includeTotal,
+        ...filters,
+      });
+    } catch (error) {
+      // A tampered cursor value that does not parse as the sort column's type
+      if (after && /^22/.test(error.code || '')) {
+        return reply.status(400).send(invalidCursor);
+      }
+      throw error;
+    }
+    const { users, total, next } = page;
+
+    return {
+      users,
+      total,
+      limit,
+      offset,
+      next_cursor: next ? encodeCursor({ sort, order, ...next }) : null,
+    };
+  });
+
+  // POST /users/import — bulk create from CSV
+  fastify.post('/users/import', {
+    preHandler: [fastify.authenticate, fastify.authorize('users:write')],
+    bodyLimit: IMPORT_BODY_LIMIT,
+    schema: {
+      tags: ['Users'],
+      summary: 'Import users from CSV',
+      description: `Creates users in the caller's organization from a \`text/csv\` body of up to ${MAX_IMPORT_ROWS} rows. The first row is a header naming the columns: \`email\` and \`name\` are required, \`status\` (active, inactive or suspended; default active) and \`role\` (default member) are optional.\n\nEvery row is validated and each failure is reported with its line number and a code such as \`INVALID_EMAIL\` or \`DUPLICATE_EMAIL\` (the address belongs to an existing user or appears earlier in the file). Valid rows are created in a single transaction even when other rows fail. With \`dry_run=true\` nothing is saved but the report is the same. Imported users have no password; invite them with POST /invitations to let them sign in. Requires the \`users:write\` permission (admin).`,
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      consumes: ['text/csv'],
+      querystring: {
+        type: 'object',
+        properties: {
+          dry_run: { type: 'boolean', default: false, description: 'Validate without creating anyone' },
+        },
+        additionalProperties: false,
+      },
+      body: { type: 'string' },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            dry_run: { type: 'boolean' },
+            total_rows: { type: 'integer' },
+            created_count: { type: 'integer', description: 'Users created, or that would be created on a dry run' },
+            error_count: { type: 'integer' },
+            created: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  line: { type: 'integer' },
+                  id: { type: 'integer', nullable: true, description: 'Null on a dry run' },
+                  email: { type: 'string' },
+                },
+              },
+            },
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  line: { type: 'integer' },
+                  email: { type: 'string', nullable: true },
+                  field: { type: 'string', nullable: true },
+                  code: { type: 'string' },
+                  message: { type: 'string' },
+                },
+              },
+            },
           },
         },
       },
     },
   }, async (request, reply) => {
-    const { limit, offset, status } = request.query;
-    const { users, total } = await listUsers(fastify.pg, { limit, offset, status });
+    const { dry_run: dryRun } = request.query;
+    const invalid = (message, code) => reply.status(400).send({
+      error: { message, statusCode: 400, code },
+    });
+
+    let records;
+    try {
+      records = parseCsv(request.body);
+    } catch (error) {
+      if (error instanceof CsvError) {
+        return invalid(`Line ${error.line}: ${error.message}`, 'INVALID_CSV');
+      }
+      throw error;
+    }
+
+    if (records.length === 0) {
+      return invalid('The CSV is empty', 'INVALID_CSV');
+    }
+
+    const [headerRecord, ...rows] = records;
+    const header = headerRecord.fields.map(column => column.trim().toLowerCase());
+    const unknown = header.filter(column => !IMPORT_COLUMNS.includes(column));
+    const missing = ['email', 'name'].filter(column => !header.includes(column));
+    if (unknown.length > 0 || missing.length > 0 || new Set(header).size !== header.length) {
+      return invalid(
+        `The header row must name the columns ${IMPORT_COLUMNS.join(', ')} (email and name required, each at most once)`,
+        'INVALID_CSV_HEADER'
+      );
+    }
+    if (rows.length === 0) {
+      return invalid('The CSV has no rows after the header', 'INVALID_CSV');
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return invalid(`At most ${MAX_IMPORT_ROWS} rows can be imported at once`, 'TOO_MANY_ROWS');
+    }
+
+    const created = [];
+    const errors = [];
+
+    await withTransaction(fastify.pg, async (client) => {
+      await client.query('SAVEPOINT import');
+
+      for (const { line, fields } of rows) {
+        const { user, errors: rowErrors } = validateImportRow(header, fields);
+        if (rowErrors.length > 0) {
+          errors.push(...rowErrors.map(error => ({ line, email: user ? user.email || null : null, ...error })));
+          continue;
+        }
+
+        // Each row gets its own savepoint so a duplicate only undoes that row
+        await client.query('SAVEPOINT import_row');
+        try {
+          const row = await createUser(client, { ...user, organizationId: request.user.organization_id });
+          await client.query('RELEASE SAVEPOINT import_row');
+          created.push({ line, user: row });
+        } catch (error) {
+          await client.query('ROLLBACK TO SAVEPOINT import_row');
+          if (error.code !== '23505') throw error;
+          errors.push({
+            line,
+            email: user.email,
+            field: 'email',
+            code: 'DUPLICATE_EMAIL',
+            message: 'A user with this email already exists',
+          });
+        }
+      }
+
+      if (dryRun) {
+        await client.query('ROLLBACK TO SAVEPOINT import');
+      }
+    });
+
+    if (!dryRun) {
+      for (const { user } of created) {
+        await recordAuditEvent(fastify.pg, request, {
+          action: 'user.create',
+          targetType: 'user',
+          targetId: user.id,
+          after: user,
+          metadata: { source: 'import' },
+        });
+      }
+    }
+
+    return {
+      dry_run: dryRun,
+      total_rows: rows.length,
+      created_count: created.length,
+      error_count: errors.length,
+      created: created.map(({ line, user }) => ({ line, id: dryRun ? null : user.id, email: user.email })),
+      errors,
+    };
+  });
+
+  // GET /users/export — export the user list a page at a time
+  fastify.get('/users/export', {
+    preHandler: [fastify.authenticate, fastify.authorize('users:read')],
+    schema: {
+      tags: ['Users'],
+      summary: 'Export users',
+      description: `Downloads the users in the caller's organization that match the filters, as CSV (default) or a JSON array, with the fields ${EXPORT_FIELDS.join(', ')}. Takes the same filters and sort as GET /users.\n\nEach response holds at most \`limit\` users (up to ${EXPORT_PAGE_SIZE}). When more remain, the \`X-Next-Cursor\` response header carries a cursor: request the export again with it as \`cursor\` and the same filters, sort and format, and append the result (skipping the repeated CSV header row). The last page has no \`X-Next-Cursor\` header. Only the first page of an export is recorded in the audit log.\n\nIn CSV, values that a spreadsheet would treat as a formula are prefixed with a single quote. Requires the \`users:read\` permission (admin or manager).`,
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      produces: ['text/csv', 'application/json'],
+      querystring: {
+        type: 'object',
+        properties: {
+          format: { type: 'string', enum: ['csv', 'json'], default: 'csv' },
+          limit: { type: 'integer', minimum: 1, maximum: EXPORT_PAGE_SIZE, default: EXPORT_PAGE_SIZE },
+          cursor: { type: 'string', maxLength: 1000, description: 'X-Next-Cursor header from the previous page' },
+          ...userFilterProperties,
+        },
+        additionalProperties: false,
+      },
+    },
+  }, async (request, reply) => {
+    const { format, limit, cursor } = request.query;
+    const filters = userFilters(request.query);
+
+    const invalidCursor = {
+      error: {
+        message: 'Invalid cursor — it must come from a previous page with the same sort and order',
+        statusCode: 400,
+        code: 'INVALID_CURSOR',
+      },
+    };
+
+    let after;
+    if (cursor) {
+      after = parseUserCursor(cursor, filters);
+      if (!after) {
+        return reply.status(400).send(invalidCursor);
+      }
+    } else {
+      await recordAuditEvent(fastify.pg, request, {
+        action: 'user.export_list',
+        metadata: { format, ...filters },
+      });
+    }
+
+    let page;
+    try {
+      page = await listUsers(fastify.pg, {
+        organizationId: request.user.organization_id,
+        limit,
+        after,
+        includeTotal: false,
+        ...filters,
+      });
+    } catch (error) {
+      // A tampered cursor value that does not parse as the sort column's type
+      if (after && /^22/.test(error.code || '')) {
+        return reply.status(400).send(invalidCursor);
+      }
+      throw error;
+    }
+    const { users, next } = page;
+
+    if (next) {
+      reply.header('X-Next-Cursor', encodeCursor({ sort: filters.sort, order: filters.order, ...next }));
+    }
 
-    return { users, total, limit, offset };
+    return reply
+      .type(format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8')
+      .header('Content-Disposition', `attachment; filename="users.${format}"`)
+      .send(format === 'csv' ? toCsv(users) : JSON.stringify(users.map(toExportRecord)));
   });
 
   // GET /users/:id — get user by ID
   fastify.get('/users/:id', {
-    preHandler: [fastify.authenticate],
+    preHandler: [fastify.authenticate, fastify.authorize('users:read', { allowSelf: true })],
     schema: {
       tags: ['Users'],
       summary: 'Get a user',
-      description: 'Returns a single user by UUID.',
+      description: 'Returns a single user by ID. Users outside the caller\'s organization are reported as not found. Users without the `users:read` permission may only fetch their own record.',
       security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
       params: {
         type: 'object',
@@ -119,7 +597,9 @@ async function userRoutes(fastify) {
       },
     },
   }, async (request, reply) => {
-    const user = await findUserById(fastify.pg, request.params.id);
+    const user = await findUserById(fastify.pg, request.params.id, {
+      organizationId: request.user.organization_id,
+    });
 
     if (!user) {
       return reply.status(404).send({
@@ -135,11 +615,11 @@ async function userRoutes(fastify) {
 
   // PUT /users/:id — update user
   fastify.put('/users/:id', {
-    preHandler: [fastify.authenticate],
+    preHandler: [fastify.authenticate, fastify.authorize('users:write', { allowSelf: true })],
     schema: {
       tags: ['Users'],
       summary: 'Update a user',
-      description: 'Updates name and/or status of an existing user.',
+      description: 'Updates name, status and/or role of an existing user. Users without the `users:write` permission may only change the name on their own record.',
       security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
       params: {
         type: 'object',
@@ -152,6 +632,7 @@ async function userRoutes(fastify) {
         properties: {
           name: { type: 'string', minLength: 1, maxLength: 255 },
           status: { type: 'string', enum: ['active', 'inactive', 'suspended'] },
+          role: { type: 'string', enum: ROLES },
         },
         additionalProperties: false,
         minProperties: 1,
@@ -161,7 +642,21 @@ async function userRoutes(fastify) {
       },
     },
   }, async (request, reply) => {
-    const user = await updateUser(fastify.pg, request.params.id, request.body);
+    const { status, role } = request.body;
+
+    // Self-service updates are limited to profile fields
+    if (!hasPermission(request.user.role, 'users:write') && (status !== undefined || role !== undefined)) {
+      return reply.status(403).send({
+        error: {
+          message: 'Insufficient permissions to change status or role',
+          statusCode: 403,
+        },
+      });
+    }
+
+    const scope = { organizationId: request.user.organization_id };
+    const before = await findUserById(fastify.pg, request.params.id, scope);
+    const user = before && await updateUser(fastify.pg, request.params.id, request.body, scope);
 
     if (!user) {
       return reply.status(404).send({
@@ -172,16 +667,24 @@ async function userRoutes(fastify) {
       });
     }
 
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'user.update',
+      targetType: 'user',
+      targetId: user.id,
+      before,
+      after: user,
+    });
+
     return user;
   });
 
   // DELETE /users/:id — delete user
   fastify.delete('/users/:id', {
-    preHandler: [fastify.authenticate],
+    preHandler: [fastify.authenticate, fastify.authorize('users:delete')],
     schema: {
       tags: ['Users'],
       summary: 'Delete a user',
-      description: 'Permanently deletes a user record by UUID.',
+      description: `Deletes a user by ID. The user is signed out everywhere and can no longer sign in, but the record is kept for ${DELETED_USER_RETENTION_DAYS} days and can be brought back with POST /users/:id/restore; after that it is purged permanently along with its credentials and sessions. Requires the \`users:delete\` permission (admin).`,
       security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
       params: {
         type: 'object',
@@ -194,7 +697,18 @@ async function userRoutes(fastify) {
       },
     },
   }, async (request, reply) => {
-    const deleted = await deleteUser(fastify.pg, request.params.id);
+    const scope = { organizationId: request.user.organization_id };
+    const before = await findUserById(fastify.pg, request.params.id, scope);
+
+    const deleted = before && await withTransaction(fastify.pg, async (client) => {
+      if (!await deleteUser(client, before.id, scope)) return false;
+
+      await revokeSessionsByUserId(client, before.id);
+      for (const credentialType of REVOKED_ON_DELETE) {
+        await deactivateCredentialsByUserId(client, before.id, credentialType);
+      }
+      return true;
+    });
 
     if (!deleted) {
       return reply.status(404).send({
@@ -205,8 +719,243 @@ async function userRoutes(fastify) {
       });
     }
 
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'user.delete',
+      targetType: 'user',
+      targetId: before.id,
+      before,
+    });
+
     return reply.status(204).send();
   });
+
+  // POST /users/:id/restore — undo a deletion
+  fastify.post('/users/:id/restore', {
+    preHandler: [fastify.authenticate, fastify.authorize('users:delete')],
+    schema: {
+      tags: ['Users'],
+      summary: 'Restore a deleted user',
+      description: `Brings back a user deleted within the last ${DELETED_USER_RETENTION_DAYS} days, with their password and API keys. Sessions revoked by the deletion stay revoked, so the user signs in again. Fails with 409 if the email address has since been taken by another user. Requires the \`users:delete\` permission (admin).`,
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      params: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+        },
+      },
+      response: {
+        200: userSchema,
+      },
+    },
+  }, async (request, reply) => {
+    let user;
+    try {
+      user = await restoreUser(fastify.pg, request.params.id, {
+        organizationId: request.user.organization_id,
+      });
+    } catch (error) {
+      if (error.code === '23505') {
+        return reply.status(409).send({
+          error: {
+            message: 'Another user now has this email address',
+            statusCode: 409,
+          },
+        });
+      }
+      throw error;
+    }
+
+    if (!user) {
+      return reply.status(404).send({
+        error: {
+          message: 'Deleted user not found',
+          statusCode: 404,
+        },
+      });
+    }
+
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'user.restore',
+      targetType: 'user',
+      targetId: user.id,
+      after: user,
+    });
+
+    return user;
+  });
+
+  // GET /users/:id/export — personal data export
+  fastify.get('/users/:id/export', {
+    preHandler: [fastify.authenticate, fastify.authorize('users:read', { allowSelf: true })],
+    schema: {
+      tags: ['Users'],
+      summary: 'Export a user\'s personal data',
+      description: 'Returns everything stored about a user as a downloadable JSON document, for answering data subject access requests: the user record, their organization, credential metadata (never secrets or hashes), sessions, audit events they performed or were the subject of, and any sign-in lockout on their email address. Deleted users can be exported until they are purged. Users without the `users:read` permission may only export their own data.',
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      params: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+        },
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            generated_at: { type: 'string', format: 'date-time' },
+            user: userSchema,
+            organization: { type: 'object', additionalProperties: true },
+            credentials: { type: 'array', items: { type: 'object', additionalProperties: true } },
+            sessions: { type: 'array', items: { type: 'object', additionalProperties: true } },
+            audit_events: { type: 'array', items: { type: 'object', additionalProperties: true } },
+            lockout: { type: 'object', nullable: true, additionalProperties: true },
+          },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    const user = await findUserById(fastify.pg, request.params.id, {
+      organizationId: request.user.organization_id,
+      includeDeleted: true,
+    });
+
+    if (!user) {
+      return reply.status(404).send({
+        error: {
+          message: 'User not found',
+          statusCode: 404,
+        },
+      });
+    }
+
+    const [organization, credentials, sessions, auditEvents, lockout] = await Promise.all([
+      findOrganizationById(fastify.pg, user.organization_id),
+      findCredentialsByUserId(fastify.pg, user.id),
+      listSessionsByUserId(fastify.pg, user.id),
+      listAuditEventsForUser(fastify.pg, user.id),
+      findLockoutByEmail(fastify.pg, user.email),
+    ]);
+
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'user.export',
+      targetType: 'user',
+      targetId: user.id,
+    });
+
+    return reply
+      .header('Content-Disposition', `attachment; filename="user-${user.id}-export.json"`)
+      .send({
+        generated_at: new Date().toISOString(),
+        user,
+        organization,
+        credentials,
+        sessions,
+        audit_events: auditEvents,
+        lockout,
+      });
+  });
+
+  // POST /users/:id/impersonate — admin
+  fastify.post('/users/:id/impersonate', {
+    preHandler: [fastify.authenticate, fastify.forbidImpersonation, fastify.authorize('users:impersonate')],
+    schema: {
+      tags: ['Users'],
+      summary: 'Impersonate a user',
+      description: `Returns a ${IMPERSONATION_TTL_MINUTES}-minute access token that acts as another user in the caller's organization, for seeing what they see. The token carries an \`act\` claim naming the admin; GET /auth/me reports the impersonation, and sensitive actions (password and MFA changes, API key management, signing out sessions) are refused. No refresh token is issued. Admins cannot be impersonated. Actions taken with the token are audited with the admin as the actor. The impersonation ends when the token expires or the admin's session is revoked. Requires the \`users:impersonate\` permission (admin).`,
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+      params: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+        },
+      },
+      body: {
+        type: 'object',
+        required: ['reason'],
+        properties: {
+          reason: { type: 'string', minLength: 1, maxLength: 500, description: 'Why the user is being impersonated, e.g. a support ticket reference' },
+        },
+        additionalProperties: false,
+      },
+      response: {
+        200: {
+          type: 'object',
+          properties: {
+            token: { type: 'string', description: 'JWT bearer token acting as the user' },
+            expires_in: { type: 'integer', description: 'Token lifetime in seconds' },
+            user: userSchema,
+          },
+        },
+        403: {
+          type: 'object',
+          properties: {
+            error: {
+              type: 'object',
+              properties: {
+                message: { type: 'string' },
+                statusCode: { type: 'integer' },
+                code: { type: 'string' },
+              },
+            },
+          },
+        },
+      },
+    },
+  }, async (request, reply) => {
+    // Re-read the admin: API key callers carry no token_version to bind the token to
+    const admin = await findUserById(fastify.pg, request.user.id);
+    const target = await findUserById(fastify.pg, request.params.id, {
+      organizationId: admin.organization_id,
+    });
+
+    if (!target) {
+      return reply.status(404).send({
+        error: {
+          message: 'User not found',
+          statusCode: 404,
+        },
+      });
+    }
+
+    if (String(target.id) === String(admin.id) || target.role === 'admin') {
+      return reply.status(403).send({
+        error: { message: 'Admins cannot be impersonated', statusCode: 403, code: 'IMPERSONATION_NOT_ALLOWED' },
+      });
+    }
+
+    if (target.status !== 'active') {
+      return reply.status(403).send({
+        error: { message: 'Only active users can be impersonated', statusCode: 403, code: 'IMPERSONATION_NOT_ALLOWED' },
+      });
+    }
+
+    const expiresIn = IMPERSONATION_TTL_MINUTES * 60;
+    const session = await createSession(fastify.pg, {
+      userId: admin.id,
+      impersonatedUserId: target.id,
+      userAgent: request.headers['user-agent'],
+      ip: request.ip,
+      expiresAt: new Date(Date.now() + expiresIn * 1000),
+    });
+
+    const token = generateToken({
+      sub: target.id,
+      email: target.email,
+      name: target.name,
+      ver: target.token_version,
+      sid: session.id,
+      act: { sub: String(admin.id), email: admin.email, ver: admin.token_version },
+    }, { expiresIn });
+
+    await recordAuditEvent(fastify.pg, request, {
+      action: 'user.impersonate',
+      targetType: 'user',
+      targetId: target.id,
+      metadata: { reason: request.body.reason, session_id: session.id, expires_in: expiresIn },
+    });
+
+    return { token, expires_in: expiresIn, user: target };
+  });
 }
 
 module.exports = userRoutes;
@@ -0,0 +1,146 @@
+// Mock OpenID Connect provider for exercising single sign-on locally
+//
+// Serves discovery, JWKS, an auto-approving authorization endpoint and a token
+// endpoint that checks PKCE and client credentials. The signed-in user is taken
+// from the login_hint (or the `email` query parameter) of the authorization request.
+//
+// Usage:
+//   node tests/oidc/mock-idp.js [port]
+//   Start the API with OIDC_ALLOW_INSECURE_ISSUERS=true so it accepts the mock's http:// loopback issuer
+//   PUT /auth/oidc/provider { "issuer": "http://127.0.0.1:4010", "client_id": "pbxscribe", "client_secret": "secret" }
+//   POST /auth/oidc/authorize, open authorization_url, then post code + state from the redirect to /auth/oidc/callback
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Start a mock identity provider
+ * @param {{ port?: number, clientId?: string, clientSecret?: string|null, emailVerified?: boolean }} [options]
+ *   clientSecret - null accepts public clients (PKCE only)
+ *   emailVerified - value of the email_verified claim in issued ID tokens
+ * @returns {Promise<{ issuer: string, server: http.Server, close: () => Promise<void> }>}
+ */
+async function startMockIdp({ port = 0, clientId = 'pbxscribe', clientSecret = 'secret', emailVerified = true } = {}) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomUUID();
+  const codes = new Map();
+  let issuer;
+
+  const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  };
+
+  const readForm = req => new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(data)));
+    req.on('error', reject);
+  });
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, issuer);
+
+    if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+      return send(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'none'],
+      });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/jwks') {
+      return send(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/authorize') {
+      const params = url.searchParams;
+      const email = params.get('login_hint') || params.get('email');
+      if (params.get('client_id') !== clientId || !email || params.get('code_challenge_method') !== 'S256') {
+        return send(res, 400, { error: 'invalid_request' });
+      }
+
+      const code = crypto.randomBytes(16).toString('base64url');
+      codes.set(code, {
+        email,
+        name: params.get('name') || email.split('@')[0],
+        nonce: params.get('nonce'),
+        codeChallenge: params.get('code_challenge'),
+        redirectUri: params.get('redirect_uri'),
+      });
+
+      const redirect = new URL(params.get('redirect_uri'));
+      redirect.searchParams.set('code', code);
+      redirect.searchParams.set('state', params.get('state'));
+      res.writeHead(302, { Location: redirect.toString() });
+      return res.end();
+    }
+
+    if (req.method === 'POST' && url.pathname === '/token') {
+      const form = await readForm(req);
+
+      let presentedId = form.get('client_id');
+      let presentedSecret = null;
+      const basic = (req.headers.authorization || '').match(/^Basic (.+)$/);
+      if (basic) {
+        const [id, secret] = Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent);
+        presentedId = id;
+        presentedSecret = secret;
+      }
+      if (presentedId !== clientId || (clientSecret !== null && presentedSecret !== clientSecret)) {
+        return send(res, 401, { error: 'invalid_client' });
+      }
+
+      const grant = codes.get(form.get('code'));
+      codes.delete(form.get('code'));
+      const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+      if (!grant || grant.codeChallenge !== challenge || grant.redirectUri !== form.get('redirect_uri')) {
+        return send(res, 400, { error: 'invalid_grant' });
+      }
+
+      const idToken = jwt.sign(
+        {
+          email: grant.email,
+          email_verified: emailVerified,
+          name: grant.name,
+          nonce: grant.nonce,
+        },
+        privateKey,
+        {
+          algorithm: 'RS256',
+          keyid: kid,
+          issuer,
+          audience: clientId,
+          subject: crypto.createHash('sha256').update(grant.email).digest('hex').slice(0, 24),
+          expiresIn: 300,
+        }
+      );
+      return send(res, 200, { access_token: crypto.randomBytes(16).toString('base64url'), token_type: 'Bearer', id_token: idToken });
+    }
+
+    return send(res, 404, { error: 'not_found' });
+  });
+
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    server,
+    close: () => new Promise(resolve => server.close(() => resolve())),
+  };
+}
+
+if (require.main === module) {
+  startMockIdp({ port: parseInt(process.argv[2] || '4010', 10) }).then(({ issuer }) => {
+    console.log(`Mock OIDC provider listening at ${issuer} (client_id "pbxscribe", client_secret "secret")`);
+  });
+}
+
+module.exports = { startMockIdp };
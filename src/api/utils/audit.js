@@ -0,0 +1,75 @@
+// Audit trail: records who did what to which resource, from where
+const { createAuditEvent } = require('../repositories/auditEventRepository');
+
+// Bookkeeping columns that change on every write and say nothing about intent
+const IGNORED_FIELDS = ['updated_at', 'token_version'];
+
+/**
+ * Compute a field-level diff between two snapshots of a record
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Object|null} { field: { from, to } } for changed fields, or null if nothing changed
+ */
+function diffChanges(before, after) {
+    if (!before && !after) return null;
+
+    const changes = {};
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const key of keys) {
+        if (IGNORED_FIELDS.includes(key)) continue;
+
+        const from = before && before[key] !== undefined ? before[key] : null;
+        const to = after && after[key] !== undefined ? after[key] : null;
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[key] = { from, to };
+        }
+    }
+
+    return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Record an audit event for a request.
+ * The actor, credential, IP and request ID are taken from the request unless
+ * overridden (e.g. at login, before request.user is set). Under impersonation
+ * the admin is recorded as the actor and the impersonated user as
+ * `metadata.on_behalf_of`. Failures are logged rather than thrown so auditing
+ * never breaks the action being audited.
+ *
+ * @param {Pool} pool
+ * @param {FastifyRequest} request
+ * @param {{ action: string, targetType?: string, targetId?: string, before?: Object, after?: Object, metadata?: Object, actor?: Object, credentialId?: string, organizationId?: string }} event
+ *   action - dotted verb, e.g. 'user.update', 'api_key.revoke'
+ *   actor - user acting, defaults to request.actor (impersonating admin) or request.user
+ *   organizationId - defaults to the actor's organization
+ * @returns {Promise<void>}
+ */
+async function recordAuditEvent(pool, request, {
+    action, targetType, targetId, before, after, metadata, actor, credentialId, organizationId,
+}) {
+    const user = actor || request.actor || request.user;
+    const impersonating = !actor && request.actor;
+
+    try {
+        await createAuditEvent(pool, {
+            organizationId: organizationId || (user && user.organization_id),
+            actorUserId: user && user.id,
+            credentialId: credentialId || (request.credential && request.credential.id),
+            ip: request.ip,
+            requestId: request.id,
+            action,
+            targetType,
+            targetId,
+            changes: diffChanges(before, after),
+            metadata: impersonating ? { ...metadata, on_behalf_of: request.user.id } : metadata,
+        });
+    } catch (error) {
+        request.log.error({ err: error, action }, 'Failed to record audit event');
+    }
+}
+
+module.exports = {
+    diffChanges,
+    recordAuditEvent,
+};
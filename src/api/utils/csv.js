@@ -0,0 +1,122 @@
+// Minimal RFC 4180 CSV reading and writing
+
+class CsvError extends Error {
+    /**
+     * @param {string} message
+     * @param {number} line - 1-based line the problem was found on
+     */
+    constructor(message, line) {
+        super(message);
+        this.name = 'CsvError';
+        this.line = line;
+    }
+}
+
+/**
+ * Parse CSV text into records.
+ * Handles quoted fields (with "" escapes and embedded newlines), CRLF or LF
+ * line endings and a leading byte order mark. Blank lines are skipped.
+ * @param {string} text
+ * @returns {Array<{ line: number, fields: string[] }>} Records with the line each one starts on
+ * @throws {CsvError} On an unterminated quoted field or stray quote
+ */
+function parseCsv(text) {
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+    const records = [];
+
+    let fields = [];
+    let field = '';
+    let line = 1;
+    let recordLine = 1;
+    let quoted = false;
+    let fieldStarted = false;
+
+    const endRecord = () => {
+        fields.push(field);
+        if (fields.length > 1 || fields[0] !== '') {
+            records.push({line: recordLine, fields});
+        }
+        fields = [];
+        field = '';
+        fieldStarted = false;
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+                const next = input[i + 1];
+                if (next !== undefined && next !== ',' && next !== '\n' && next !== '\r') {
+                    throw new CsvError('Unexpected character after closing quote', line);
+                }
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"' && !fieldStarted) {
+            quoted = true;
+            fieldStarted = true;
+        } else if (char === '"') {
+            throw new CsvError('Quote inside an unquoted field', line);
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+            fieldStarted = false;
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+            fieldStarted = true;
+        }
+    }
+
+    if (quoted) {
+        throw new CsvError('Unterminated quoted field', recordLine);
+    }
+    endRecord();
+
+    return records;
+}
+
+/**
+ * Format one CSV field. Values that spreadsheets would evaluate as formulas
+ * (leading =, +, -, @, tab or carriage return) are prefixed with a single quote.
+ * @param {*} value - null/undefined become an empty field; Dates are written as ISO 8601
+ * @returns {string}
+ */
+function formatCsvField(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format a CSV record, terminated with CRLF
+ * @param {Array<*>} values
+ * @returns {string}
+ */
+function formatCsvRow(values) {
+    return `${values.map(formatCsvField).join(',')}\r\n`;
+}
+
+module.exports = {
+    CsvError,
+    parseCsv,
+    formatCsvField,
+    formatCsvRow,
+};
@@ -0,0 +1,29 @@
+// Opaque pagination cursors: base64url-encoded JSON that clients pass back unchanged
+
+/**
+ * Encode a cursor
+ * @param {Object} position - e.g. { sort, order, value, id }
+ * @returns {string}
+ */
+function encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor
+ * @returns {Object|null} The position, or null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+    try {
+        const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return position && typeof position === 'object' && !Array.isArray(position) ? position : null;
+    } catch {
+        return null;
+    }
+}
+
+module.exports = {
+    encodeCursor,
+    decodeCursor,
+};
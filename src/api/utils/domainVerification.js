@@ -0,0 +1,52 @@
+// Proof that an organization controls an email domain: a DNS TXT record holding
+// the claim's verification token, published under a fixed name in that domain
+const dns = require('dns');
+
+const RECORD_LABEL = '_pbxscribe-verification';
+const VALUE_PREFIX = 'pbxscribe-verification=';
+
+// Lookup errors that mean the record is simply not there (yet)
+const NOT_FOUND_CODES = [dns.NOTFOUND, dns.NODATA];
+
+const resolver = new dns.promises.Resolver({ timeout: 5000, tries: 2 });
+
+/**
+ * The TXT record an organization must publish to verify a domain
+ * @param {string} domain
+ * @param {string} token - The claim's verification token
+ * @returns {{ type: 'TXT', name: string, value: string }}
+ */
+function verificationRecord(domain, token) {
+    return {
+        type: 'TXT',
+        name: `${RECORD_LABEL}.${domain}`,
+        value: `${VALUE_PREFIX}${token}`,
+    };
+}
+
+/**
+ * Check whether a domain publishes the verification record for a token
+ * @param {string} domain
+ * @param {string} token
+ * @returns {Promise<boolean>}
+ * @throws {Error} If the lookup fails for any reason other than the record not existing
+ */
+async function hasVerificationRecord(domain, token) {
+    const { name, value } = verificationRecord(domain, token);
+
+    let records;
+    try {
+        records = await resolver.resolveTxt(name);
+    } catch (error) {
+        if (NOT_FOUND_CODES.includes(error.code)) return false;
+        throw error;
+    }
+
+    // Long TXT values arrive split into 255-byte strings
+    return records.some(chunks => chunks.join('') === value);
+}
+
+module.exports = {
+    verificationRecord,
+    hasVerificationRecord,
+};
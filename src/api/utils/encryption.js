@@ -0,0 +1,49 @@
+// Symmetric encryption for secrets stored in the database (AES-256-GCM)
+const crypto = require('crypto');
+
+/**
+ * Derive the AES-256 key for one kind of secret, so keys are never shared across purposes.
+ * Uses MFA_ENCRYPTION_KEY, falling back to a key derived from JWT_SECRET.
+ * @param {string} context - e.g. 'totp-secret', 'oidc-client-secret'
+ * @returns {Buffer}
+ */
+function getEncryptionKey(context) {
+    const material = process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    if (!material) throw new Error('MFA_ENCRYPTION_KEY environment variable is not set');
+
+    return Buffer.from(crypto.hkdfSync('sha256', material, '', `pbxscribe-${context}`, 32));
+}
+
+/**
+ * Encrypt a secret for storage
+ * @param {string} plaintext
+ * @param {string} context - Purpose of the secret; the same context must be used to decrypt
+ * @returns {string} iv.tag.ciphertext, each base64url
+ */
+function encryptSecret(plaintext, context) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(context), iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return [iv, tag, ciphertext].map(part => part.toString('base64url')).join('.');
+}
+
+/**
+ * Decrypt a stored secret
+ * @param {string} stored - Value produced by encryptSecret
+ * @param {string} context
+ * @returns {string}
+ */
+function decryptSecret(stored, context) {
+    const [iv, tag, ciphertext] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(context), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+    encryptSecret,
+    decryptSecret,
+};
@@ -1,38 +1,269 @@
 // JWT utilities
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
-const DEFAULT_EXPIRY = '24h';
+// Access tokens are short-lived; clients renew them with a refresh token
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.JWT_ACCESS_TOKEN_TTL_SECONDS || '900', 10);
+
+// MFA challenge tokens only bridge the two login steps
+const MFA_TOKEN_TTL_SECONDS = 300;
+
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '24', 10);
+
+/*
+ * Issuer and audiences
+ *
+ * Every token carries `iss` and an `aud` naming what it is for. Access tokens
+ * use JWT_AUDIENCE; the MFA challenge and email verification tokens signed with
+ * the same key use their own audiences, so a third party that checks `aud` (or
+ * rejects any `typ` other than 'access') cannot mistake them for access tokens.
+ */
+const ISSUER = process.env.JWT_ISSUER || process.env.API_BASE_URL || 'pbxscribe';
+const AUDIENCES = {
+    access: process.env.JWT_AUDIENCE || 'pbxscribe-api',
+    mfa: 'pbxscribe-mfa',
+    email_verification: 'pbxscribe-email-verification',
+};
+
+/*
+ * Signing keys
+ *
+ * With JWT_PRIVATE_KEY set (PEM, RSA or EC P-256), tokens are signed with
+ * RS256/ES256 and carry a `kid` header; the public keys are published at
+ * /.well-known/jwks.json. Otherwise tokens are signed with HS256 using JWT_SECRET.
+ *
+ * To rotate: move the current public key into JWT_PREVIOUS_PUBLIC_KEYS
+ * (JSON array of { kid, public_key }), then install the new private key.
+ * Keep the old key listed until tokens signed with it have expired.
+ * JWT_ACCEPT_HS256=true keeps accepting JWT_SECRET-signed tokens after
+ * switching from HS256, so the switch does not log everyone out.
+ */
+let keyring;
 
 /**
- * Generate a signed JWT for a user
- * @param {{ sub: string, email: string, name: string }} payload
- * @returns {string} Signed JWT
+ * Decode a PEM from an environment variable, allowing literal "\n" escapes
+ * @param {string} value
+ * @returns {string}
+ */
+function readPem(value) {
+    return value.replace(/\\n/g, '\n');
+}
+
+/**
+ * Pick the JWS algorithm for a key
+ * @param {crypto.KeyObject} key - Private or public key
+ * @returns {'RS256'|'ES256'}
+ * @throws {Error} For unsupported key types
+ */
+function algorithmFor(key) {
+    if (key.asymmetricKeyType === 'rsa') return 'RS256';
+    if (key.asymmetricKeyType === 'ec' && key.asymmetricKeyDetails.namedCurve === 'prime256v1') return 'ES256';
+    throw new Error(`Unsupported JWT signing key type: ${key.asymmetricKeyType}`);
+}
+
+/**
+ * RFC 7638 JWK thumbprint, used as the default key ID
+ * @param {crypto.KeyObject} publicKey
+ * @returns {string}
+ */
+function thumbprint(publicKey) {
+    const jwk = publicKey.export({format: 'jwk'});
+    const members = jwk.kty === 'RSA'
+        ? {e: jwk.e, kty: jwk.kty, n: jwk.n}
+        : {crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y};
+    return crypto.createHash('sha256').update(JSON.stringify(members)).digest('base64url');
+}
+
+/**
+ * Load signing and verification keys from the environment (once)
+ * @returns {{ signing: { kid: string, alg: string, privateKey: crypto.KeyObject }|null, verification: Array<{ kid: string, alg: string, publicKey: crypto.KeyObject }>, acceptHs256: boolean }}
+ * @throws {Error} If a configured key cannot be parsed
  */
-function generateToken({sub, email, name}) {
+function getKeyring() {
+    if (keyring) return keyring;
+
+    let signing = null;
+    const verification = [];
+
+    if (process.env.JWT_PRIVATE_KEY) {
+        const privateKey = crypto.createPrivateKey(readPem(process.env.JWT_PRIVATE_KEY));
+        const publicKey = crypto.createPublicKey(privateKey);
+        const kid = process.env.JWT_KEY_ID || thumbprint(publicKey);
+        signing = {kid, alg: algorithmFor(privateKey), privateKey};
+        verification.push({kid, alg: signing.alg, publicKey});
+    }
+
+    const previous = JSON.parse(process.env.JWT_PREVIOUS_PUBLIC_KEYS || '[]');
+    for (const entry of previous) {
+        const publicKey = crypto.createPublicKey(readPem(entry.public_key));
+        verification.push({kid: entry.kid || thumbprint(publicKey), alg: algorithmFor(publicKey), publicKey});
+    }
+
+    keyring = {
+        signing,
+        verification,
+        acceptHs256: !signing || process.env.JWT_ACCEPT_HS256 === 'true',
+    };
+    return keyring;
+}
+
+function getSecret() {
     const secret = process.env.JWT_SECRET;
     if (!secret) throw new Error('JWT_SECRET environment variable is not set');
+    return secret;
+}
 
-    return jwt.sign(
-        {sub, email, name},
-        secret,
-        {expiresIn: DEFAULT_EXPIRY}
+/**
+ * Sign a token of the given type with the current signing key
+ * @param {'access'|'mfa'|'email_verification'} typ
+ * @param {Object} payload
+ * @param {jwt.SignOptions} [options]
+ * @returns {string} Signed JWT
+ */
+function sign(typ, payload, options = {}) {
+    const claims = {...payload, typ};
+    const signOptions = {...options, issuer: ISSUER, audience: AUDIENCES[typ]};
+
+    const {signing} = getKeyring();
+    if (!signing) {
+        return jwt.sign(claims, getSecret(), {...signOptions, algorithm: 'HS256'});
+    }
+    return jwt.sign(claims, signing.privateKey, {...signOptions, algorithm: signing.alg, keyid: signing.kid});
+}
+
+/**
+ * Verify a token of the given type against the key named by its `kid` header
+ * (or JWT_SECRET for HS256 tokens), checking its issuer, audience and `typ`
+ * @param {string} token
+ * @param {'access'|'mfa'|'email_verification'} typ
+ * @returns {Object} Decoded payload
+ * @throws {Error} If the token is invalid, expired, signed with an unknown key or of another type
+ */
+function verify(token, typ) {
+    const decoded = jwt.decode(token, {complete: true});
+    if (!decoded) throw new jwt.JsonWebTokenError('jwt malformed');
+
+    const {verification, acceptHs256} = getKeyring();
+    const {kid, alg} = decoded.header;
+    const options = {issuer: ISSUER, audience: AUDIENCES[typ]};
+
+    let payload;
+    if (kid) {
+        const key = verification.find(k => k.kid === kid);
+        if (!key) throw new jwt.JsonWebTokenError('Unknown signing key');
+        payload = jwt.verify(token, key.publicKey, {...options, algorithms: [key.alg]});
+    } else if (alg === 'HS256' && acceptHs256) {
+        payload = jwt.verify(token, getSecret(), {...options, algorithms: ['HS256']});
+    } else {
+        throw new jwt.JsonWebTokenError('Unknown signing key');
+    }
+
+    if (payload.typ !== typ) {
+        throw new jwt.JsonWebTokenError(`Not an ${typ} token`);
+    }
+    return payload;
+}
+
+/**
+ * Public verification keys as a JSON Web Key Set
+ * @returns {{ keys: Object[] }}
+ */
+function getJwks() {
+    return {
+        keys: getKeyring().verification.map(({kid, alg, publicKey}) => ({
+            ...publicKey.export({format: 'jwk'}),
+            kid,
+            alg,
+            use: 'sig',
+        })),
+    };
+}
+
+/**
+ * Generate a signed access JWT for a user
+ * @param {{ sub: string, email: string, name: string, ver?: number, sid?: string, act?: { sub: string, email: string, ver: number } }} payload
+ *   ver - the user's token_version at issue time; bumping it revokes the token
+ *   sid - session the token belongs to; revoking the session revokes the token
+ *   act - the admin acting as `sub` (impersonation, RFC 8693 actor claim)
+ * @param {{ expiresIn?: number }} [options] - lifetime in seconds, defaults to ACCESS_TOKEN_TTL_SECONDS
+ * @returns {string} Signed JWT
+ */
+function generateToken({sub, email, name, ver = 0, sid, act}, {expiresIn = ACCESS_TOKEN_TTL_SECONDS} = {}) {
+    return sign(
+        'access',
+        {sub, email, name, ver, sid: sid === undefined ? undefined : String(sid), act},
+        {expiresIn, jwtid: crypto.randomUUID()}
     );
 }
 
 /**
- * Verify and decode a JWT
+ * Verify and decode an access JWT
  * @param {string} token
- * @returns {{ sub: string, email: string, name: string, iat: number, exp: number }}
- * @throws {Error} If token is invalid or expired
+ * @returns {{ sub: string, email: string, name: string, ver: number, sid?: string, act?: Object, typ: 'access', jti: string, iat: number, exp: number }}
+ * @throws {Error} If token is invalid, expired or not an access token
  */
 function verifyToken(token) {
-    const secret = process.env.JWT_SECRET;
-    if (!secret) throw new Error('JWT_SECRET environment variable is not set');
+    return verify(token, 'access');
+}
 
-    return jwt.verify(token, secret);
+/**
+ * Generate a short-lived MFA challenge token, returned by /auth/login when a
+ * second factor is required. It cannot be used as a bearer token.
+ * @param {{ sub: string }} payload
+ * @returns {string} Signed JWT
+ */
+function generateMfaToken({sub}) {
+    return sign(
+        'mfa',
+        {sub},
+        {expiresIn: MFA_TOKEN_TTL_SECONDS, jwtid: crypto.randomUUID()}
+    );
+}
+
+/**
+ * Verify and decode an MFA challenge token
+ * @param {string} token
+ * @returns {{ sub: string, typ: 'mfa', iat: number, exp: number }}
+ * @throws {Error} If token is invalid, expired or not an MFA token
+ */
+function verifyMfaToken(token) {
+    return verify(token, 'mfa');
+}
+
+/**
+ * Generate a signed email verification token for the link sent at registration.
+ * The email is embedded so the link stops working if the address changes.
+ * @param {{ sub: string, email: string }} payload
+ * @returns {string} Signed JWT
+ */
+function generateEmailVerificationToken({sub, email}) {
+    return sign(
+        'email_verification',
+        {sub, email},
+        {expiresIn: `${EMAIL_VERIFICATION_TTL_HOURS}h`}
+    );
+}
+
+/**
+ * Verify and decode an email verification token
+ * @param {string} token
+ * @returns {{ sub: string, email: string, typ: 'email_verification', iat: number, exp: number }}
+ * @throws {Error} If token is invalid, expired or not a verification token
+ */
+function verifyEmailVerificationToken(token) {
+    return verify(token, 'email_verification');
 }
 
 module.exports = {
+    ACCESS_TOKEN_TTL_SECONDS,
+    ISSUER,
+    AUDIENCES,
+    EMAIL_VERIFICATION_TTL_HOURS,
     generateToken,
     verifyToken,
+    generateMfaToken,
+    verifyMfaToken,
+    generateEmailVerificationToken,
+    verifyEmailVerificationToken,
+    getJwks,
 };
@@ -0,0 +1,114 @@
+// Login throttling: progressive delays and temporary lockouts, persisted in
+// Postgres so every Lambda instance sees the same counters.
+//
+// Attempts are counted before the credentials are checked and given back on
+// success, so parallel guesses cannot slip past the budget between a check
+// and the write that would have locked the scope.
+const {
+  findActiveLock,
+  reserveAttempt,
+  releaseAttempt,
+  clearFailures,
+} = require('../repositories/lockoutRepository');
+
+/**
+ * Per-scope policy. After `freeAttempts` failures each further attempt locks the
+ * scope for baseDelaySeconds * 2^(extra failures - 1), capped at maxLockSeconds.
+ * Counters reset once no failure has been seen for resetWindowSeconds.
+ */
+const POLICIES = {
+    email: {
+        freeAttempts: parseInt(process.env.LOGIN_EMAIL_FREE_ATTEMPTS || '5', 10),
+        baseDelaySeconds: 30,
+        maxLockSeconds: 15 * 60,
+        resetWindowSeconds: 60 * 60,
+    },
+    ip: {
+        freeAttempts: parseInt(process.env.LOGIN_IP_FREE_ATTEMPTS || '20', 10),
+        baseDelaySeconds: 5,
+        maxLockSeconds: 15 * 60,
+        resetWindowSeconds: 60 * 60,
+    },
+};
+
+/**
+ * Build the scope keys for a login attempt
+ * @param {{ email?: string, ip?: string }} attempt
+ * @returns {{ scope: string, identifier: string }[]}
+ */
+function scopeKeys({ email, ip }) {
+    const keys = [];
+    if (email) keys.push({ scope: 'email', identifier: email.trim().toLowerCase() });
+    if (ip) keys.push({ scope: 'ip', identifier: ip });
+    return keys;
+}
+
+/**
+ * Seconds until the attempt may proceed
+ * @param {Pool} pool
+ * @param {{ email?: string, ip?: string }} attempt
+ * @returns {Promise<number>} 0 if not locked
+ */
+async function getRetryAfterSeconds(pool, attempt) {
+    const lockedUntil = await findActiveLock(pool, scopeKeys(attempt));
+    if (!lockedUntil) return 0;
+    return Math.max(1, Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 1000));
+}
+
+/**
+ * Count an attempt against every scope before its credentials are checked.
+ * When any scope is locked nothing is counted and the attempt must be refused.
+ * @param {Pool} pool
+ * @param {{ email?: string, ip?: string }} attempt
+ * @returns {Promise<{ retryAfter: number, reservations: Object[] }>} retryAfter > 0 if locked
+ */
+async function reserveLoginAttempt(pool, attempt) {
+    const reservations = [];
+
+    for (const { scope, identifier } of scopeKeys(attempt)) {
+        const row = await reserveAttempt(pool, scope, identifier, POLICIES[scope]);
+        if (!row) {
+            // The attempt will not be checked, so it must not count against the other scopes
+            await Promise.all(reservations.map(reservation => releaseAttempt(pool, reservation)));
+            return { retryAfter: Math.max(1, await getRetryAfterSeconds(pool, attempt)), reservations: [] };
+        }
+        reservations.push({ scope, identifier, ...row });
+    }
+    return { retryAfter: 0, reservations };
+}
+
+/**
+ * The attempt failed: it stays counted, including any lock its reservation set
+ * @param {{ reservations: Object[] }} reserved - From reserveLoginAttempt
+ * @returns {number} Seconds the caller must now wait (0 if not locked)
+ */
+function registerFailedAttempt({ reservations }) {
+    const lockedUntil = Math.max(0, ...reservations.map(r => (r.locked_until ? new Date(r.locked_until).getTime() : 0)));
+    if (lockedUntil === 0) return 0;
+    return Math.max(1, Math.ceil((lockedUntil - Date.now()) / 1000));
+}
+
+/**
+ * Clear the per-email counter after a successful login and give back the
+ * attempt counted against the IP. The IP counter is otherwise left alone so
+ * one valid account cannot reset it.
+ * @param {Pool} pool
+ * @param {{ reservations: Object[] }} reserved - From reserveLoginAttempt
+ * @returns {Promise<void>}
+ */
+async function registerSuccessfulAttempt(pool, { reservations }) {
+    for (const reservation of reservations) {
+        if (reservation.scope === 'email') {
+            await clearFailures(pool, 'email', reservation.identifier);
+        } else {
+            await releaseAttempt(pool, reservation);
+        }
+    }
+}
+
+module.exports = {
+    POLICIES,
+    reserveLoginAttempt,
+    registerFailedAttempt,
+    registerSuccessfulAttempt,
+};
@@ -0,0 +1,338 @@
+// OpenID Connect relying-party utilities (authorization code flow with PKCE)
+//
+// Issuers are configured by organization admins, so every request to an
+// identity provider is treated as untrusted: https only, no redirects, and
+// never to private, loopback or link-local addresses (checked when the
+// connection is made, so DNS rebinding cannot slip past it).
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const jwt = require('jsonwebtoken');
+
+// Discovery documents and key sets are refetched after this long
+const METADATA_CACHE_TTL_MS = 10 * 60 * 1000;
+
+// Upper bound for any single call to an identity provider
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// Identity provider responses larger than this are refused
+const MAX_RESPONSE_BYTES = 1024 * 1024;
+
+// Development only (e.g. tests/oidc/mock-idp.js): allow http:// and private addresses.
+// Ignored in production.
+const ALLOW_INSECURE_ISSUERS = process.env.OIDC_ALLOW_INSECURE_ISSUERS === 'true'
+    && !['production', 'prod'].includes(process.env.NODE_ENV);
+
+// Addresses an identity provider may not resolve to: this network, private,
+// shared (CGNAT), loopback, link-local (incl. cloud metadata), benchmarking,
+// multicast and reserved ranges, and their IPv6 counterparts. IPv4-mapped
+// IPv6 addresses are checked against the IPv4 ranges by BlockList itself.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+    ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+]) {
+    BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+class OidcError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} code - Machine-readable failure code, e.g. 'INVALID_ID_TOKEN'
+     */
+    constructor(message, code) {
+        super(message);
+        this.name = 'OidcError';
+        this.code = code;
+    }
+}
+
+/**
+ * Whether an IP address is one an identity provider may not use
+ * @param {string} address
+ * @returns {boolean}
+ */
+function isBlockedAddress(address) {
+    return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup replacement for outgoing connections that refuses blocked addresses
+ * @param {string} hostname
+ * @param {Object} options - dns.lookup options
+ * @param {Function} callback
+ */
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, {...options, all: true}, (error, addresses) => {
+        if (error) return callback(error);
+
+        if (addresses.some(({address}) => isBlockedAddress(address))) {
+            return callback(new OidcError(`Identity provider host ${hostname} resolves to a non-public address`, 'IDP_ADDRESS_NOT_ALLOWED'));
+        }
+        if (options.all) return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * Parse an identity provider URL and check it may be requested
+ * @param {string} url
+ * @returns {URL}
+ * @throws {OidcError} IDP_URL_NOT_ALLOWED for non-https URLs or literal non-public addresses
+ */
+function parseProviderUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        throw new OidcError(`Invalid identity provider URL ${url}`, 'IDP_URL_NOT_ALLOWED');
+    }
+
+    const allowed = ALLOW_INSECURE_ISSUERS ? ['https:', 'http:'] : ['https:'];
+    if (!allowed.includes(parsed.protocol)) {
+        throw new OidcError('Identity provider URLs must use https://', 'IDP_URL_NOT_ALLOWED');
+    }
+
+    // Connections to literal addresses skip the lookup, so check them here
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (!ALLOW_INSECURE_ISSUERS && net.isIP(host) && isBlockedAddress(host)) {
+        throw new OidcError('Identity provider URLs must not point at a non-public address', 'IDP_URL_NOT_ALLOWED');
+    }
+    return parsed;
+}
+
+/**
+ * Make an HTTP request to an identity provider. Redirects are not followed.
+ * @param {URL} url
+ * @param {{ method?: string, headers?: Object, body?: URLSearchParams }} options
+ * @returns {Promise<{ status: number, text: string }>}
+ */
+function request(url, {method = 'GET', headers = {}, body} = {}) {
+    const payload = body === undefined ? undefined : String(body);
+    const requestHeaders = payload === undefined ? headers : {...headers, 'Content-Length': Buffer.byteLength(payload)};
+
+    return new Promise((resolve, reject) => {
+        const req = (url.protocol === 'https:' ? https : http).request(url, {
+            method,
+            headers: requestHeaders,
+            lookup: ALLOW_INSECURE_ISSUERS ? undefined : publicLookup,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        }, (res) => {
+            const chunks = [];
+            let size = 0;
+            res.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > MAX_RESPONSE_BYTES) {
+                    req.destroy(new OidcError(`Identity provider response from ${url} is too large`, 'IDP_INVALID_RESPONSE'));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            res.on('end', () => resolve({status: res.statusCode, text: Buffer.concat(chunks).toString('utf8')}));
+            res.on('error', reject);
+        });
+
+        req.on('error', reject);
+        req.end(payload);
+    });
+}
+
+/**
+ * Fetch JSON from an identity provider
+ * @param {string} url
+ * @param {{ method?: string, headers?: Object, body?: URLSearchParams }} [options]
+ * @returns {Promise<Object>}
+ * @throws {OidcError} On disallowed URLs, network errors, non-2xx responses or invalid JSON
+ */
+async function fetchJson(url, options = {}) {
+    const target = parseProviderUrl(url);
+
+    let response;
+    try {
+        response = await request(target, options);
+    } catch (error) {
+        if (error instanceof OidcError) throw error;
+        throw new OidcError(`Identity provider request to ${url} failed: ${error.message}`, 'IDP_UNREACHABLE');
+    }
+
+    let body;
+    try {
+        body = JSON.parse(response.text);
+    } catch {
+        throw new OidcError(`Identity provider returned invalid JSON from ${url}`, 'IDP_INVALID_RESPONSE');
+    }
+
+    if (response.status < 200 || response.status >= 300) {
+        const detail = body && (body.error_description || body.error);
+        throw new OidcError(
+            `Identity provider returned ${response.status} from ${url}${detail ? `: ${detail}` : ''}`,
+            'IDP_ERROR'
+        );
+    }
+    return body;
+}
+
+/**
+ * Load (and cache) an issuer's discovery document
+ * @param {string} issuer - Issuer URL, e.g. 'https://login.example.com'
+ * @returns {Promise<{ issuer: string, authorization_endpoint: string, token_endpoint: string, jwks_uri: string }>}
+ * @throws {OidcError} If the document cannot be loaded or does not describe the issuer
+ */
+async function discover(issuer) {
+    const cached = discoveryCache.get(issuer);
+    if (cached && cached.expiresAt > Date.now()) return cached.metadata;
+
+    const url = `${issuer.replace(/\/+$/, '')}/.well-known/openid-configuration`;
+    const metadata = await fetchJson(url);
+
+    if (metadata.issuer !== issuer) {
+        throw new OidcError(`Discovery document issuer ${metadata.issuer} does not match ${issuer}`, 'IDP_INVALID_RESPONSE');
+    }
+    for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+        if (!metadata[field]) {
+            throw new OidcError(`Discovery document is missing ${field}`, 'IDP_INVALID_RESPONSE');
+        }
+    }
+
+    discoveryCache.set(issuer, {metadata, expiresAt: Date.now() + METADATA_CACHE_TTL_MS});
+    return metadata;
+}
+
+/**
+ * Find the signing key for a kid in the provider's JWKS.
+ * An unknown kid forces a refetch so key rotation at the IdP is picked up.
+ * @param {string} jwksUri
+ * @param {string} [kid]
+ * @returns {Promise<crypto.KeyObject>}
+ * @throws {OidcError} If no matching key exists
+ */
+async function getSigningKey(jwksUri, kid) {
+    const pick = keys => keys.find(k => (kid ? k.kid === kid : true) && (!k.use || k.use === 'sig'));
+
+    const cached = jwksCache.get(jwksUri);
+    let jwk = cached && cached.expiresAt > Date.now() ? pick(cached.keys) : undefined;
+
+    if (!jwk) {
+        const {keys = []} = await fetchJson(jwksUri);
+        jwksCache.set(jwksUri, {keys, expiresAt: Date.now() + METADATA_CACHE_TTL_MS});
+        jwk = pick(keys);
+    }
+
+    if (!jwk) {
+        throw new OidcError(`No signing key found for kid ${kid}`, 'INVALID_ID_TOKEN');
+    }
+    return crypto.createPublicKey({key: jwk, format: 'jwk'});
+}
+
+/**
+ * Generate a PKCE code verifier and its S256 challenge
+ * @returns {{ codeVerifier: string, codeChallenge: string }}
+ */
+function generatePkce() {
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+    return {codeVerifier, codeChallenge};
+}
+
+/**
+ * Build the URL the browser is sent to for authentication
+ * @param {Object} metadata - Discovery document
+ * @param {{ clientId: string, redirectUri: string, scopes: string, state: string, nonce: string, codeChallenge: string, loginHint?: string }} params
+ * @returns {string}
+ */
+function buildAuthorizationUrl(metadata, {clientId, redirectUri, scopes, state, nonce, codeChallenge, loginHint}) {
+    const url = new URL(metadata.authorization_endpoint);
+    url.searchParams.set('response_type', 'code');
+    url.searchParams.set('client_id', clientId);
+    url.searchParams.set('redirect_uri', redirectUri);
+    url.searchParams.set('scope', scopes);
+    url.searchParams.set('state', state);
+    url.searchParams.set('nonce', nonce);
+    url.searchParams.set('code_challenge', codeChallenge);
+    url.searchParams.set('code_challenge_method', 'S256');
+    if (loginHint) url.searchParams.set('login_hint', loginHint);
+    return url.toString();
+}
+
+/**
+ * Exchange an authorization code for tokens at the token endpoint.
+ * Confidential clients authenticate with client_secret_basic; public clients rely on PKCE alone.
+ * @param {Object} metadata - Discovery document
+ * @param {{ code: string, codeVerifier: string, redirectUri: string, clientId: string, clientSecret?: string|null }} params
+ * @returns {Promise<{ id_token: string, access_token?: string }>}
+ * @throws {OidcError}
+ */
+async function exchangeCode(metadata, {code, codeVerifier, redirectUri, clientId, clientSecret}) {
+    const body = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: redirectUri,
+        code_verifier: codeVerifier,
+    });
+    const headers = {'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json'};
+
+    if (clientSecret) {
+        const credentials = `${encodeURIComponent(clientId)}:${encodeURIComponent(clientSecret)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+        body.set('client_id', clientId);
+    }
+
+    const tokens = await fetchJson(metadata.token_endpoint, {method: 'POST', headers, body});
+    if (!tokens.id_token) {
+        throw new OidcError('Token response did not include an id_token', 'IDP_INVALID_RESPONSE');
+    }
+    return tokens;
+}
+
+/**
+ * Verify an ID token's signature and claims
+ * @param {Object} metadata - Discovery document
+ * @param {string} idToken
+ * @param {{ clientId: string, nonce: string }} expected
+ * @returns {Promise<{ sub: string, email?: string, email_verified?: boolean, name?: string }>} Verified claims
+ * @throws {OidcError} If the token is invalid
+ */
+async function verifyIdToken(metadata, idToken, {clientId, nonce}) {
+    const decoded = jwt.decode(idToken, {complete: true});
+    if (!decoded) {
+        throw new OidcError('ID token is not a valid JWT', 'INVALID_ID_TOKEN');
+    }
+
+    const key = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+
+    let claims;
+    try {
+        claims = jwt.verify(idToken, key, {
+            algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'],
+            issuer: metadata.issuer,
+            audience: clientId,
+        });
+    } catch (error) {
+        throw new OidcError(`ID token verification failed: ${error.message}`, 'INVALID_ID_TOKEN');
+    }
+
+    if (claims.nonce !== nonce) {
+        throw new OidcError('ID token nonce does not match', 'INVALID_ID_TOKEN');
+    }
+    return claims;
+}
+
+module.exports = {
+    OidcError,
+    discover,
+    generatePkce,
+    buildAuthorizationUrl,
+    exchangeCode,
+    verifyIdToken,
+};
@@ -1,24 +1,183 @@
-// Password hashing utilities using bcrypt
+// Password hashing and password policy
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const bcrypt = require('bcryptjs');
 
 const COST_FACTOR = 12;
 
-const RULES = [
-  { test: (p) => p.length >= 8,            message: 'at least 8 characters' },
-  { test: (p) => /[A-Z]/.test(p),          message: 'at least one uppercase letter' },
-  { test: (p) => /[a-z]/.test(p),          message: 'at least one lowercase letter' },
-  { test: (p) => /[0-9]/.test(p),          message: 'at least one number' },
-  { test: (p) => /[^A-Za-z0-9]/.test(p),  message: 'at least one special character' },
-];
+// Character classes a policy can require, with the failure reported when one is missing
+const CHARACTER_CLASSES = {
+    uppercase: { test: p => /[A-Z]/.test(p), code: 'PASSWORD_MISSING_UPPERCASE', message: 'at least one uppercase letter' },
+    lowercase: { test: p => /[a-z]/.test(p), code: 'PASSWORD_MISSING_LOWERCASE', message: 'at least one lowercase letter' },
+    number: { test: p => /[0-9]/.test(p), code: 'PASSWORD_MISSING_NUMBER', message: 'at least one number' },
+    special: { test: p => /[^A-Za-z0-9]/.test(p), code: 'PASSWORD_MISSING_SPECIAL', message: 'at least one special character' },
+};
+
+// Names and emails shorter than this are too common as substrings to reject on
+const MIN_PERSONAL_TOKEN_LENGTH = 3;
+
+/**
+ * Deployment-wide password policy. Organizations can tighten it (see mergePasswordPolicy)
+ * but never relax it.
+ *   minLength - minimum number of characters
+ *   requiredClasses - keys of CHARACTER_CLASSES every password must contain
+ *   disallowPersonalInfo - reject passwords containing the user's email or name
+ *   checkBreached - reject passwords found in the breached-password corpus
+ */
+const DEFAULT_POLICY = {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || '8', 10),
+    requiredClasses: (process.env.PASSWORD_REQUIRED_CLASSES || 'uppercase,lowercase,number,special')
+        .split(',')
+        .map(c => c.trim())
+        .filter(c => CHARACTER_CLASSES[c]),
+    disallowPersonalInfo: process.env.PASSWORD_DISALLOW_PERSONAL_INFO !== 'false',
+    checkBreached: process.env.PASSWORD_CHECK_BREACHED !== 'false',
+};
+
+// Offline corpus in the Have I Been Pwned range format: <dir>/<first 5 hex of SHA-1>.txt
+// holding SUFFIX:COUNT lines. See data/breached-passwords/README.md.
+const BREACH_CORPUS_DIR = process.env.PASSWORD_BREACH_CORPUS_DIR
+    || path.join(__dirname, '..', 'data', 'breached-passwords');
+const BREACH_MIN_COUNT = parseInt(process.env.PASSWORD_BREACH_MIN_COUNT || '1', 10);
+
+/**
+ * Combine the deployment policy with an organization's overrides, keeping the
+ * stricter value of each setting
+ * @param {{ min_length?: number, required_classes?: string[], disallow_personal_info?: boolean, check_breached?: boolean }|null} [overrides]
+ *   From organizationRepository.getPasswordPolicy; omitted or null for the deployment policy alone
+ * @returns {{ minLength: number, requiredClasses: string[], disallowPersonalInfo: boolean, checkBreached: boolean }}
+ */
+function mergePasswordPolicy(overrides) {
+    overrides = overrides || {};
+    return {
+        minLength: Math.max(DEFAULT_POLICY.minLength, overrides.min_length || 0),
+        requiredClasses: Object.keys(CHARACTER_CLASSES).filter(c =>
+            DEFAULT_POLICY.requiredClasses.includes(c) || (overrides.required_classes || []).includes(c)
+        ),
+        disallowPersonalInfo: DEFAULT_POLICY.disallowPersonalInfo || overrides.disallow_personal_info === true,
+        checkBreached: DEFAULT_POLICY.checkBreached || overrides.check_breached === true,
+    };
+}
+
+/**
+ * Look a password up in the offline breached-password corpus
+ * @param {string} plaintext
+ * @returns {Promise<number>} Times the password was seen in breaches (0 if not found or no corpus)
+ */
+async function breachCount(plaintext) {
+    const hash = crypto.createHash('sha1').update(plaintext).digest('hex').toUpperCase();
+    const prefix = hash.slice(0, 5);
+    const suffix = hash.slice(5);
+
+    let range;
+    try {
+        range = await fs.promises.readFile(path.join(BREACH_CORPUS_DIR, `${prefix}.txt`), 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+    }
+
+    for (const line of range.split('\n')) {
+        const [lineSuffix, count] = line.trim().split(':');
+        if (lineSuffix && lineSuffix.toUpperCase() === suffix) {
+            return parseInt(count, 10) || 1;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Parts of a user's email and name a password should not contain
+ * @param {{ email?: string, name?: string }} user
+ * @returns {{ email: string[], name: string[] }} Lower-cased tokens
+ */
+function personalTokens({ email, name }) {
+    const long = tokens => tokens.filter(t => t.length >= MIN_PERSONAL_TOKEN_LENGTH);
+    const localPart = email ? email.toLowerCase().split('@')[0] : '';
+    return {
+        email: long([localPart, ...localPart.split(/[^a-z0-9]+/)]),
+        name: long(name ? name.toLowerCase().split(/[^\p{L}\p{N}]+/u) : []),
+    };
+}
 
 /**
- * Check password strength against policy rules.
+ * Check a password against a policy.
  * @param {string} plaintext
- * @returns {{ valid: boolean, failures: string[] }}
+ * @param {{ policy?: Object, email?: string, name?: string }} [context]
+ *   policy - from mergePasswordPolicy; defaults to the deployment policy
+ *   email, name - the account's details, for the personal-information rule
+ * @returns {Promise<{ valid: boolean, failures: Array<{ code: string, message: string }> }>}
+ */
+async function checkPasswordStrength(plaintext, { policy = mergePasswordPolicy(), email, name } = {}) {
+    const failures = [];
+
+    if (plaintext.length < policy.minLength) {
+        failures.push({ code: 'PASSWORD_TOO_SHORT', message: `at least ${policy.minLength} characters` });
+    }
+    for (const key of policy.requiredClasses) {
+        const { test, code, message } = CHARACTER_CLASSES[key];
+        if (!test(plaintext)) failures.push({ code, message });
+    }
+
+    if (policy.disallowPersonalInfo) {
+        const lower = plaintext.toLowerCase();
+        const tokens = personalTokens({ email, name });
+        if (tokens.email.some(t => lower.includes(t))) {
+            failures.push({ code: 'PASSWORD_CONTAINS_EMAIL', message: 'must not contain your email address' });
+        }
+        if (tokens.name.some(t => lower.includes(t))) {
+            failures.push({ code: 'PASSWORD_CONTAINS_NAME', message: 'must not contain your name' });
+        }
+    }
+
+    // Only worth the file read once the cheap rules pass
+    if (policy.checkBreached && failures.length === 0 && await breachCount(plaintext) >= BREACH_MIN_COUNT) {
+        failures.push({ code: 'PASSWORD_BREACHED', message: 'must not be a password that has appeared in a data breach' });
+    }
+
+    return { valid: failures.length === 0, failures };
+}
+
+// Response schema for passwordPolicyError bodies
+const passwordPolicyErrorSchema = {
+    type: 'object',
+    properties: {
+        error: {
+            type: 'object',
+            properties: {
+                message: { type: 'string' },
+                statusCode: { type: 'integer' },
+                code: { type: 'string' },
+                failures: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            code: { type: 'string', description: 'e.g. PASSWORD_TOO_SHORT, PASSWORD_BREACHED' },
+                            message: { type: 'string' },
+                        },
+                    },
+                },
+            },
+        },
+    },
+};
+
+/**
+ * Build the 422 error body for a password that fails the policy
+ * @param {Array<{ code: string, message: string }>} failures - from checkPasswordStrength
+ * @returns {{ error: { message: string, statusCode: number, code: string, failures: Array<{ code: string, message: string }> } }}
  */
-function checkPasswordStrength(plaintext) {
-  const failures = RULES.filter(r => !r.test(plaintext)).map(r => r.message);
-  return { valid: failures.length === 0, failures };
+function passwordPolicyError(failures) {
+    return {
+        error: {
+            message: `Password too weak: ${failures.map(f => f.message).join(', ')}`,
+            statusCode: 422,
+            code: 'PASSWORD_TOO_WEAK',
+            failures,
+        },
+    };
 }
 
 /**
@@ -41,7 +200,11 @@ async function verifyPassword(plaintext, hash) {
 }
 
 module.exports = {
+    CHARACTER_CLASSES,
+    passwordPolicyErrorSchema,
     hashPassword,
     verifyPassword,
     checkPasswordStrength,
+    passwordPolicyError,
+    mergePasswordPolicy,
 };
@@ -0,0 +1,64 @@
+// Role, permission and API key scope definitions
+
+const ROLES = ['admin', 'manager', 'member'];
+
+/**
+ * Permissions every role holds over its own account and keys.
+ * `recordings:*` are granted ahead of the recording routes so integration keys
+ * can already be scoped to them.
+ */
+const SELF_SERVICE_PERMISSIONS = [
+    'profile:read',
+    'account:manage',
+    'api_keys:read',
+    'api_keys:write',
+    'recordings:read',
+    'recordings:write',
+];
+
+/**
+ * Permissions granted to each role.
+ * Managers can see the users of their organization but not change them; every
+ * role may still read and update its own record through `authorize(..., { allowSelf: true })`.
+ */
+const ROLE_PERMISSIONS = {
+    admin: [...SELF_SERVICE_PERMISSIONS, 'users:read', 'users:write', 'users:delete', 'lockouts:manage', 'audit:read', 'sso:manage', 'users:impersonate', 'password_policy:manage'],
+    manager: [...SELF_SERVICE_PERMISSIONS, 'users:read'],
+    member: [...SELF_SERVICE_PERMISSIONS],
+};
+
+/**
+ * Scopes an API key may be limited to — the same strings as permissions.
+ * A scoped key can only use permissions that are both in its scopes and
+ * granted to its owner's role.
+ */
+const API_KEY_SCOPES = [...new Set(Object.values(ROLE_PERMISSIONS).flat())];
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - 'admin' | 'manager' | 'member'
+ * @param {string} permission - e.g. 'users:write'
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+    const permissions = ROLE_PERMISSIONS[role];
+    return Boolean(permissions && permissions.includes(permission));
+}
+
+/**
+ * Check whether an API key's scopes allow a permission
+ * @param {string[]|null} scopes - null for unrestricted keys
+ * @param {string} permission
+ * @returns {boolean}
+ */
+function scopeAllows(scopes, permission) {
+    return !Array.isArray(scopes) || scopes.includes(permission);
+}
+
+module.exports = {
+    ROLES,
+    ROLE_PERMISSIONS,
+    API_KEY_SCOPES,
+    hasPermission,
+    scopeAllows,
+};
@@ -0,0 +1,27 @@
+// Opaque token utilities (refresh tokens and other single-purpose secrets)
+const crypto = require('crypto');
+
+/**
+ * Generate a high-entropy opaque token: prefix + 32 random bytes as base64url
+ * Returns the plaintext token — store only the hash.
+ * @param {string} [prefix]
+ * @returns {string}
+ */
+function generateSecureToken(prefix = '') {
+    const random = crypto.randomBytes(32).toString('base64url');
+    return `${prefix}${random}`;
+}
+
+/**
+ * Hash an opaque token using SHA-256 for storage / lookup.
+ * @param {string} token - Plaintext token
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashSecureToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = {
+    generateSecureToken,
+    hashSecureToken,
+};
@@ -0,0 +1,193 @@
+// TOTP (RFC 6238) utilities for multi-factor authentication
+const crypto = require('crypto');
+const { encryptSecret, decryptSecret } = require('./encryption');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ISSUER = process.env.MFA_ISSUER || 'PBXScribe';
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+        value &= (1 << bits) - 1;
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input
+ * @returns {Buffer}
+ * @throws {Error} On invalid characters
+ */
+function base32Decode(input) {
+    const clean = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+        value &= (1 << bits) - 1;
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random TOTP secret (160 bits, base32)
+ * @returns {string}
+ */
+function generateTotpSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Compute the HOTP value for a counter (RFC 4226)
+ * @param {string} secret - base32 secret
+ * @param {number} counter
+ * @returns {string} Zero-padded code
+ */
+function hotp(secret, counter) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Generate the TOTP code for a point in time
+ * @param {string} secret - base32 secret
+ * @param {number} [now] - Epoch milliseconds
+ * @returns {string}
+ */
+function generateTotp(secret, now = Date.now()) {
+    return hotp(secret, Math.floor(now / 1000 / STEP_SECONDS));
+}
+
+/**
+ * Verify a TOTP code, allowing for clock drift of `window` steps either side.
+ * Returns the matched time step so callers can reject replays of the same code.
+ * @param {string} secret - base32 secret
+ * @param {string} code - User-supplied code
+ * @param {{ window?: number, now?: number }} [options]
+ * @returns {number|null} Matched time step, or null if the code is invalid
+ */
+function verifyTotp(secret, code, { window = 1, now = Date.now() } = {}) {
+    const normalized = String(code).replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) return null;
+
+    const currentStep = Math.floor(now / 1000 / STEP_SECONDS);
+    for (let offset = -window; offset <= window; offset++) {
+        const step = currentStep + offset;
+        const expected = hotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * Build an otpauth:// URI for authenticator apps
+ * @param {{ secret: string, accountName: string }} params
+ * @returns {string}
+ */
+function buildOtpauthUri({ secret, accountName }) {
+    const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+    const query = new URLSearchParams({
+        secret,
+        issuer: ISSUER,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS),
+    });
+    return `otpauth://totp/${label}?${query.toString()}`;
+}
+
+/**
+ * Encrypt a TOTP secret for storage
+ * @param {string} secret - base32 secret
+ * @returns {string} Encrypted value (see utils/encryption.js)
+ */
+function encryptTotpSecret(secret) {
+    return encryptSecret(secret, 'totp-secret');
+}
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} stored - Value produced by encryptTotpSecret
+ * @returns {string} base32 secret
+ */
+function decryptTotpSecret(stored) {
+    return decryptSecret(stored, 'totp-secret');
+}
+
+/**
+ * Generate a set of single-use recovery codes (format: xxxxx-xxxxx)
+ * @returns {string[]}
+ */
+function generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+}
+
+/**
+ * Hash a recovery code for storage / lookup.
+ * The user ID is mixed in so identical codes never collide across users.
+ * @param {string} userId
+ * @param {string} code
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashRecoveryCode(userId, code) {
+    const normalized = String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return crypto.createHash('sha256').update(`${userId}:${normalized}`).digest('hex');
+}
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateTotpSecret,
+    generateTotp,
+    verifyTotp,
+    buildOtpauthUri,
+    encryptTotpSecret,
+    decryptTotpSecret,
+    generateRecoveryCodes,
+    hashRecoveryCode,
+};